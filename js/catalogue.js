@@ -0,0 +1,147 @@
+import { CONSTANTS } from './constants.js';
+
+/**
+ * The module and suite-type catalogue.
+ * A catalogue holds the suite types (keyed by id, in display order) plus the
+ * stair and elevator modules. It can be edited in the app and saved as JSON.
+ */
+
+export const CATALOGUE_FILE_FORMAT = 'stack-config-catalogue';
+export const CATALOGUE_FILE_VERSION = 1;
+export const MAX_SUITE_MODULES = 8;
+
+export const DEFAULT_CATALOGUE = Object.freeze({
+    suiteTypes: CONSTANTS.SUITE_TYPES,
+    stair: CONSTANTS.STAIR_INFO,
+    elevator: CONSTANTS.ELEVATOR_INFO
+});
+
+/**
+ * Raised when a catalogue is malformed.
+ */
+export class CatalogueError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CatalogueError';
+    }
+}
+
+export function cloneCatalogue(catalogue = DEFAULT_CATALOGUE) {
+    return JSON.parse(JSON.stringify(catalogue));
+}
+
+/**
+ * Looks up a suite type, the elevator or the stair by id.
+ */
+export function getModuleInfo(catalogue, id) {
+    if (id === catalogue.elevator.id) return catalogue.elevator;
+    if (id === catalogue.stair.id) return catalogue.stair;
+    return catalogue.suiteTypes[id] || null;
+}
+
+/**
+ * Derives a unique suite type id from its name, e.g. "Junior 1 Bed" -> "junior-1-bed".
+ */
+export function createSuiteTypeId(name, catalogue) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'suite';
+    const taken = (id) => Boolean(getModuleInfo(catalogue, id));
+    let id = base;
+    for (let n = 2; taken(id); n++) id = `${base}-${n}`;
+    return id;
+}
+
+/**
+ * Checks a catalogue and returns a normalized copy. Throws CatalogueError on the first problem.
+ */
+export function validateCatalogue(catalogue) {
+    const fail = (message) => { throw new CatalogueError(message); };
+    if (!isObject(catalogue) || !isObject(catalogue.suiteTypes)) fail('Catalogue has no suite types.');
+
+    const types = Object.entries(catalogue.suiteTypes);
+    if (types.length === 0) fail('Catalogue needs at least one suite type.');
+
+    const tags = new Set();
+    const suiteTypes = {};
+    types.forEach(([key, type]) => {
+        const label = isObject(type) && type.name ? `"${type.name}"` : `"${key}"`;
+        if (!isObject(type) || type.id !== key) fail(`Suite type ${label} has an id that does not match its key.`);
+        checkModule(type, label, fail);
+        if (!Number.isInteger(type.moduleCount) || type.moduleCount < 1 || type.moduleCount > MAX_SUITE_MODULES) {
+            fail(`Suite type ${label} must span 1 to ${MAX_SUITE_MODULES} modules.`);
+        }
+        if (tags.has(type.tag)) fail(`Tag "${type.tag}" is used by more than one suite type.`);
+        tags.add(type.tag);
+        suiteTypes[key] = pickModule(type, { moduleCount: type.moduleCount });
+    });
+
+    ['stair', 'elevator'].forEach(key => {
+        const module = catalogue[key];
+        if (!isObject(module) || module.id !== DEFAULT_CATALOGUE[key].id) fail(`Catalogue ${key} entry is missing.`);
+        checkModule(module, `"${module.name || key}"`, fail);
+        if (suiteTypes[module.id]) fail(`Suite type id "${module.id}" is reserved.`);
+        if (tags.has(module.tag)) fail(`Tag "${module.tag}" is used by more than one module.`);
+        tags.add(module.tag);
+    });
+
+    return {
+        suiteTypes,
+        stair: pickModule(catalogue.stair),
+        elevator: pickModule(catalogue.elevator, { moduleCount: 1 })
+    };
+}
+
+/**
+ * Builds a catalogue document for saving.
+ */
+export function serializeCatalogue(catalogue) {
+    return {
+        format: CATALOGUE_FILE_FORMAT,
+        version: CATALOGUE_FILE_VERSION,
+        ...cloneCatalogue(catalogue)
+    };
+}
+
+/**
+ * Parses a catalogue document (JSON text or object) and validates it.
+ */
+export function parseCatalogue(source) {
+    let doc = source;
+    if (typeof source === 'string') {
+        try {
+            doc = JSON.parse(source);
+        } catch (err) {
+            throw new CatalogueError(`File is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!isObject(doc) || doc.format !== CATALOGUE_FILE_FORMAT) {
+        throw new CatalogueError('File is not a Stack Config catalogue.');
+    }
+    if (doc.version !== CATALOGUE_FILE_VERSION) {
+        throw new CatalogueError(`Catalogue file version ${doc.version} is not supported.`);
+    }
+    return validateCatalogue(doc);
+}
+
+function checkModule(module, label, fail) {
+    if (typeof module.name !== 'string' || module.name.trim() === '') fail(`Module ${label} needs a name.`);
+    if (typeof module.tag !== 'string' || !/^[A-Z0-9]{1,4}$/.test(module.tag)) fail(`Module ${label} needs a tag of 1 to 4 capital letters or digits.`);
+    if (typeof module.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(module.color)) fail(`Module ${label} needs a colour like #69BA7F.`);
+    if (!isObject(module.codes) || typeof module.codes.corridor !== 'string' || typeof module.codes.noCorridor !== 'string') {
+        fail(`Module ${label} needs corridor and no-corridor codes.`);
+    }
+}
+
+function pickModule(module, extra = {}) {
+    return {
+        id: module.id,
+        name: module.name.trim(),
+        tag: module.tag,
+        ...extra,
+        color: module.color,
+        codes: { noCorridor: module.codes.noCorridor.trim(), corridor: module.codes.corridor.trim() }
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
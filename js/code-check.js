@@ -0,0 +1,233 @@
+import { CONSTANTS } from './constants.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { getBuildingAreas } from './layout-engine.js';
+import { getLevelHeights, stackLevels } from './levels.js';
+import { formatLength } from './units.js';
+
+/**
+ * Building code and egress checks for a placed stack.
+ * The corridor runs along the line between the south and north rows. The
+ * stair cores stand beyond the west and east ends, centred on the building
+ * depth, and a core's door is where the corridor meets the face it turns to
+ * the building; a core the corridor misses is no exit. A suite's door is
+ * taken at the middle of its frontage on the corridor, so travel distance is
+ * measured along the corridor to the nearest stair door, and corridor running
+ * on past the outermost doors is dead end.
+ *
+ * Rules are a flat object of limits in metres, seeded from a jurisdiction and
+ * occupancy class preset and editable afterwards. A null limit is not checked.
+ * The presets are starting points; confirm them against the adopted code.
+ */
+
+export const CODE_JURISDICTIONS = {
+    ibc: {
+        name: 'IBC 2021, sprinklered',
+        heightMeasuredTo: 'roof',
+        maxTravelDistance: 76.2,  // 250', Group R exit access travel (Table 1017.2)
+        maxDeadEndLength: 15.24,  // 50', Group R-2 with sprinklers (1020.5)
+        // One exit is enough for small R-2 buildings (Table 1006.3.4(1))
+        singleExit: { maxStoreys: 3, maxSuitesPerFloor: 4, maxTravelDistance: 38.1 },
+        occupancyClasses: {
+            'r2-va': { name: 'R-2, Type V-A', maxHeight: 21.336, maxStoreys: 4 },
+            'r2-iiia': { name: 'R-2, Type III-A', maxHeight: 25.908, maxStoreys: 5 },
+            'r2-ib': { name: 'R-2, Type I-B', maxHeight: 54.864, maxStoreys: 12 },
+            'r2-ia': { name: 'R-2, Type I-A', maxHeight: null, maxStoreys: null }
+        }
+    },
+    nbc: {
+        name: 'NBC 2020, sprinklered',
+        heightMeasuredTo: 'top-floor',
+        maxTravelDistance: 45,    // 3.4.2.5
+        maxDeadEndLength: 6,      // 3.3.1.9
+        singleExit: { maxStoreys: 2, maxSuitesPerFloor: null, maxTravelDistance: 25 },
+        occupancyClasses: {
+            'c-combustible': { name: 'Group C, combustible', maxHeight: 18, maxStoreys: 6 },
+            'c-mass-timber': { name: 'Group C, encapsulated mass timber', maxHeight: 42, maxStoreys: 12 },
+            'c-noncombustible': { name: 'Group C, noncombustible', maxHeight: null, maxStoreys: null }
+        }
+    }
+};
+
+export const CODE_RULES = {
+    'travel-distance': 'Travel distance',
+    'dead-end': 'Dead-end corridor',
+    'exits': 'Number of exits',
+    'height': 'Building height',
+    'storeys': 'Number of storeys'
+};
+
+const LIMITS = ['maxTravelDistance', 'maxDeadEndLength', 'maxHeight', 'maxStoreys'];
+
+/**
+ * Raised when a set of code rules is malformed.
+ */
+export class CodeRulesError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CodeRulesError';
+    }
+}
+
+/**
+ * The preset rules of a jurisdiction and occupancy class (its first one by default).
+ */
+export function getCodeRules(jurisdiction = 'ibc', occupancyClass = null) {
+    const preset = CODE_JURISDICTIONS[jurisdiction];
+    const classId = occupancyClass || Object.keys(preset.occupancyClasses)[0];
+    const { maxHeight, maxStoreys } = preset.occupancyClasses[classId];
+    return {
+        jurisdiction,
+        occupancyClass: classId,
+        maxTravelDistance: preset.maxTravelDistance,
+        maxDeadEndLength: preset.maxDeadEndLength,
+        maxHeight,
+        maxStoreys
+    };
+}
+
+/**
+ * Checks a set of rules and returns a copy. Throws CodeRulesError on the first problem.
+ */
+export function validateCodeRules(rules) {
+    const fail = (message) => { throw new CodeRulesError(message); };
+    if (rules === null || typeof rules !== 'object') fail('Code rules are missing.');
+    const preset = CODE_JURISDICTIONS[rules.jurisdiction];
+    if (!preset) fail(`Jurisdiction must be one of: ${Object.keys(CODE_JURISDICTIONS).join(', ')}.`);
+    if (!preset.occupancyClasses[rules.occupancyClass]) fail(`Occupancy class "${rules.occupancyClass}" is not defined for ${preset.name}.`);
+    LIMITS.forEach(key => {
+        const value = rules[key];
+        if (value !== null && !(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+            fail(`Code limit "${key}" must be a positive number or empty.`);
+        }
+    });
+    if (rules.maxStoreys !== null && !Number.isInteger(rules.maxStoreys)) fail('Maximum storeys must be a whole number.');
+    const copy = { jurisdiction: rules.jurisdiction, occupancyClass: rules.occupancyClass };
+    LIMITS.forEach(key => { copy[key] = rules[key]; });
+    return copy;
+}
+
+/**
+ * Runs every rule on a placed layout. Returns the measured values and a list
+ * of violations `{ rule, message, suites, floors }`, where `suites` lists the
+ * affected suites as `{ floor, row, start, length, instanceId }` and `floors`
+ * the floor indices affected as a whole. Any non-residential `levels` are
+ * storeys too: podium levels raise the residential floors and roof levels
+ * stand on them. Lengths in messages use `unit`.
+ */
+export function checkBuildingCode(floors, projectData, rules, { unit = 'metric', levels = [], catalogue = DEFAULT_CATALOGUE } = {}) {
+    const preset = CODE_JURISDICTIONS[rules.jurisdiction];
+    const { numFloors, width, height: residentialHeight } = getBuildingAreas(projectData);
+    const podiumStoreys = levels.filter(level => level.position === 'base').length;
+    const storeys = numFloors + levels.length;
+    const length = (m) => formatLength(m, unit, 1);
+    const violations = [];
+
+    const exits = getStairDoors(projectData, width);
+    const suites = floors.flatMap((floor, floorIndex) => getSuiteDoors(floor, floorIndex, catalogue));
+    suites.forEach(suite => {
+        suite.travel = exits.length > 0 ? Math.min(...exits.map(x => Math.abs(suite.doorX - x))) : Infinity;
+    });
+    const travelDistance = Math.max(0, ...suites.map(suite => suite.travel));
+
+    if (rules.maxTravelDistance !== null) {
+        const far = suites.filter(suite => suite.travel > rules.maxTravelDistance);
+        if (far.length > 0) {
+            violations.push(violation('travel-distance', exits.length === 0
+                ? 'No stair is reachable from the suite doors.'
+                : `${far.length} ${far.length === 1 ? 'suite is' : 'suites are'} more than ${length(rules.maxTravelDistance)} from a stair (worst ${length(travelDistance)}).`, far));
+        }
+    }
+
+    // Corridor beyond the outermost stair doors only leads one way
+    const deadEnds = exits.length > 0
+        ? [{ from: 0, to: Math.min(...exits) }, { from: Math.max(...exits), to: width }]
+        : [{ from: 0, to: width }];
+    const deadEndLength = Math.max(...deadEnds.map(end => end.to - end.from));
+    if (rules.maxDeadEndLength !== null && deadEndLength > rules.maxDeadEndLength) {
+        const trapped = suites.filter(suite => deadEnds.some(end => end.to - end.from > rules.maxDeadEndLength && suite.doorX >= end.from && suite.doorX <= end.to));
+        violations.push(violation('dead-end', `The corridor has a ${length(deadEndLength)} dead end, over the ${length(rules.maxDeadEndLength)} limit.`, trapped));
+    }
+
+    const suitesPerFloor = Math.max(0, ...floors.map((floor, i) => suites.filter(suite => suite.floor === i).length));
+    const single = preset.singleExit;
+    const singleExitAllowed = storeys <= single.maxStoreys
+        && (single.maxSuitesPerFloor === null || suitesPerFloor <= single.maxSuitesPerFloor)
+        && travelDistance <= single.maxTravelDistance;
+    const requiredExits = singleExitAllowed ? 1 : 2;
+    if (exits.length < requiredExits) {
+        const provided = exits.length > 0
+            ? `${exits.length} ${exits.length === 1 ? 'is' : 'are'} provided`
+            : projectData.includeStairs ? 'the corridor reaches no stair' : 'no stairs are provided';
+        violations.push(violation('exits', `Each floor needs ${requiredExits} ${requiredExits === 1 ? 'exit' : 'exits'} but ${provided}.`, [], floors.map((floor, i) => i)));
+    }
+
+    // Height to the roof, or to the floor of the top storey, which may be a roof level
+    const toRoof = preset.heightMeasuredTo === 'roof';
+    const levelOf = (i) => getLevelHeights(levels).base + (toRoof ? i + 1 : i) * projectData.floorHeight;
+    const topLevel = stackLevels(levels, residentialHeight).filter(level => level.position === 'roof').pop();
+    const height = !topLevel ? levelOf(numFloors - 1) : topLevel.elevation + (toRoof ? topLevel.height : 0);
+    if (rules.maxHeight !== null && height > rules.maxHeight) {
+        const over = floors.map((floor, i) => i).filter(i => levelOf(i) > rules.maxHeight);
+        const measured = preset.heightMeasuredTo === 'roof' ? `The building is ${length(height)} high` : `The top floor is ${length(height)} above grade`;
+        violations.push(violation('height', `${measured}, over the ${length(rules.maxHeight)} limit for ${preset.occupancyClasses[rules.occupancyClass].name}.`, [], over));
+    }
+    if (rules.maxStoreys !== null && storeys > rules.maxStoreys) {
+        const over = floors.map((floor, i) => i).filter(i => podiumStoreys + i >= rules.maxStoreys);
+        const counted = levels.length > 0 ? ` (${numFloors} residential)` : '';
+        violations.push(violation('storeys', `The building has ${storeys} storeys${counted}; ${preset.occupancyClasses[rules.occupancyClass].name} allows ${rules.maxStoreys}.`, [], over));
+    }
+
+    return { travelDistance, deadEndLength, requiredExits, providedExits: exits.length, height, storeys, violations };
+}
+
+/**
+ * Whether a module is affected by any violation, as a suite or as part of a floor.
+ */
+export function isModuleFlagged(check, floorIndex, module) {
+    if (!check || !module) return false;
+    return check.violations.some(v => v.floors.includes(floorIndex)
+        || v.suites.some(suite => suite.floor === floorIndex && suite.instanceId === module.instanceId));
+}
+
+function violation(rule, message, suites, floors = []) {
+    return {
+        rule,
+        message,
+        suites: suites.map(({ floor, row, start, length, instanceId }) => ({ floor, row, start, length, instanceId })),
+        floors
+    };
+}
+
+// Stair doors along the corridor, measured from its west end
+function getStairDoors({ includeStairs, southDepth, northDepth }, width) {
+    if (!includeStairs) return [];
+    const { STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = CONSTANTS;
+    const cores = [
+        { west: -STAIR_WIDTH_METRIC, east: 0, south: (southDepth + northDepth - STAIR_DEPTH_METRIC) / 2 },
+        { west: width, east: width + STAIR_WIDTH_METRIC, south: (southDepth + northDepth - STAIR_DEPTH_METRIC) / 2 }
+    ];
+    // The corridor line runs at y = southDepth between x = 0 and width
+    return cores
+        .filter(core => southDepth >= core.south && southDepth <= core.south + STAIR_DEPTH_METRIC)
+        .map(core => core.east <= 0 ? core.east : core.west);
+}
+
+// Suites of one floor with the position of their door along the corridor
+function getSuiteDoors(floor, floorIndex, catalogue) {
+    const suites = [];
+    ['south', 'north'].forEach(row => {
+        floor[row].forEach((module, i) => {
+            if (!module || module.id === catalogue.elevator.id) return;
+            const previous = floor[row][i - 1];
+            if (previous && previous.instanceId === module.instanceId) {
+                suites[suites.length - 1].length++;
+                return;
+            }
+            suites.push({ floor: floorIndex, row, start: i, length: 1, instanceId: module.instanceId });
+        });
+    });
+    suites.forEach(suite => {
+        suite.doorX = (suite.start + suite.length / 2) * CONSTANTS.MODULE_WIDTH_METRIC;
+    });
+    return suites;
+}
@@ -0,0 +1,32 @@
+/**
+ * Shared dimensional constants and the default module catalogue.
+ * Every length is in metres and every area in square metres.
+ */
+export const CONSTANTS = {
+    M_TO_FT: 3.28084,
+    SQM_TO_SQFT: 10.7639,
+    METRIC_FLOOR_HEIGHTS: [3.175, 3.479, 3.784],
+    MODULE_WIDTH_METRIC: 3.7846, // 12' 5"
+    STAIR_WIDTH_METRIC: 3.048,   // 10' 0"
+    STAIR_DEPTH_METRIC: 7.62,    // 25' 0"
+    MAX_HEIGHT_METRIC: 40, // Increased max height
+    SOUTH_DEPTH_METRIC: 11.0998, // This is the longer side
+    NORTH_DEPTH_METRIC: 9.4488,
+    // Module depth pairs the building depth can be built from, shallowest first
+    DEPTH_OPTIONS: [
+        { south: 8.5344, north: 8.5344 },   // 28' 0" / 28' 0"
+        { south: 9.4488, north: 9.4488 },   // 31' 0" / 31' 0"
+        { south: 11.0998, north: 9.4488 },  // 36' 5" / 31' 0"
+        { south: 11.0998, north: 11.0998 }, // 36' 5" / 36' 5"
+        { south: 12.192, north: 11.0998 }   // 40' 0" / 36' 5"
+    ],
+    SUITE_TYPES: {
+        'studio': { id: 'studio', name: 'Studio', tag: 'ST', moduleCount: 1, color: '#006F37', codes: { noCorridor: 'U01', corridor: 'U02'} },
+        'one-bed': { id: 'one-bed', name: '1 Bedroom', tag: '1BR', moduleCount: 2, color: '#ABD268', codes: { noCorridor: 'U03+U07', corridor: 'U05+U08'} },
+        'two-bed': { id: 'two-bed', name: '2 Bedroom', tag: '2BR', moduleCount: 3, color: '#69BA7F', codes: { noCorridor: 'U04+U07+U09', corridor: 'U06+U08+U10'} },
+        'three-bed': { id: 'three-bed', name: '3 Bedroom', tag: '3BR', moduleCount: 4, color: '#D0FFDD', codes: { noCorridor: 'U07+U09+U11+U13', corridor: 'U08+U10+U12+U14'} }
+    },
+    DEFAULT_MIX: { 'studio': 25, 'one-bed': 50, 'two-bed': 25, 'three-bed': 0 },
+    STAIR_INFO: { id: 'stair', name: 'Stair', tag: 'STR', color: '#FFC885', codes: { noCorridor: 'U18', corridor: 'U18' } },
+    ELEVATOR_INFO: { id: 'elevator', name: 'Elevator', tag: 'ELV', moduleCount: 1, color: '#FF7518', codes: { noCorridor: 'U16', corridor: 'N/A' } }
+};
@@ -0,0 +1,204 @@
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { getBuildingAreas } from './layout-engine.js';
+import { getModuleCode } from './schedule-export.js';
+import { splitCodes } from './module-codes.js';
+
+/**
+ * Cost estimates priced from the factory module codes.
+ * A price table holds a unit price per U-code, a premium per storey above the
+ * ground floor (a percentage of that floor's module cost), the cost of the
+ * stair and elevator cores per floor and a lump-sum site-work allowance.
+ * A suite costs the sum of its codes, e.g. 'U03+U07' is one U03 and one U07.
+ */
+
+export const PRICE_TABLE_FILE_FORMAT = 'stack-config-price-table';
+export const PRICE_TABLE_FILE_VERSION = 1;
+
+// Indicative figures only, to be replaced with the factory's current prices
+export const DEFAULT_PRICE_TABLE = Object.freeze({
+    currency: 'USD',
+    modulePrices: {
+        U01: 96000, U02: 99000,
+        U03: 92000, U04: 94000, U05: 95000, U06: 97000,
+        U07: 86000, U08: 89000, U09: 86000, U10: 89000,
+        U11: 86000, U12: 89000, U13: 86000, U14: 89000
+    },
+    floorPremiumPercent: 1.5,
+    stairCorePerFloor: 120000,
+    elevatorCorePerFloor: 150000,
+    siteWork: 750000
+});
+
+/**
+ * Raised when a price table is malformed.
+ */
+export class PriceTableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PriceTableError';
+    }
+}
+
+export function clonePriceTable(prices = DEFAULT_PRICE_TABLE) {
+    return JSON.parse(JSON.stringify(prices));
+}
+
+/**
+ * Every module code the suite types of a catalogue are built from, in order.
+ */
+export function getCatalogueCodes(catalogue = DEFAULT_CATALOGUE) {
+    const codes = new Set();
+    Object.values(catalogue.suiteTypes).forEach(type => {
+        [type.codes.noCorridor, type.codes.corridor].forEach(codeList => splitCodes(codeList).forEach(code => codes.add(code)));
+    });
+    return [...codes].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Checks a price table and returns a normalized copy. Throws PriceTableError on the first problem.
+ */
+export function validatePriceTable(prices) {
+    const fail = (message) => { throw new PriceTableError(message); };
+    if (!isObject(prices) || !isObject(prices.modulePrices)) fail('Price table has no module prices.');
+    if (typeof prices.currency !== 'string' || !/^[A-Z]{3}$/.test(prices.currency)) fail('Currency must be a three-letter code such as USD.');
+
+    const modulePrices = {};
+    Object.entries(prices.modulePrices).forEach(([code, price]) => {
+        if (!isAmount(price)) fail(`Price of ${code} must be a number of zero or more.`);
+        modulePrices[code.trim()] = price;
+    });
+    const amounts = {
+        floorPremiumPercent: 'Floor premium',
+        stairCorePerFloor: 'Stair core cost',
+        elevatorCorePerFloor: 'Elevator core cost',
+        siteWork: 'Site-work allowance'
+    };
+    Object.entries(amounts).forEach(([key, label]) => {
+        if (!isAmount(prices[key])) fail(`${label} must be a number of zero or more.`);
+    });
+
+    return {
+        currency: prices.currency,
+        modulePrices,
+        floorPremiumPercent: prices.floorPremiumPercent,
+        stairCorePerFloor: prices.stairCorePerFloor,
+        elevatorCorePerFloor: prices.elevatorCorePerFloor,
+        siteWork: prices.siteWork
+    };
+}
+
+/**
+ * Builds a price table document for saving.
+ */
+export function serializePriceTable(prices) {
+    return {
+        format: PRICE_TABLE_FILE_FORMAT,
+        version: PRICE_TABLE_FILE_VERSION,
+        ...clonePriceTable(prices)
+    };
+}
+
+/**
+ * Parses a price table document (JSON text or object) and validates it.
+ */
+export function parsePriceTable(source) {
+    let doc = source;
+    if (typeof source === 'string') {
+        try {
+            doc = JSON.parse(source);
+        } catch (err) {
+            throw new PriceTableError(`File is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!isObject(doc) || doc.format !== PRICE_TABLE_FILE_FORMAT) {
+        throw new PriceTableError('File is not a Stack Config price table.');
+    }
+    if (doc.version !== PRICE_TABLE_FILE_VERSION) {
+        throw new PriceTableError(`Price table file version ${doc.version} is not supported.`);
+    }
+    return validatePriceTable(doc);
+}
+
+/**
+ * Prices a placed layout. Returns the breakdown lines `{ label, quantity,
+ * unitPrice, total }`, the total, the cost per suite type, the cost per suite
+ * and per m² of gross floor area, and any module codes without a price.
+ */
+export function estimateCost(floors, projectData, { catalogue = DEFAULT_CATALOGUE, prices = DEFAULT_PRICE_TABLE } = {}) {
+    const { numFloors, grossFloorArea } = getBuildingAreas(projectData);
+    const codeCounts = new Map();
+    const suiteTypes = new Map();
+    const missingCodes = new Set();
+    let elevatorCount = 0;
+    let floorPremium = 0;
+
+    floors.forEach((floor, floorIndex) => {
+        let floorCost = 0;
+        ['south', 'north'].forEach(row => {
+            floor[row].forEach((module, i) => {
+                if (!module) return;
+                if (module.id === catalogue.elevator.id) {
+                    elevatorCount++;
+                    return;
+                }
+                const previous = floor[row][i - 1];
+                if (previous && previous.instanceId === module.instanceId) return;
+
+                let suiteCost = 0;
+                splitCodes(getModuleCode(module)).forEach(code => {
+                    codeCounts.set(code, (codeCounts.get(code) || 0) + 1);
+                    const price = prices.modulePrices[code];
+                    if (price === undefined) missingCodes.add(code);
+                    else suiteCost += price;
+                });
+                const premium = suiteCost * floorIndex * prices.floorPremiumPercent / 100;
+                floorCost += suiteCost;
+
+                const type = suiteTypes.get(module.id) || { id: module.id, name: module.name, color: module.color, count: 0, total: 0 };
+                type.count++;
+                type.total += suiteCost + premium;
+                suiteTypes.set(module.id, type);
+            });
+        });
+        floorPremium += floorCost * floorIndex * prices.floorPremiumPercent / 100;
+    });
+
+    const moduleLines = [...codeCounts.entries()]
+        .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(([code, quantity]) => {
+            const unitPrice = prices.modulePrices[code] ?? 0;
+            return { label: code, quantity, unitPrice, total: quantity * unitPrice };
+        });
+    const stairCount = projectData.includeStairs ? 2 * numFloors : 0;
+    const lines = [
+        ...moduleLines,
+        { label: `Floor premium (${prices.floorPremiumPercent}% per storey above ground)`, quantity: null, unitPrice: null, total: floorPremium },
+        { label: 'Stair cores (per stair per floor)', quantity: stairCount, unitPrice: prices.stairCorePerFloor, total: stairCount * prices.stairCorePerFloor },
+        { label: 'Elevator core (per floor)', quantity: elevatorCount, unitPrice: prices.elevatorCorePerFloor, total: elevatorCount * prices.elevatorCorePerFloor },
+        { label: 'Site-work allowance', quantity: 1, unitPrice: prices.siteWork, total: prices.siteWork }
+    ];
+    const total = lines.reduce((acc, line) => acc + line.total, 0);
+    const suiteCount = [...suiteTypes.values()].reduce((acc, type) => acc + type.count, 0);
+    const typeOrder = Object.keys(catalogue.suiteTypes);
+
+    return {
+        currency: prices.currency,
+        lines,
+        modulesTotal: moduleLines.reduce((acc, line) => acc + line.total, 0),
+        total,
+        suiteTypes: [...suiteTypes.values()]
+            .sort((a, b) => typeOrder.indexOf(a.id) - typeOrder.indexOf(b.id))
+            .map(type => ({ ...type, perSuite: type.total / type.count })),
+        costPerSuite: suiteCount > 0 ? total / suiteCount : null,
+        costPerArea: total / grossFloorArea,
+        missingCodes: [...missingCodes]
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
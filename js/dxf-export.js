@@ -0,0 +1,223 @@
+import { CONSTANTS } from './constants.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { getModuleCode } from './schedule-export.js';
+import { formatFeet } from './units.js';
+
+/**
+ * DXF floor plans for CAD.
+ * Files are plain ASCII DXF (AutoCAD R12), drawn at full size in metres or
+ * feet with north up: the origin is the south-west corner of the module rows,
+ * the south row runs along y = 0 and the stair cores sit beyond the ends.
+ * A sheet of several plans sets them out side by side to the east.
+ * Module outlines go on one layer per suite type, and the cores, corridor
+ * line, dimensions and labels each get a layer of their own.
+ */
+
+export const DXF_LAYERS = {
+    stair: 'CORE-STAIR',
+    elevator: 'CORE-ELEVATOR',
+    empty: 'MODULE-EMPTY',
+    corridor: 'CORRIDOR',
+    dimensions: 'DIMENSIONS',
+    labels: 'LABELS'
+};
+
+// AutoCAD Color Index entries used to approximate layer colours
+const ACI_COLORS = [
+    [1, [255, 0, 0]], [2, [255, 255, 0]], [3, [0, 255, 0]], [4, [0, 255, 255]],
+    [5, [0, 0, 255]], [6, [255, 0, 255]], [7, [255, 255, 255]], [8, [128, 128, 128]],
+    [9, [192, 192, 192]], [30, [255, 127, 0]], [50, [255, 255, 127]], [94, [0, 127, 0]],
+    [112, [127, 255, 127]]
+];
+
+/**
+ * Layer name for a suite type, e.g. `SUITE-2BR`.
+ */
+export function getSuiteLayer(type) {
+    return `SUITE-${type.tag}`;
+}
+
+/**
+ * Builds the DXF document of one floor plan. `title` is written as a note
+ * below the plan, e.g. "Residential floors 2-5". Turn off `instanceLabels`
+ * when the plan stands for several floors, as instance ids are numbered per floor.
+ */
+export function createFloorDXF(floor, { title = '', instanceLabels = true, ...options } = {}) {
+    return createFloorsDXF([{ floor, title, instanceLabels }], options);
+}
+
+/**
+ * Builds one DXF sheet of floor plans, given as `{ floor, title,
+ * instanceLabels }` as for `createFloorDXF` and laid out side by side from
+ * west to east, the first at the origin.
+ */
+export function createFloorsDXF(plans, {
+    unit = 'metric', includeStairs = true, catalogue = DEFAULT_CATALOGUE,
+    southDepth = CONSTANTS.SOUTH_DEPTH_METRIC, northDepth = CONSTANTS.NORTH_DEPTH_METRIC
+} = {}) {
+    const scale = unit === 'imperial' ? CONSTANTS.M_TO_FT : 1;
+    const drawing = {
+        unit, includeStairs, catalogue,
+        moduleWidth: CONSTANTS.MODULE_WIDTH_METRIC * scale,
+        stairWidth: CONSTANTS.STAIR_WIDTH_METRIC * scale,
+        stairDepth: CONSTANTS.STAIR_DEPTH_METRIC * scale,
+        south: southDepth * scale,
+        north: northDepth * scale,
+        textHeight: 0.25 * scale,
+        offset: 1.5 * scale
+    };
+    // Plans are one overall width plus room for their dimensions apart
+    const width = plans.length > 0 ? plans[0].floor.south.length * drawing.moduleWidth : 0;
+    const overall = width + (includeStairs ? 2 * drawing.stairWidth : 0);
+    const pitch = overall + 6 * drawing.offset;
+    const entities = plans.flatMap((plan, i) => drawPlan(plan, drawing, i * pitch));
+
+    const layers = [
+        ...Object.values(catalogue.suiteTypes).map(type => [getSuiteLayer(type), type.color]),
+        [DXF_LAYERS.elevator, catalogue.elevator.color],
+        [DXF_LAYERS.stair, catalogue.stair.color],
+        [DXF_LAYERS.empty, '#d1d5db'],
+        [DXF_LAYERS.corridor, '#6b7280'],
+        [DXF_LAYERS.dimensions, '#374151'],
+        [DXF_LAYERS.labels, 7] // Black on a light background, white on a dark one
+    ];
+
+    return [
+        ...section('HEADER', [[9, '$ACADVER'], [1, 'AC1009'], [9, '$INSUNITS'], [70, unit === 'imperial' ? 2 : 6]]),
+        ...section('TABLES', [
+            [0, 'TABLE'], [2, 'LAYER'], [70, layers.length],
+            ...layers.flatMap(([name, color]) => [[0, 'LAYER'], [2, name], [70, 0], [62, aciColor(color)], [6, 'CONTINUOUS']]),
+            [0, 'ENDTAB']
+        ]),
+        ...section('ENTITIES', entities),
+        [0, 'EOF']
+    ].map(([code, value]) => `${code}\r\n${value}`).join('\r\n') + '\r\n';
+}
+
+// The entities of one plan with the south-west corner of its module rows at (x0, 0)
+function drawPlan({ floor, title = '', instanceLabels = true }, drawing, x0) {
+    const { unit, includeStairs, catalogue, moduleWidth, stairWidth, stairDepth, south, north, textHeight, offset } = drawing;
+    const depth = south + north;
+    const width = floor.south.length * moduleWidth;
+    const entities = [];
+
+    // Module outlines, one closed polyline per module
+    const rowY = { south: 0, north: south };
+    const rowDepth = { south, north };
+    ['south', 'north'].forEach(row => {
+        floor[row].forEach((module, i) => {
+            entities.push(...rectangle(moduleLayer(module, catalogue), x0 + i * moduleWidth, rowY[row], moduleWidth, rowDepth[row]));
+        });
+    });
+
+    // Suite labels: U-code and instance id at the centre of each suite
+    ['south', 'north'].forEach(row => {
+        let start = 0;
+        floor[row].forEach((module, i) => {
+            const next = floor[row][i + 1];
+            if (next && module && next.instanceId === module.instanceId) return;
+            if (module) {
+                const x = x0 + (start + i + 1) / 2 * moduleWidth;
+                const y = rowY[row] + rowDepth[row] / 2;
+                if (instanceLabels) {
+                    entities.push(...text(DXF_LAYERS.labels, getModuleCode(module), x, y + textHeight * 0.8, textHeight));
+                    entities.push(...text(DXF_LAYERS.labels, module.instanceId, x, y - textHeight * 0.8, textHeight * 0.7));
+                } else {
+                    entities.push(...text(DXF_LAYERS.labels, getModuleCode(module), x, y, textHeight));
+                }
+            }
+            start = i + 1;
+        });
+    });
+
+    if (includeStairs) {
+        const y = (depth - stairDepth) / 2;
+        [x0 - stairWidth, x0 + width].forEach(x => {
+            entities.push(...rectangle(DXF_LAYERS.stair, x, y, stairWidth, stairDepth));
+            entities.push(...text(DXF_LAYERS.labels, catalogue.stair.codes.noCorridor, x + stairWidth / 2, depth / 2, textHeight));
+        });
+    }
+
+    entities.push(line(DXF_LAYERS.corridor, x0, south, x0 + width, south));
+
+    // Dimensions: overall width below, row depths on the left, total depth on the right
+    const left = x0 - (includeStairs ? stairWidth : 0);
+    const right = x0 + width + (includeStairs ? stairWidth : 0);
+    const format = (value) => unit === 'imperial' ? formatFeet(value) : `${value.toFixed(2)} m`;
+    entities.push(...dimension(left, -offset, right, -offset, format(right - left), textHeight));
+    entities.push(...dimension(left - offset, 0, left - offset, south, format(south), textHeight));
+    entities.push(...dimension(left - offset, south, left - offset, depth, format(north), textHeight));
+    entities.push(...dimension(right + offset, 0, right + offset, depth, format(depth), textHeight));
+
+    if (title) {
+        entities.push(...text(DXF_LAYERS.labels, `${title} (units: ${unit === 'imperial' ? 'feet' : 'metres'})`, (left + right) / 2, -offset * 2.5, textHeight * 1.5));
+    }
+    return entities;
+}
+
+function moduleLayer(module, catalogue) {
+    if (!module) return DXF_LAYERS.empty;
+    if (module.id === catalogue.elevator.id) return DXF_LAYERS.elevator;
+    return getSuiteLayer(catalogue.suiteTypes[module.id] || module);
+}
+
+function section(name, pairs) {
+    return [[0, 'SECTION'], [2, name], ...pairs, [0, 'ENDSEC']];
+}
+
+function rectangle(layer, x, y, width, height) {
+    const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+    return [
+        [0, 'POLYLINE'], [8, layer], [66, 1], [70, 1], [10, 0], [20, 0], [30, 0],
+        ...corners.flatMap(([vx, vy]) => [[0, 'VERTEX'], [8, layer], [10, num(vx)], [20, num(vy)], [30, 0]]),
+        [0, 'SEQEND'], [8, layer]
+    ];
+}
+
+function line(layer, x1, y1, x2, y2) {
+    return [[0, 'LINE'], [8, layer], [10, num(x1)], [20, num(y1)], [30, 0], [11, num(x2)], [21, num(y2)], [31, 0]];
+}
+
+// Centred single-line text
+function text(layer, value, x, y, height, rotation = 0) {
+    return [
+        [0, 'TEXT'], [8, layer], [10, num(x)], [20, num(y)], [30, 0], [40, num(height)], [1, value],
+        [50, rotation], [72, 1], [73, 2], [11, num(x)], [21, num(y)], [31, 0]
+    ];
+}
+
+// A dimension drawn as lines and text, so it needs no dimension styles or blocks
+function dimension(x1, y1, x2, y2, label, textHeight) {
+    const vertical = x1 === x2;
+    const tick = textHeight * 0.6;
+    const layer = DXF_LAYERS.dimensions;
+    const ticks = vertical
+        ? [line(layer, x1 - tick, y1, x1 + tick, y1), line(layer, x2 - tick, y2, x2 + tick, y2)]
+        : [line(layer, x1, y1 - tick, x1, y1 + tick), line(layer, x2, y2 - tick, x2, y2 + tick)];
+    const midX = (x1 + x2) / 2 + (vertical ? -textHeight : 0);
+    const midY = (y1 + y2) / 2 + (vertical ? 0 : textHeight);
+    return [
+        ...line(layer, x1, y1, x2, y2),
+        ...ticks.flat(),
+        ...text(layer, label, midX, midY, textHeight, vertical ? 90 : 0)
+    ];
+}
+
+function num(value) {
+    return Number(value.toFixed(4));
+}
+
+function aciColor(color) {
+    if (typeof color === 'number') return color;
+    const rgb = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    let best = ACI_COLORS[0];
+    let bestDistance = Infinity;
+    ACI_COLORS.forEach(entry => {
+        const distance = entry[1].reduce((acc, c, i) => acc + (c - rgb[i]) ** 2, 0);
+        if (distance < bestDistance) {
+            best = entry;
+            bestDistance = distance;
+        }
+    });
+    return best[0];
+}
@@ -0,0 +1,80 @@
+/**
+ * Undo/redo history of commands.
+ * A command is `{ label, mergeKey, undo, redo }`; the history only decides
+ * which of them to call. Consecutive commands with the same `mergeKey`
+ * recorded close together (e.g. while dragging a slider) collapse into one.
+ */
+
+export const MAX_HISTORY_ENTRIES = 100;
+export const MERGE_WINDOW_MS = 1000;
+
+export class CommandHistory {
+    constructor({ limit = MAX_HISTORY_ENTRIES, onChange = () => {} } = {}) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.commands = [];
+        this.position = 0; // Number of commands currently applied
+    }
+
+    get canUndo() {
+        return this.position > 0;
+    }
+
+    get canRedo() {
+        return this.position < this.commands.length;
+    }
+
+    /**
+     * Adds a command that has already been carried out. Drops any redo entries.
+     */
+    record(command, now = Date.now()) {
+        const top = this.commands[this.position - 1];
+        const merges = command.mergeKey && top && !this.canRedo
+            && top.mergeKey === command.mergeKey && now - top.time < MERGE_WINDOW_MS;
+        if (merges) {
+            top.redo = command.redo;
+            top.time = now;
+        } else {
+            this.commands.splice(this.position, Infinity, { ...command, time: now });
+            if (this.commands.length > this.limit) this.commands.shift();
+            this.position = this.commands.length;
+        }
+        this.onChange();
+    }
+
+    undo() {
+        if (!this.canUndo) return;
+        this.position--;
+        this.commands[this.position].undo();
+        this.onChange();
+    }
+
+    redo() {
+        if (!this.canRedo) return;
+        this.commands[this.position].redo();
+        this.position++;
+        this.onChange();
+    }
+
+    /**
+     * Undoes or redoes until `position` commands are applied (0 is the starting state).
+     */
+    jumpTo(position) {
+        const target = Math.max(0, Math.min(position, this.commands.length));
+        while (this.position > target) {
+            this.position--;
+            this.commands[this.position].undo();
+        }
+        while (this.position < target) {
+            this.commands[this.position].redo();
+            this.position++;
+        }
+        this.onChange();
+    }
+
+    clear() {
+        this.commands = [];
+        this.position = 0;
+        this.onChange();
+    }
+}
@@ -0,0 +1,635 @@
+import { CONSTANTS } from './constants.js';
+import { createRng, normalizeSeed, DEFAULT_SEED } from './rng.js';
+import { fillSegments, packSuites } from './mix-solver.js';
+import { DEFAULT_CATALOGUE, getModuleInfo } from './catalogue.js';
+
+/**
+ * Headless placement engine for the Stack Configurator.
+ * Nothing in this module touches the DOM or the app state, so the same
+ * stacking logic can run in the browser, in Node or in a worker.
+ */
+
+// Total deviation (in percentage points) above which the result is flagged
+const MIX_DEVIATION_WARNING = 5;
+// Deviation below which floor types stop trading floors, as shares are shown to a tenth of a point
+const MIX_DEVIATION_SHOWN = 0.1;
+
+/**
+ * Derives the module grid (modules per row and number of floors) from the project dimensions.
+ */
+export function getGridSize({ width, height, floorHeight }) {
+    return {
+        singleSideModules: Math.max(1, Math.round(width / CONSTANTS.MODULE_WIDTH_METRIC)),
+        numFloors: Math.max(1, Math.round(height / floorHeight))
+    };
+}
+
+/**
+ * Overall dimensions (m) and areas (m²) of the massing for a set of project inputs.
+ * The footprint and gross floor area include the stair towers when they are built.
+ */
+export function getBuildingAreas({
+    width, height, floorHeight, includeStairs = true,
+    southDepth = CONSTANTS.SOUTH_DEPTH_METRIC, northDepth = CONSTANTS.NORTH_DEPTH_METRIC
+}) {
+    const { MODULE_WIDTH_METRIC, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = CONSTANTS;
+    const { singleSideModules, numFloors } = getGridSize({ width, height, floorHeight });
+    const actualWidth = singleSideModules * MODULE_WIDTH_METRIC;
+    const actualDepth = southDepth + northDepth;
+
+    let footprintArea = actualWidth * actualDepth;
+    if (includeStairs) {
+        footprintArea += 2 * (STAIR_WIDTH_METRIC * STAIR_DEPTH_METRIC);
+    }
+    return {
+        singleSideModules,
+        numFloors,
+        width: actualWidth,
+        depth: actualDepth,
+        height: numFloors * floorHeight,
+        footprintArea,
+        grossFloorArea: footprintArea * numFloors
+    };
+}
+
+/**
+ * Runs the full placement for a set of project inputs.
+ * `mix` maps suite type ids to their desired percentage, and `mixObjective`
+ * ('count', 'modules' or 'area') says what that percentage is measured by.
+ * Suite types come from `catalogue` (see catalogue.js).
+ * `locked` lists suites (`{ floor, row, start, id }`) that must keep their place;
+ * they count towards the mix and everything else is placed around them.
+ * With `stacking` the suites are shared out so that floors repeat the same
+ * suites in the same slots wherever the counts allow, and the floors keep
+ * that order instead of being sorted by how full they are.
+ * `maxFloorTypes` caps the number of distinct floor plates (see `getFloorTypes`);
+ * null leaves it open.
+ * The same `seed` and inputs always give an identical layout.
+ * Returns the per-floor north/south module arrays, the summary and any warnings.
+ */
+export function computeLayout({
+    width, height, floorHeight, includeStairs = true, mix = {}, mixObjective = 'count', seed = DEFAULT_SEED,
+    southDepth = CONSTANTS.SOUTH_DEPTH_METRIC, northDepth = CONSTANTS.NORTH_DEPTH_METRIC, catalogue = DEFAULT_CATALOGUE,
+    locked = [], stacking = false, maxFloorTypes = null
+}) {
+    const { singleSideModules, numFloors } = getGridSize({ width, height, floorHeight });
+    const rng = createRng(seed);
+    const warnings = [];
+
+    const mixTotal = Object.values(mix).reduce((sum, value) => sum + (value || 0), 0);
+    if (Math.round(mixTotal) !== 100) {
+        warnings.push(`Suite mix totals ${mixTotal.toFixed(0)}% instead of 100%.`);
+    }
+
+    const locks = filterLocks(locked, numFloors, singleSideModules, catalogue);
+    if (locks.length < locked.length) {
+        warnings.push(`${locked.length - locks.length} locked suite(s) no longer fit the building and were released.`);
+    }
+
+    const planOptions = { mix, mixObjective, southDepth, northDepth, catalogue, rng };
+    const placement = planSuites({
+        ...planOptions,
+        segments: getRowSegments(numFloors, singleSideModules, locks),
+        fixed: locks.map(lock => ({ id: lock.id, row: lock.row }))
+    });
+    if (stacking) placement.contents = alignSegmentContents(placement, rng);
+    let floors = generateBuildingLayout(placement, numFloors, singleSideModules, catalogue, locks, rng, stacking);
+    if (maxFloorTypes !== null) {
+        floors = limitFloorTypes(floors, maxFloorTypes, { ...planOptions, includeStairs, singleSideModules, locks, stacking });
+        const typeCount = getFloorTypes(floors).length;
+        if (typeCount > maxFloorTypes) {
+            warnings.push(`Locked suites need ${typeCount} different floor types, more than the ${maxFloorTypes} allowed.`);
+        }
+    }
+    const summary = summarizeLayout(floors, { mix, includeStairs, mixObjective, southDepth, northDepth, catalogue });
+
+    warnings.push(...getLayoutWarnings(floors, summary));
+
+    return {
+        floors,
+        summary,
+        warnings,
+        seed: normalizeSeed(seed),
+        singleSideModules,
+        numFloors
+    };
+}
+
+/**
+ * Warnings that depend only on a finished layout and its summary, so they can
+ * be refreshed after manual edits as well.
+ */
+export function getLayoutWarnings(floors, summary) {
+    const warnings = [];
+    if (summary.mixDeviation > MIX_DEVIATION_WARNING) {
+        warnings.push(`The closest mix that fits deviates ${summary.mixDeviation.toFixed(1)} percentage points from the requested mix.`);
+    }
+    const emptySlots = floors.reduce((acc, floor) => acc + [...floor.north, ...floor.south].filter(m => m === null).length, 0);
+    if (emptySlots > 0) {
+        warnings.push(`${emptySlots} module slot(s) were left empty.`);
+    }
+    return warnings;
+}
+
+/**
+ * Groups floors whose plans have the same module types in the same slots.
+ * Returns `{ floors, plan }` per floor type in order of first appearance,
+ * with `floors` the 0-based floor indices and `plan` the first such floor.
+ */
+export function getFloorTypes(floors) {
+    const types = new Map();
+    floors.forEach((floor, floorIndex) => {
+        const key = ['north', 'south'].map(row => floor[row].map(m => m ? m.id : '-').join(',')).join('|');
+        if (!types.has(key)) types.set(key, { floors: [], plan: floor });
+        types.get(key).floors.push(floorIndex);
+    });
+    return [...types.values()];
+}
+
+/**
+ * Runs of consecutive identical floors, bottom up, as `{ first, last, type,
+ * typical }` with 0-based floor indices. `type` indexes `getFloorTypes` and
+ * a type is typical when it repeats anywhere in the building.
+ */
+export function getFloorGroups(floors) {
+    const types = getFloorTypes(floors);
+    const typeOf = new Map();
+    types.forEach((type, index) => type.floors.forEach(floorIndex => typeOf.set(floorIndex, index)));
+    const groups = [];
+    floors.forEach((floor, floorIndex) => {
+        const type = typeOf.get(floorIndex);
+        const last = groups[groups.length - 1];
+        if (last && last.type === type) last.last = floorIndex;
+        else groups.push({ first: floorIndex, last: floorIndex, type, typical: types[type].floors.length > 1 });
+    });
+    return groups;
+}
+
+/**
+ * How well suites stack: a module is aligned when the module below it belongs
+ * to a suite of the same type over the same slots, so demising walls and
+ * plumbing run straight down. Ground-floor modules and the elevator are not
+ * counted. Returns the aligned and counted modules, the `score` as a
+ * percentage (null with nothing to compare) and the `misaligned` modules as
+ * `{ floor, row, position }`.
+ */
+export function getStackAlignment(floors) {
+    const spans = floors.map(floor => ({ north: getSuiteSpans(floor.north), south: getSuiteSpans(floor.south) }));
+    const misaligned = [];
+    let counted = 0;
+    floors.forEach((floor, floorIndex) => {
+        if (floorIndex === 0) return;
+        ['south', 'north'].forEach(row => {
+            floor[row].forEach((module, i) => {
+                if (!module || module.id === 'elevator') return;
+                counted++;
+                const below = floors[floorIndex - 1][row][i];
+                const span = spans[floorIndex][row][i];
+                const spanBelow = spans[floorIndex - 1][row][i];
+                const aligned = below && below.id === module.id && spanBelow.start === span.start && spanBelow.length === span.length;
+                if (!aligned) misaligned.push({ floor: floorIndex, row, position: i });
+            });
+        });
+    });
+    return {
+        aligned: counted - misaligned.length,
+        counted,
+        score: counted > 0 ? (counted - misaligned.length) / counted * 100 : null,
+        misaligned
+    };
+}
+
+/**
+ * Gives every placed suite a stable, human-readable id such as `F03-N-2BR-02`:
+ * floor number, row, suite tag and a counter per row and tag, numbered left to right.
+ * Works on full module objects as well as on saved `{ id, instanceId }` entries,
+ * whose tags are looked up in `catalogue`.
+ */
+export function assignInstanceIds(floors, catalogue = DEFAULT_CATALOGUE) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return floors.map((floor, floorIndex) => {
+        const renamed = {};
+        ['north', 'south'].forEach(row => {
+            const counters = {};
+            const idMap = new Map();
+            renamed[row] = floor[row].map(module => {
+                if (!module) return null;
+                if (!idMap.has(module.instanceId)) {
+                    const tag = moduleTag(module, catalogue);
+                    counters[tag] = (counters[tag] || 0) + 1;
+                    idMap.set(module.instanceId, `F${pad(floorIndex + 1)}-${row === 'north' ? 'N' : 'S'}-${tag}-${pad(counters[tag])}`);
+                }
+                return { ...module, instanceId: idMap.get(module.instanceId) };
+            });
+        });
+        return renamed;
+    });
+}
+
+/**
+ * Tallies suites, modules and areas for an already generated layout.
+ * Actual percentages and the total mix deviation are measured by `mixObjective`.
+ * Used after placement and whenever a layout is restored or edited without re-running it.
+ */
+export function summarizeLayout(floors, {
+    mix = {}, includeStairs = true, mixObjective = 'count',
+    southDepth = CONSTANTS.SOUTH_DEPTH_METRIC, northDepth = CONSTANTS.NORTH_DEPTH_METRIC, catalogue = DEFAULT_CATALOGUE
+} = {}) {
+    const { MODULE_WIDTH_METRIC, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = CONSTANTS;
+    const suites = {};
+    const instances = {};
+
+    floors.forEach(floor => {
+        [...floor.north, ...floor.south].forEach(module => {
+            if (module && module.id !== 'elevator' && module.id !== 'stair') {
+                if (!suites[module.id]) {
+                    suites[module.id] = {
+                        ...(catalogue.suiteTypes[module.id] || module),
+                        count: 0,
+                        moduleTotal: 0,
+                        totalArea: 0,
+                        desiredPercentage: mix[module.id] || 0
+                    };
+                    instances[module.id] = new Set();
+                }
+                instances[module.id].add(module.instanceId);
+                suites[module.id].moduleTotal++;
+                const moduleDepth = module.isCorridorSide ? northDepth : southDepth;
+                suites[module.id].totalArea += MODULE_WIDTH_METRIC * moduleDepth;
+            }
+        });
+    });
+
+    let totalSuites = 0;
+    for (const id in suites) {
+        suites[id].count = instances[id].size;
+        totalSuites += suites[id].count;
+    }
+
+    const { mixDeviation, percentages } = getMixDeviation(suites, mix, mixObjective);
+    Object.keys(suites).forEach(id => { suites[id].actualPercentage = percentages[id]; });
+
+    const numFloors = floors.length;
+    const elevator = {
+        count: numFloors > 0 ? 1 : 0,
+        moduleTotal: numFloors,
+        totalArea: numFloors * (MODULE_WIDTH_METRIC * southDepth)
+    };
+    const stair = includeStairs && numFloors > 0
+        ? { count: 2, moduleTotal: numFloors * 2, totalArea: 2 * numFloors * (STAIR_WIDTH_METRIC * STAIR_DEPTH_METRIC) }
+        : { count: 0, moduleTotal: 0, totalArea: 0 };
+
+    const suiteValues = Object.values(suites);
+    return {
+        suites,
+        totalSuites,
+        mixObjective,
+        mixDeviation,
+        cores: { elevator, stair },
+        totals: {
+            suites: totalSuites,
+            modules: suiteValues.reduce((acc, s) => acc + s.moduleTotal, 0) + elevator.moduleTotal + stair.moduleTotal,
+            area: suiteValues.reduce((acc, s) => acc + s.totalArea, 0) + elevator.totalArea + stair.totalArea
+        }
+    };
+}
+
+/**
+ * The total difference in percentage points between the mix and tallied
+ * suites (`{ count, moduleTotal, totalArea }` per type id), measured by
+ * `mixObjective`, with the actual percentage of each tallied type.
+ */
+function getMixDeviation(suites, mix, mixObjective) {
+    const measure = { count: 'count', modules: 'moduleTotal', area: 'totalArea' }[mixObjective] || 'count';
+    const measureTotal = Object.values(suites).reduce((acc, s) => acc + s[measure], 0);
+    const mixTotal = Object.values(mix).reduce((acc, value) => acc + (value || 0), 0);
+    const percentages = {};
+    let mixDeviation = 0;
+    new Set([...Object.keys(mix), ...Object.keys(suites)]).forEach(id => {
+        const actual = suites[id] && measureTotal > 0 ? (suites[id][measure] / measureTotal) * 100 : 0;
+        const desired = mixTotal > 0 ? ((mix[id] || 0) / mixTotal) * 100 : 0;
+        if (suites[id]) percentages[id] = actual;
+        mixDeviation += Math.abs(actual - desired);
+    });
+    return { mixDeviation, percentages };
+}
+
+/**
+ * Picks the suites of every row segment, counting the `fixed` suites (locked
+ * ones, as `{ id, row }`) towards the mix.
+ * Returns the segments and the suites placed in each.
+ */
+function planSuites({ mix, mixObjective, southDepth, northDepth, catalogue, segments, fixed, rng }) {
+    const { MODULE_WIDTH_METRIC } = CONSTANTS;
+    const contents = fillSegments({
+        suiteTypes: Object.values(catalogue.suiteTypes),
+        mix,
+        segments,
+        fixed,
+        objective: mixObjective,
+        moduleArea: { north: MODULE_WIDTH_METRIC * northDepth, south: MODULE_WIDTH_METRIC * southDepth },
+        rng
+    });
+    return { segments, contents: contents.map(ids => ids.map(id => ({ ...catalogue.suiteTypes[id] }))) };
+}
+
+/**
+ * Splits every floor into the row segments suites can occupy: the whole north row
+ * and the south row on either side of the elevator, cut around any locked suites.
+ */
+function getRowSegments(numFloors, singleSideModules, locks = []) {
+    const middleIndex = Math.floor(singleSideModules / 2);
+    const segments = [];
+    for (let floor = 0; floor < numFloors; floor++) {
+        const rowSegments = [
+            { floor, row: 'north', start: 0, length: singleSideModules, anchor: 'both' },
+            { floor, row: 'south', start: 0, length: middleIndex, anchor: 'left' },
+            { floor, row: 'south', start: middleIndex + 1, length: singleSideModules - middleIndex - 1, anchor: 'right' }
+        ];
+        rowSegments.forEach(seg => {
+            const segLocks = locks
+                .filter(lock => lock.floor === floor && lock.row === seg.row && lock.start >= seg.start && lock.start < seg.start + seg.length)
+                .sort((a, b) => a.start - b.start);
+            if (segLocks.length === 0) {
+                segments.push(seg);
+                return;
+            }
+            let start = seg.start;
+            const end = seg.start + seg.length;
+            [...segLocks, { start: end, moduleCount: 0 }].forEach(lock => {
+                if (lock.start > start) {
+                    // Pieces cut off from an outer end keep filling from that end
+                    const touchesLeft = start === seg.start && seg.anchor !== 'right';
+                    const touchesRight = lock.start === end && seg.anchor !== 'left';
+                    const anchor = touchesLeft && touchesRight ? seg.anchor : touchesLeft ? 'left' : touchesRight ? 'right' : 'both';
+                    segments.push({ ...seg, start, length: lock.start - start, anchor });
+                }
+                start = lock.start + lock.moduleCount;
+            });
+        });
+    }
+    return segments;
+}
+
+/**
+ * Shares the packed suites out again between row segments of the same size and
+ * place on different floors, so that as many floors as possible repeat one set
+ * of suites, then the next most common set and so on. Counts do not change.
+ */
+function alignSegmentContents({ segments, contents }, rng) {
+    const groups = new Map();
+    segments.forEach((seg, i) => {
+        const key = `${seg.row}:${seg.start}:${seg.length}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(i);
+    });
+    const aligned = [...contents];
+    groups.forEach(indexes => {
+        // Segments are listed floor by floor, so the most common set ends up lowest
+        const sets = stackSuiteSets(indexes.map(i => contents[i]), segments[indexes[0]].length, rng);
+        indexes.forEach((segIndex, k) => { aligned[segIndex] = sets[k]; });
+    });
+    return aligned;
+}
+
+// Greedy: repeats the set that fits the most segments, then repacks the rest and recurses
+function stackSuiteSets(sets, length, rng) {
+    if (sets.length <= 1) return sets;
+    const pool = sets.flat();
+    const tried = new Set();
+    let best = null;
+    sets.forEach(set => {
+        const key = sortSuites(set).map(suite => suite.id).join(',');
+        if (tried.has(key)) return;
+        tried.add(key);
+        for (let repeats = sets.length; repeats >= 1 && (!best || repeats > best.repeats); repeats--) {
+            const rest = removeSuites(pool, set, repeats);
+            if (!rest) continue;
+            const packed = repeats === sets.length
+                ? (rest.length === 0 ? [] : null)
+                : packSuites(rest, Array(sets.length - repeats).fill(length), rng);
+            if (packed) {
+                best = { set, repeats, rest: packed };
+                break;
+            }
+        }
+    });
+    if (!best) return sets;
+    const repeated = Array.from({ length: best.repeats }, () => best.set.map(suite => ({ ...suite })));
+    return [...repeated, ...stackSuiteSets(best.rest, length, rng)];
+}
+
+// The pool without `times` copies of `set`, or null when the pool runs short
+function removeSuites(pool, set, times) {
+    const rest = [...pool];
+    for (let t = 0; t < times; t++) {
+        for (const suite of set) {
+            const index = rest.findIndex(candidate => candidate.id === suite.id);
+            if (index === -1) return null;
+            rest.splice(index, 1);
+        }
+    }
+    return rest;
+}
+
+// Largest first; equal sizes by id so the same set is always laid out the same way
+function sortSuites(suites) {
+    return [...suites].sort((a, b) => b.moduleCount - a.moduleCount || a.id.localeCompare(b.id));
+}
+
+// The start and length of the suite at every slot of a row
+function getSuiteSpans(row) {
+    const spans = row.map(() => null);
+    row.forEach((module, i) => {
+        if (!module) return;
+        const previous = row[i - 1];
+        if (previous && previous.instanceId === module.instanceId) {
+            spans[i] = spans[i - 1];
+            spans[i].length++;
+        } else {
+            spans[i] = { start: i, length: 1 };
+        }
+    });
+    return spans;
+}
+
+/**
+ * Brings a layout down to `maxTypes` floor types by planning the suites again
+ * for that many plates. Floors with locked suites keep their plans, and their
+ * types count towards the cap. The other floors are shared out between the
+ * plates left and copies of the locked plates, in runs from the bottom, and
+ * the suites of the new plates are chosen together with every segment counted
+ * once per floor that repeats it. Starting from even shares, floors move from
+ * one plate to another while that brings the building closer to the mix, so a
+ * new plate may end up unused, until the mix is met to the tenth of a point.
+ * Fewer plates than floors means fewer suite choices, so the cap trades mix
+ * accuracy for fewer floor types.
+ */
+function limitFloorTypes(floors, maxTypes, { locks, singleSideModules, stacking, includeStairs, ...planOptions }) {
+    if (getFloorTypes(floors).length <= maxTypes) return floors;
+    const { mix, mixObjective, southDepth, northDepth, catalogue, rng } = planOptions;
+    const summaryOptions = { mix, mixObjective, includeStairs, southDepth, northDepth, catalogue };
+    const lockedFloors = new Set(locks.map(lock => lock.floor));
+    const isLocked = (floor, floorIndex) => lockedFloors.has(floorIndex);
+    const lockedPlates = getFloorTypes(floors.filter(isLocked)).map(type => type.plan);
+    const lockedPlateSuites = lockedPlates.map(plate => getPlateSuites(plate, catalogue));
+    const fixed = floors.filter(isLocked).flatMap(floor => getPlateSuites(floor, catalogue));
+    const freeCount = floors.length - lockedFloors.size;
+    const newPlates = Math.max(0, Math.min(maxTypes - lockedPlates.length, freeCount));
+
+    // `shares` holds the floors of each new plate, then the copies of each locked plate
+    const plan = (shares) => {
+        const repeats = shares.slice(0, shares.length - lockedPlates.length);
+        const copies = shares.slice(repeats.length);
+        const segments = repeats.flatMap((n, k) => getRowSegments(1, singleSideModules).map(seg => ({ ...seg, floor: k, repeats: n })));
+        const copied = copies.flatMap((n, p) => Array.from({ length: n }, () => lockedPlateSuites[p]).flat());
+        const { contents } = planSuites({ ...planOptions, segments, fixed: [...fixed, ...copied] });
+        const plates = [
+            ...repeats.map((n, k) => {
+                const plateSegments = segments.map((seg, i) => ({ ...seg, suites: contents[i] })).filter(seg => seg.floor === k);
+                return createFloorPlan(plateSegments, singleSideModules, catalogue, [], rng, stacking);
+            }),
+            ...lockedPlates.map(plate => ({ north: plate.north.map(unlock), south: plate.south.map(unlock) }))
+        ];
+        const plateOf = shares.flatMap((n, k) => Array(n).fill(k));
+        let next = 0;
+        const layout = assignInstanceIds(floors.map((floor, floorIndex) => isLocked(floor, floorIndex) ? floor : plates[plateOf[next++]]), catalogue);
+        return { shares, layout, deviation: summarizeLayout(layout, summaryOptions).mixDeviation };
+    };
+
+    // Without new plates every free floor starts as a copy of the first locked plate
+    let best = plan(newPlates > 0
+        ? [...Array.from({ length: newPlates }, (_, k) => Math.floor(freeCount / newPlates) + (k < freeCount % newPlates ? 1 : 0)), ...lockedPlates.map(() => 0)]
+        : lockedPlates.map((plate, p) => p === 0 ? freeCount : 0));
+    for (let improved = true; improved && best.deviation >= MIX_DEVIATION_SHOWN;) {
+        improved = false;
+        const { shares } = best;
+        for (let from = 0; from < shares.length && !improved; from++) {
+            for (let to = 0; to < shares.length && !improved && shares[from] > 0; to++) {
+                if (to === from) continue;
+                const result = plan(shares.map((n, k) => k === from ? n - 1 : k === to ? n + 1 : n));
+                if (result.deviation < best.deviation - 1e-9) {
+                    best = result;
+                    improved = true;
+                }
+            }
+        }
+    }
+    return best.layout;
+}
+
+// One `{ id, row }` per suite on a floor, as counted towards the mix
+function getPlateSuites(floor, catalogue) {
+    const suites = [];
+    ['north', 'south'].forEach(row => {
+        getSuiteSpans(floor[row]).forEach((span, i) => {
+            const module = floor[row][i];
+            if (span && span.start === i && module.id !== catalogue.elevator.id) suites.push({ id: module.id, row });
+        });
+    });
+    return suites;
+}
+
+// A copy of a module without its lock, for plates repeated on other floors
+function unlock(module) {
+    if (!module) return null;
+    const { locked, ...rest } = module;
+    return rest;
+}
+
+/**
+ * Keeps the locks that still fit the grid: on an existing floor, inside the row,
+ * clear of the elevator and of each other. Each kept lock gets its moduleCount.
+ */
+function filterLocks(locked, numFloors, singleSideModules, catalogue) {
+    const middleIndex = Math.floor(singleSideModules / 2);
+    const taken = new Set();
+    return locked.reduce((kept, lock) => {
+        const type = catalogue.suiteTypes[lock.id];
+        if (!type || lock.floor < 0 || lock.floor >= numFloors || (lock.row !== 'north' && lock.row !== 'south')) return kept;
+        const slots = Array.from({ length: type.moduleCount }, (_, i) => lock.start + i);
+        const fits = lock.start >= 0 && lock.start + type.moduleCount <= singleSideModules
+            && !(lock.row === 'south' && slots.includes(middleIndex))
+            && slots.every(slot => !taken.has(`${lock.floor}-${lock.row}-${slot}`));
+        if (!fits) return kept;
+        slots.forEach(slot => taken.add(`${lock.floor}-${lock.row}-${slot}`));
+        kept.push({ floor: lock.floor, row: lock.row, start: lock.start, id: lock.id, moduleCount: type.moduleCount });
+        return kept;
+    }, []);
+}
+
+/**
+ * Lays out the packed segments floor by floor and orders the floors.
+ * Floors holding locked suites keep their position, and with `stacking` so do all others.
+ */
+function generateBuildingLayout({ segments, contents }, numFloors, singleSideModules, catalogue, locks, rng, stacking = false) {
+    const unsortedLayout = Array.from({ length: numFloors }, (_, index) => {
+        const floorSegments = [];
+        segments.forEach((seg, i) => {
+            if (seg.floor === index) floorSegments.push({ ...seg, suites: contents[i] });
+        });
+        const floorLocks = locks.filter(lock => lock.floor === index);
+        const plan = createFloorPlan(floorSegments, singleSideModules, catalogue, floorLocks, rng, stacking);
+        const score = [...plan.north, ...plan.south].filter(m => m && m.id !== 'elevator').length;
+        return { plan, score, index, pinned: stacking || floorLocks.length > 0 };
+    });
+
+    // Ties keep their fill order so the floor order never depends on the sort implementation
+    const movable = unsortedLayout
+        .filter(item => !item.pinned)
+        .sort((a, b) => a.score - b.score || a.index - b.index);
+    const ordered = unsortedLayout.map(item => item.pinned ? item : movable.shift());
+
+    return assignInstanceIds(ordered.map(item => item.plan), catalogue);
+}
+
+/**
+ * Lays out one floor: elevator in the middle of the south row, large suites at
+ * the outer ends of each segment and the smaller ones towards the middle.
+ * The seeded `rng` picks which end of the north row is filled first; with
+ * `stacking` it is always the west end, so equal segments match on every floor.
+ * Instance ids are only unique within the floor until `assignInstanceIds` runs.
+ */
+function createFloorPlan(floorSegments, singleSideModules, catalogue, locks, rng, stacking = false) {
+    let plan = { north: Array(singleSideModules).fill(null), south: Array(singleSideModules).fill(null) };
+    const middleIndex = Math.floor(singleSideModules / 2);
+    let placedCount = 0;
+
+    plan.south[middleIndex] = { ...catalogue.elevator, instanceId: 'elevator-core', isCorridorSide: false };
+
+    const placeSuite = (suite, index, row, extra = {}) => {
+        const instanceId = `${suite.id}-${placedCount++}`;
+        const isCorridorSide = row === 'north';
+        for (let i = 0; i < suite.moduleCount; i++) {
+            plan[row][index + i] = { ...suite, instanceId, isCorridorSide, ...extra };
+        }
+    };
+
+    locks.forEach(lock => placeSuite(catalogue.suiteTypes[lock.id], lock.start, lock.row, { locked: true }));
+
+    floorSegments.forEach(seg => {
+        const suites = stacking ? sortSuites(seg.suites) : [...seg.suites].sort((a, b) => b.moduleCount - a.moduleCount);
+        let left = seg.start;
+        let right = seg.start + seg.length - 1;
+        let side = seg.anchor !== 'both' ? seg.anchor : stacking ? 'left' : (rng() < 0.5 ? 'left' : 'right');
+
+        suites.forEach(suite => {
+            if (side === 'left') {
+                placeSuite(suite, left, seg.row);
+                left += suite.moduleCount;
+            } else {
+                placeSuite(suite, right - suite.moduleCount + 1, seg.row);
+                right -= suite.moduleCount;
+            }
+            if (seg.anchor === 'both') side = side === 'left' ? 'right' : 'left';
+        });
+    });
+
+    return plan;
+}
+
+function moduleTag(module, catalogue) {
+    if (module.tag) return module.tag;
+    const info = getModuleInfo(catalogue, module.id);
+    return info ? info.tag : module.id.toUpperCase();
+}
@@ -0,0 +1,169 @@
+import { getBuildingAreas } from './layout-engine.js';
+
+/**
+ * Non-residential levels: a podium under the residential floors (lobby,
+ * retail, amenity, parking entry) and levels on the roof. They stand on the
+ * footprint of the residential floors, take no suites and are totalled apart
+ * from them.
+ * A level is `{ name, position, height, uses }` with `position` 'base' (under
+ * the residential floors) or 'roof', `height` in metres and `uses` as
+ * `{ use, area }` in m², laid out from the west end of the plan in that order.
+ * Podium levels are listed from the ground up and roof levels from the roof up.
+ */
+
+export const LEVEL_USES = {
+    'lobby': { name: 'Lobby', color: '#CBD5E1' },
+    'retail': { name: 'Retail', color: '#F9A8D4' },
+    'amenity': { name: 'Amenity', color: '#86EFAC' },
+    'parking': { name: 'Parking Entry', color: '#A8A29E' },
+    'services': { name: 'Services', color: '#FDE68A' }
+};
+
+export const LEVEL_POSITIONS = {
+    'base': 'Podium',
+    'roof': 'Roof'
+};
+
+/**
+ * Raised when a list of levels is malformed.
+ */
+export class LevelsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LevelsError';
+    }
+}
+
+/**
+ * A new level for the given project: a ground floor of lobby and retail, or a
+ * roof amenity over half the plan.
+ */
+export function createLevel(position, projectData) {
+    const area = getUsableArea(projectData);
+    if (position === 'roof') {
+        return { name: 'Rooftop Amenity', position, height: 3.5, uses: [{ use: 'amenity', area: Math.round(area / 2) }] };
+    }
+    return {
+        name: 'Ground Floor',
+        position: 'base',
+        height: 4.5,
+        uses: [{ use: 'lobby', area: Math.round(area / 4) }, { use: 'retail', area: Math.round(area / 2) }]
+    };
+}
+
+/**
+ * Checks a list of levels and returns a copy. Throws LevelsError on the first problem.
+ */
+export function validateLevels(levels) {
+    const fail = (message) => { throw new LevelsError(message); };
+    if (!Array.isArray(levels)) fail('Levels must be a list.');
+    return levels.map((level, i) => {
+        if (level === null || typeof level !== 'object') fail(`Level ${i + 1} is missing.`);
+        if (typeof level.name !== 'string' || level.name.trim() === '') fail(`Level ${i + 1} needs a name.`);
+        const label = `"${level.name.trim()}"`;
+        if (!LEVEL_POSITIONS[level.position]) fail(`${label} must be one of: ${Object.keys(LEVEL_POSITIONS).join(', ')}.`);
+        if (!isFiniteNumber(level.height) || level.height <= 0 || level.height > 20) fail(`${label} needs a height of more than 0 and at most 20 m (65 ft).`);
+        if (!Array.isArray(level.uses)) fail(`${label} needs a list of uses.`);
+        return {
+            name: level.name.trim(),
+            position: level.position,
+            height: level.height,
+            uses: level.uses.map((entry, j) => {
+                if (entry === null || typeof entry !== 'object' || !LEVEL_USES[entry.use]) {
+                    fail(`Use ${j + 1} of ${label} must be one of: ${Object.keys(LEVEL_USES).join(', ')}.`);
+                }
+                if (!isFiniteNumber(entry.area) || entry.area <= 0) fail(`${LEVEL_USES[entry.use].name} on ${label} needs an area of more than 0.`);
+                return { use: entry.use, area: entry.area };
+            })
+        };
+    });
+}
+
+/** Total height in metres of the podium and of the roof levels. */
+export function getLevelHeights(levels) {
+    const sum = (position) => levels.filter(level => level.position === position).reduce((acc, level) => acc + level.height, 0);
+    return { base: sum('base'), roof: sum('roof') };
+}
+
+/**
+ * Label of a residential floor, counted from the lowest residential floor,
+ * e.g. "Residential floor 3", with its storey when podium levels sit below:
+ * "Residential floor 3 (storey 5, above the podium)".
+ */
+export function getResidentialFloorLabel(floorIndex, levels = []) {
+    const podium = levels.filter(level => level.position === 'base').length;
+    const label = `Residential floor ${floorIndex + 1}`;
+    return podium > 0 ? `${label} (storey ${podium + floorIndex + 1}, above the podium)` : label;
+}
+
+/**
+ * The levels in the order they stack, each with its `index` in `levels` and
+ * the `elevation` of its floor above the ground, given the height of the
+ * residential floors.
+ */
+export function stackLevels(levels, residentialHeight) {
+    const { base } = getLevelHeights(levels);
+    let elevation = { base: 0, roof: base + residentialHeight };
+    const stacked = levels.map((level, index) => ({ ...level, index }));
+    return [...stacked.filter(level => level.position === 'base'), ...stacked.filter(level => level.position === 'roof')]
+        .map(level => {
+            const placed = { ...level, elevation: elevation[level.position] };
+            elevation = { ...elevation, [level.position]: elevation[level.position] + level.height };
+            return placed;
+        });
+}
+
+/**
+ * Plan area of the main building (stair towers excluded), which the uses of a level share.
+ */
+export function getUsableArea(projectData) {
+    const { width, depth } = getBuildingAreas(projectData);
+    return width * depth;
+}
+
+/**
+ * Areas of the levels on the project's footprint. Each level has the gross
+ * area of one floor (stair towers included), the area of each use and the
+ * `unassigned` rest of its usable area, negative when the uses overfill it.
+ * Returns the levels in stacking order, the total area per use, the total
+ * area and the height the levels add.
+ */
+export function summarizeLevels(levels, projectData) {
+    const { footprintArea, height } = getBuildingAreas(projectData);
+    const usableArea = getUsableArea(projectData);
+    const uses = {};
+    const stacked = stackLevels(levels, height).map(level => {
+        const assigned = level.uses.reduce((acc, entry) => acc + entry.area, 0);
+        level.uses.forEach(entry => { uses[entry.use] = (uses[entry.use] || 0) + entry.area; });
+        return { ...level, grossArea: footprintArea, usableArea, unassigned: usableArea - assigned };
+    });
+    const heights = getLevelHeights(levels);
+    return {
+        levels: stacked,
+        uses,
+        totalArea: footprintArea * levels.length,
+        height: heights.base + heights.roof
+    };
+}
+
+/**
+ * Strips of the plan for each use of a level, from the west end: `{ use, x,
+ * width }` in metres along the main building, cut short where the uses
+ * overfill the plan. A last strip with a null `use` covers any unassigned rest.
+ */
+export function getUseStrips(level, { width, depth }) {
+    const strips = [];
+    let x = 0;
+    level.uses.forEach(entry => {
+        const stripWidth = Math.min(entry.area / depth, width - x);
+        if (stripWidth <= 0) return;
+        strips.push({ use: entry.use, x, width: stripWidth });
+        x += stripWidth;
+    });
+    if (width - x > 0.01) strips.push({ use: null, x, width: width - x });
+    return strips;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { getModuleCode } from './schedule-export.js';
+
+/**
+ * Export of the 3D massing for other modelling tools.
+ * Only named meshes are exported: the module boxes, the stair towers and the
+ * elevator overrun. Edge lines, dimensions, floor lines and the grid are left
+ * out. Lengths are in metres, which is also the glTF unit.
+ */
+
+/**
+ * Name and metadata for the mesh of the module at `position` (0-based) of a row.
+ * Empty slots get a name too, so every box in the massing can be told apart.
+ * Pass the module's resolved `code` to record it instead of its suite's code list.
+ */
+export function getModuleMeshInfo(module, { floor, row, position, code }) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const rowTag = row === 'north' ? 'N' : 'S';
+    const instanceId = module ? module.instanceId : `F${pad(floor + 1)}-${rowTag}-EMPTY`;
+    return {
+        name: `${instanceId}_${pad(position + 1)}`,
+        userData: {
+            floor: floor + 1,
+            row,
+            position: position + 1,
+            suiteType: module ? module.name : null,
+            instanceId: module ? module.instanceId : null,
+            uCode: module ? (code !== undefined ? code : getModuleCode(module)) : null
+        }
+    };
+}
+
+/**
+ * Copies the named meshes of `root` into a new group, baking in their world
+ * transforms. Geometries and materials are shared with the originals.
+ */
+export function createMassingExport(root) {
+    const massing = new THREE.Group();
+    massing.name = 'Massing';
+    root.updateMatrixWorld(true);
+    root.traverse(object => {
+        if (!object.isMesh || !object.name) return;
+        const mesh = new THREE.Mesh(object.geometry, object.material);
+        mesh.name = object.name;
+        mesh.userData = { ...object.userData };
+        object.matrixWorld.decompose(mesh.position, mesh.quaternion, mesh.scale);
+        massing.add(mesh);
+    });
+    return massing;
+}
+
+/**
+ * Binary glTF. The mesh metadata is written to each node's `extras`.
+ */
+export function exportGLB(massing) {
+    return new GLTFExporter().parseAsync(massing, { binary: true });
+}
+
+/**
+ * Wavefront OBJ. OBJ has no place for metadata, so it is listed in a comment
+ * header keyed by object name.
+ */
+export function exportOBJ(massing) {
+    const header = ['# Stack Config massing, units: metres'];
+    massing.children.forEach(mesh => {
+        const fields = Object.entries(mesh.userData)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${key}=${value}`);
+        header.push(`# ${mesh.name}: ${fields.join(' ')}`);
+    });
+    return `${header.join('\n')}\n${new OBJExporter().parse(massing)}`;
+}
@@ -0,0 +1,156 @@
+import { computeLayout } from './layout-engine.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { DEFAULT_PRICE_TABLE, estimateCost } from './cost-estimate.js';
+import { DEFAULT_ASSUMPTIONS, getProForma } from './pro-forma.js';
+
+/**
+ * Goal-seeking search over suite mixes.
+ * Every mix on a grid of whole `step` percentages that totals 100 and respects
+ * the per-type bounds is placed with the regular engine; the placed layouts
+ * are then checked against the same bounds, scored against the goal and the
+ * best distinct ones returned. Revenue is the effective gross income of the
+ * pro forma assumptions.
+ *
+ * Constraints map suite type ids to `{ min, max }` percentages, where a null
+ * bound is open. Shares are measured by the inputs' `mixObjective`.
+ *
+ * A placement takes from a millisecond on small buildings to over a tenth of
+ * a second on large ones, so the search yields to the page whenever it has
+ * run for YIELD_AFTER_MS to keep it responsive, and can be aborted at each yield.
+ */
+
+export const OPTIMIZER_GOALS = {
+    'max-suites': 'Maximize suite count',
+    'max-revenue': 'Maximize revenue',
+    'target-count': 'Hit a target suite count'
+};
+
+export const OPTIMIZER_STEPS = [5, 10, 20];
+
+const MAX_EVALUATIONS = 2000;
+const YIELD_AFTER_MS = 40;
+
+/**
+ * Raised when the goal or constraints are malformed, the search is too large or it was aborted.
+ */
+export class MixOptimizerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MixOptimizerError';
+    }
+}
+
+/**
+ * Checks the per-type bounds against a catalogue and returns a normalized copy
+ * with an entry for every suite type. Throws MixOptimizerError on the first problem.
+ */
+export function validateConstraints(constraints = {}, catalogue = DEFAULT_CATALOGUE) {
+    const fail = (message) => { throw new MixOptimizerError(message); };
+    const normalized = {};
+    Object.values(catalogue.suiteTypes).forEach(type => {
+        const { min = null, max = null } = constraints[type.id] || {};
+        [min, max].forEach(bound => {
+            if (bound !== null && !(typeof bound === 'number' && Number.isFinite(bound) && bound >= 0 && bound <= 100)) {
+                fail(`Bounds for ${type.name} must be between 0 and 100%.`);
+            }
+        });
+        if (min !== null && max !== null && min > max) fail(`The minimum for ${type.name} is above its maximum.`);
+        normalized[type.id] = { min, max };
+    });
+    const bounds = Object.values(normalized);
+    if (bounds.reduce((acc, b) => acc + (b.min || 0), 0) > 100) fail('The minimums add up to more than 100%.');
+    if (bounds.reduce((acc, b) => acc + (b.max === null ? 100 : b.max), 0) < 100) fail('The maximums add up to less than 100%.');
+    return normalized;
+}
+
+/**
+ * Every mix on a `step` grid that totals 100 and lies within the bounds.
+ */
+export function enumerateMixes(ids, constraints, step = 10) {
+    const mixes = [];
+    const range = (id) => {
+        const { min, max } = constraints[id] || {};
+        return [Math.ceil((min || 0) / step) * step, Math.floor((max === null || max === undefined ? 100 : max) / step) * step];
+    };
+    const visit = (index, remaining, mix) => {
+        const id = ids[index];
+        const [low, high] = range(id);
+        if (index === ids.length - 1) {
+            if (remaining >= low && remaining <= high) mixes.push({ ...mix, [id]: remaining });
+            return;
+        }
+        for (let value = low; value <= Math.min(high, remaining); value += step) {
+            visit(index + 1, remaining - value, { ...mix, [id]: value });
+        }
+    };
+    if (ids.length > 0) visit(0, 100, {});
+    return mixes;
+}
+
+/**
+ * Searches the mix space for the best layouts against a goal.
+ * `inputs` are the `computeLayout` inputs (the mix itself is ignored), including
+ * any locked suites. `onProgress(done, total)` is called at every yield and
+ * `signal` is an optional AbortSignal. Resolves to how many mixes were placed and
+ * met the bounds, and the `top` best candidates `{ mix, floors, summary, warnings,
+ * counts, totalSuites, revenue, noi }`, keeping one layout per combination of suite counts.
+ */
+export async function optimizeMix(inputs, {
+    goal = 'max-suites', target = null, constraints = {}, step = 10, top = 5,
+    assumptions = DEFAULT_ASSUMPTIONS, prices = DEFAULT_PRICE_TABLE, onProgress = null, signal = null
+} = {}) {
+    const catalogue = inputs.catalogue || DEFAULT_CATALOGUE;
+    if (!OPTIMIZER_GOALS[goal]) throw new MixOptimizerError(`Goal must be one of: ${Object.keys(OPTIMIZER_GOALS).join(', ')}.`);
+    if (goal === 'target-count' && !(Number.isInteger(target) && target > 0)) throw new MixOptimizerError('The target suite count must be a whole number above zero.');
+    if (!OPTIMIZER_STEPS.includes(step)) throw new MixOptimizerError(`Step must be one of: ${OPTIMIZER_STEPS.join(', ')}%.`);
+
+    const bounds = validateConstraints(constraints, catalogue);
+    const mixes = enumerateMixes(Object.keys(catalogue.suiteTypes), bounds, step);
+    if (mixes.length === 0) throw new MixOptimizerError(`No mix in ${step}% steps meets the bounds.`);
+    if (mixes.length > MAX_EVALUATIONS) {
+        throw new MixOptimizerError(`${mixes.length} mixes to try is too many; tighten the bounds or use a coarser step.`);
+    }
+
+    const score = (candidate) => {
+        if (goal === 'max-suites') return [candidate.totalSuites, candidate.revenue];
+        if (goal === 'max-revenue') return [candidate.revenue, candidate.totalSuites];
+        return [-Math.abs(candidate.totalSuites - target), candidate.revenue];
+    };
+    const compare = (a, b) => b.score[0] - a.score[0] || b.score[1] - a.score[1] || a.summary.mixDeviation - b.summary.mixDeviation;
+
+    const best = new Map();
+    let feasible = 0;
+    let sliceStart = performance.now();
+    for (let i = 0; i < mixes.length; i++) {
+        if (i > 0 && performance.now() - sliceStart >= YIELD_AFTER_MS) {
+            if (onProgress) onProgress(i, mixes.length);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (signal && signal.aborted) throw new MixOptimizerError('The search was cancelled.');
+            sliceStart = performance.now();
+        }
+        const mix = mixes[i];
+        const { floors, summary, warnings } = computeLayout({ ...inputs, mix, catalogue });
+        const meetsBounds = Object.entries(bounds).every(([id, { min, max }]) => {
+            const share = summary.suites[id] ? summary.suites[id].actualPercentage : 0;
+            return (min === null || share >= min - 1e-9) && (max === null || share <= max + 1e-9);
+        });
+        if (!meetsBounds) continue;
+        feasible++;
+
+        const estimate = estimateCost(floors, inputs, { catalogue, prices });
+        const proForma = getProForma(estimate, assumptions);
+        const counts = Object.fromEntries(Object.keys(catalogue.suiteTypes).map(id => [id, summary.suites[id] ? summary.suites[id].count : 0]));
+        const candidate = { mix, floors, summary, warnings, counts, totalSuites: summary.totalSuites, revenue: proForma.effectiveGrossIncome, noi: proForma.noi };
+        candidate.score = score(candidate);
+
+        const key = Object.values(counts).join('-');
+        if (!best.has(key) || compare(candidate, best.get(key)) < 0) best.set(key, candidate);
+    }
+    if (onProgress) onProgress(mixes.length, mixes.length);
+
+    const candidates = [...best.values()]
+        .sort(compare)
+        .slice(0, top)
+        .map(({ score: _, ...candidate }) => candidate);
+    return { evaluated: mixes.length, feasible, candidates };
+}
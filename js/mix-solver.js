@@ -0,0 +1,319 @@
+/**
+ * Suite-mix solver used by the layout engine.
+ * Every row segment is filled from the ways suites can fill a segment of its
+ * length, chosen by branch and bound so that the building deviates as little
+ * as possible from the requested percentages, and an exact bin-packing search
+ * checks that a given set of suites fits a set of segments.
+ */
+
+export const MIX_OBJECTIVES = {
+    count: 'Suite count',
+    modules: 'Module count',
+    area: 'Area'
+};
+
+// Segments moved at once at most, and the most combinations of moves tried per round
+const MAX_MOVES_AT_ONCE = 3;
+const MAX_MOVE_COMBINATIONS = 250000;
+// Branches the exact search may visit before it settles for the best mix found so far
+const MAX_SEARCH_NODES = 20000;
+
+/**
+ * Chooses the suites of every row segment (`{ row, length }` in modules).
+ * Each segment is filled as fully as its length allows, and across the
+ * building the suites deviate as little as possible from `mix` (sum of
+ * absolute percentage-point differences) measured by `objective`. A segment
+ * with `repeats` stands for that many floors of one plate, and its suites
+ * count that many times. `fixed` lists suites already placed (e.g. locked
+ * ones) as `{ id, row }`; they count towards the mix. `moduleArea` gives the
+ * area of a north and a south module.
+ * Segments of the same row, length and repeats share one list of fills. A
+ * greedy pick, improved by moving up to three segments at once to another
+ * fill, gives a first mix; a branch and bound over how many segments of each
+ * kind take each fill then finds the best one (see `searchFillCounts`). The
+ * result is optimal unless that search runs past MAX_SEARCH_NODES branches,
+ * when it is the best found by then. The seeded `rng` decides which of the
+ * segments of a kind gets which fill.
+ * Returns the suite type ids of each segment, largest suites first.
+ */
+export function fillSegments({ suiteTypes, mix, segments, fixed = [], objective = 'count', moduleArea = { north: 1, south: 1 }, rng }) {
+    const types = [...suiteTypes].sort((a, b) => b.moduleCount - a.moduleCount);
+    const desired = normalizeMix(types, mix);
+    const weight = (type, row) => {
+        if (objective === 'count') return 1;
+        return objective === 'area' ? type.moduleCount * moduleArea[row] : type.moduleCount;
+    };
+
+    // What every fill adds to the measure of each type
+    const kinds = [];
+    const kindOf = segments.map(({ row, length, repeats = 1 }) => {
+        let k = kinds.findIndex(kind => kind.row === row && kind.length === length && kind.repeats === repeats);
+        if (k === -1) {
+            const fills = getFills(types, length);
+            k = kinds.push({ row, length, repeats, fills, measures: fills.map(fill => fill.map((n, i) => n * weight(types[i], row) * repeats)) }) - 1;
+        }
+        return k;
+    });
+    const totals = types.map(() => 0);
+    fixed.forEach(({ id, row }) => {
+        const i = types.findIndex(type => type.id === id);
+        if (i !== -1) totals[i] += weight(types[i], row);
+    });
+    const base = [...totals];
+
+    const deviationOf = (measure) => getDeviation(measure, desired);
+    const shifted = (...changes) => totals.map((value, i) => changes.reduce((acc, change) => acc + change[i], value));
+
+    // Greedy start: each segment in turn takes the fill that suits the suites so far best
+    const used = kinds.map(kind => kind.fills.map(() => 0));
+    kindOf.forEach(k => {
+        const { measures } = kinds[k];
+        let best = 0;
+        measures.forEach((measure, f) => {
+            if (deviationOf(shifted(measure)) < deviationOf(shifted(measures[best])) - 1e-9) best = f;
+        });
+        used[k][best]++;
+        measures[best].forEach((value, i) => { totals[i] += value; });
+    });
+
+    // A move takes one segment of a kind from one fill to another
+    const listMoves = () => {
+        const moves = [];
+        kinds.forEach((kind, k) => used[k].forEach((n, from) => {
+            if (n === 0) return;
+            kind.fills.forEach((fill, to) => {
+                if (to !== from) moves.push({ k, from, to, change: kind.measures[to].map((value, i) => value - kind.measures[from][i]) });
+            });
+        }));
+        return moves;
+    };
+    const apply = (...moves) => moves.forEach(({ k, from, to, change }) => {
+        used[k][from]--;
+        used[k][to]++;
+        change.forEach((value, i) => { totals[i] += value; });
+    });
+
+    // The best `size` moves together, if they beat `current`; a fill gives up at most the segments it has
+    const bestCombination = (moves, size, current) => {
+        let best = null;
+        const chosen = [];
+        const pick = (first) => {
+            if (chosen.length === size) {
+                const value = deviationOf(shifted(...chosen.map(move => move.change)));
+                if (value < (best ? best.value : current) - 1e-9) best = { value, moves: [...chosen] };
+                return;
+            }
+            for (let i = first; i < moves.length; i++) {
+                const move = moves[i];
+                const giving = chosen.filter(other => other.k === move.k && other.from === move.from).length;
+                if (giving >= used[move.k][move.from]) continue;
+                chosen.push(move);
+                pick(i);
+                chosen.pop();
+            }
+        };
+        pick(0);
+        return best;
+    };
+    // Combinations of `size` out of `n` moves with repetition
+    const combinations = (n, size) => {
+        let result = 1;
+        for (let i = 0; i < size; i++) result = result * (n + i) / (i + 1);
+        return result;
+    };
+
+    for (let current = deviationOf(totals); ;) {
+        const moves = listMoves();
+        let best = null;
+        for (let size = 1; !best && size <= MAX_MOVES_AT_ONCE; size++) {
+            if (size > 1 && combinations(moves.length, size) > MAX_MOVE_COMBINATIONS) break;
+            best = bestCombination(moves, size, current);
+        }
+        if (!best) break;
+        apply(...best.moves);
+        current = best.value;
+    }
+    const chosen = searchFillCounts(kinds, base, desired, used, deviationOf(totals));
+
+    // Hand the chosen fills out to the segments of each kind in seeded order
+    const queues = chosen.map((counts, k) => shuffle(counts.flatMap((n, f) => Array(n).fill(f)), rng).map(f => kinds[k].fills[f]));
+    return kindOf.map(k => queues[k].shift().flatMap((n, i) => Array(n).fill(types[i].id)));
+}
+
+/**
+ * Branch and bound over the number of segments of each kind that take each
+ * fill, starting from the counts in `used` whose deviation is `value`, over
+ * totals that start at `base`.
+ * With S the total measure, the deviation is D = N / S where N sums
+ * |100 T_i - d_i S| over the types. For any choice of signs s, N - U S is at
+ * least the sum of s_i (100 T_i - d_i S) less U S, which is linear in the
+ * totals, so its least value over the segments still open is reached by
+ * each of them on its own. A branch is cut when, for some s, even that least
+ * value leaves no room below the best deviation U found so far.
+ * Returns the best counts found.
+ */
+function searchFillCounts(kinds, base, desired, used, value) {
+    const signs = Array.from({ length: 2 ** desired.length }, (_, bits) => desired.map((d, i) => (bits >> i) & 1 ? 1 : -1));
+    const segmentsOf = used.map(counts => counts.reduce((acc, n) => acc + n, 0));
+    let best = { value, counts: used };
+
+    // Per sign choice, the coefficient of each total in the linear bound and the
+    // least any one segment of a kind adds taking fill f or a later one
+    let coefficients;
+    let least;
+    let tail;
+    const weigh = () => {
+        coefficients = signs.map(s => {
+            const shift = s.reduce((acc, sign, i) => acc + sign * desired[i], 0) + best.value - 1e-9;
+            return s.map(sign => 100 * sign - shift);
+        });
+        const dot = (c, measure) => measure.reduce((acc, value, i) => acc + value * c[i], 0);
+        least = kinds.map(kind => {
+            const rows = kind.measures.map(measure => coefficients.map(c => dot(c, measure)));
+            for (let f = rows.length - 2; f >= 0; f--) rows[f] = rows[f].map((value, j) => Math.min(value, rows[f + 1][j]));
+            return rows;
+        });
+        tail = kinds.map(() => null);
+        tail[kinds.length] = signs.map(() => 0);
+        for (let k = kinds.length - 1; k >= 0; k--) tail[k] = tail[k + 1].map((value, j) => value + segmentsOf[k] * least[k][0][j]);
+    };
+    weigh();
+
+    const totals = [...base];
+    const counts = kinds.map(kind => kind.fills.map(() => 0));
+    const add = (k, f, n) => {
+        counts[k][f] += n;
+        kinds[k].measures[f].forEach((value, i) => { totals[i] += n * value; });
+    };
+    const isCut = (k, f, left) => coefficients.some((c, j) => {
+        const bound = totals.reduce((acc, value, i) => acc + value * c[i], 0) + left * least[k][f][j] + tail[k + 1][j];
+        return bound >= 0;
+    });
+
+    // Kinds already entered with the same totals, whose branches are settled
+    const seen = new Set();
+    let nodes = 0;
+    const visit = (k, f, left) => {
+        if (++nodes > MAX_SEARCH_NODES) return;
+        if (f === 0) {
+            const key = `${k}:${totals.map(value => Math.round(value * 1e6)).join()}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+        }
+        if (k === kinds.length) {
+            const value = getDeviation(totals, desired);
+            if (value < best.value - 1e-9) {
+                best = { value, counts: counts.map(row => [...row]) };
+                weigh();
+            }
+            return;
+        }
+        if (left === 0) {
+            visit(k + 1, 0, segmentsOf[k + 1]);
+            return;
+        }
+        if (isCut(k, f, left)) return;
+        const last = f === kinds[k].fills.length - 1;
+        for (let n = left; n >= (last ? left : 0); n--) {
+            add(k, f, n);
+            visit(k, f + 1, left - n);
+            add(k, f, -n);
+        }
+    };
+    visit(0, 0, segmentsOf[0]);
+    return best.counts;
+}
+
+// Sum of absolute percentage-point differences between the shares of `measure` and `desired`
+function getDeviation(measure, desired) {
+    const sum = measure.reduce((acc, value) => acc + value, 0);
+    return measure.reduce((acc, value, i) => acc + Math.abs((sum > 0 ? value / sum * 100 : 0) - desired[i]), 0);
+}
+
+/**
+ * Packs suites into row segments of the given lengths (in modules).
+ * Exact: segments are filled one at a time with every combination of suite
+ * sizes that fits, and leftovers already shown not to fit the remaining
+ * segments are remembered, so it only gives up when no packing exists. The
+ * seeded `rng` shuffles the order in which the segments are filled.
+ * Returns one array of suites per segment, or null if no packing was found.
+ */
+export function packSuites(suites, segmentLengths, rng) {
+    const sizes = [...new Set(suites.map(suite => suite.moduleCount))].sort((a, b) => b - a);
+    const left = sizes.map(size => suites.filter(suite => suite.moduleCount === size).length);
+    const order = shuffle(segmentLengths.map((_, i) => i), rng);
+    const room = order.map((_, position) => order.slice(position).reduce((acc, b) => acc + segmentLengths[b], 0));
+    const takes = order.map(() => sizes.map(() => 0));
+    const failed = new Set();
+
+    const place = (position) => {
+        const needed = left.reduce((acc, n, i) => acc + n * sizes[i], 0);
+        if (needed === 0) {
+            takes.slice(position).forEach(take => take.fill(0));
+            return true;
+        }
+        if (position === order.length || needed > room[position]) return false;
+        const key = `${position}:${left.join(',')}`;
+        if (failed.has(key)) return false;
+        const take = takes[position];
+        const fill = (i, space) => {
+            if (i === sizes.length) {
+                take.forEach((n, j) => { left[j] -= n; });
+                const placed = place(position + 1);
+                take.forEach((n, j) => { left[j] += n; });
+                return placed;
+            }
+            for (let n = Math.min(left[i], Math.floor(space / sizes[i])); n >= 0; n--) {
+                take[i] = n;
+                if (fill(i + 1, space - n * sizes[i])) return true;
+            }
+            take[i] = 0;
+            return false;
+        };
+        if (fill(0, segmentLengths[order[position]])) return true;
+        failed.add(key);
+        return false;
+    };
+
+    if (!place(0)) return null;
+    const bySize = sizes.map(size => suites.filter(suite => suite.moduleCount === size));
+    const segments = segmentLengths.map(() => []);
+    order.forEach((b, position) => takes[position].forEach((n, i) => segments[b].push(...bySize[i].splice(0, n))));
+    return segments;
+}
+
+// Every way to fill `length` modules with the types (largest first) that leaves the fewest slots empty, as counts per type
+function getFills(types, length) {
+    const reachable = [true];
+    for (let used = 1; used <= length; used++) reachable[used] = types.some(type => type.moduleCount <= used && reachable[used - type.moduleCount]);
+    const target = reachable.lastIndexOf(true);
+    const fills = [];
+    const counts = types.map(() => 0);
+    const fill = (i, space) => {
+        if (i === types.length) {
+            if (space === length - target) fills.push([...counts]);
+            return;
+        }
+        for (let n = Math.floor(space / types[i].moduleCount); n >= 0; n--) {
+            counts[i] = n;
+            fill(i + 1, space - n * types[i].moduleCount);
+        }
+        counts[i] = 0;
+    };
+    fill(0, length);
+    return fills;
+}
+
+// Fisher-Yates with the seeded generator, in place
+function shuffle(items, rng) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+function normalizeMix(types, mix) {
+    const total = types.reduce((acc, type) => acc + (mix[type.id] || 0), 0);
+    return types.map(type => total > 0 ? ((mix[type.id] || 0) / total) * 100 : 0);
+}
@@ -0,0 +1,157 @@
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+
+/**
+ * Exact factory module codes for a placed layout.
+ * A code list such as 'U03+U07' names one code per module of the suite, from
+ * the west end of the suite to the east. The north row runs along the corridor
+ * and takes a type's corridor codes; the south row takes its no-corridor codes.
+ * The elevator is resolved the same way, so its core in the south row takes
+ * its no-corridor code. An empty list or 'N/A' means the factory makes no such
+ * module.
+ */
+
+export const CODE_ISSUES = {
+    'split': 'Split suite',
+    'length': 'Suite length',
+    'code-count': 'Code list',
+    'no-code': 'No module',
+    'row': 'Wrong side'
+};
+
+const NO_MODULE = 'N/A';
+
+export function splitCodes(codeList) {
+    return codeList.split('+').map(code => code.trim()).filter(Boolean);
+}
+
+/** The code list a module takes in `row`. */
+export function getRowCodes(module, row) {
+    return row === 'north' ? module.codes.corridor : module.codes.noCorridor;
+}
+
+/**
+ * Resolves the code of every module in a layout. Returns `floors` in the shape
+ * of the layout with `{ code, part }` for each module, where `part` is the
+ * module's index within its suite and `code` is null when it cannot be
+ * resolved, and the `issues` found as `{ rule, floor, row, start, instanceId, message }`.
+ */
+export function resolveModuleCodes(floors, { catalogue = DEFAULT_CATALOGUE } = {}) {
+    const issues = [];
+    const resolved = floors.map((floor, floorIndex) => {
+        const result = { south: floor.south.map(() => null), north: floor.north.map(() => null) };
+        const issue = (rule, { row, start }, module, message) => {
+            issues.push({ rule, floor: floorIndex, row, start, instanceId: module.instanceId, message });
+        };
+
+        getInstances(floor).forEach(({ module, runs }) => {
+            const label = `${module.name} ${module.instanceId}`;
+            if (runs.length > 1) issue('split', runs[1], module, splitMessage(floor, label, runs, catalogue));
+            const length = runs.reduce((acc, run) => acc + run.length, 0);
+            if (length !== module.moduleCount) {
+                issue('length', runs[0], module, `${label} takes ${length} modules; ${module.name} suites take ${module.moduleCount}.`);
+            }
+
+            let part = 0;
+            runs.forEach(run => {
+                const isCorridorRow = run.row === 'north';
+                if (module.isCorridorSide !== undefined && module.isCorridorSide !== isCorridorRow) {
+                    issue('row', run, module, `${label} is set up for the ${isCorridorRow ? 'south' : 'north'} row but sits in the ${run.row} row.`);
+                }
+                const codes = splitCodes(getRowCodes(module, run.row));
+                if (codes.length === 0 || codes.includes(NO_MODULE)) {
+                    issue('no-code', run, module, noModuleMessage(module, run.row));
+                } else if (codes.length !== module.moduleCount) {
+                    const variant = isCorridorRow ? 'corridor' : 'no-corridor';
+                    issue('code-count', run, module, `The ${variant} codes of ${module.name} (${codes.join('+')}) list ${codes.length} modules for a ${module.moduleCount}-module suite.`);
+                }
+                const usable = codes.length > 0 && !codes.includes(NO_MODULE);
+                for (let i = 0; i < run.length; i++, part++) {
+                    result[run.row][run.start + i] = { code: usable && part < codes.length ? codes[part] : null, part };
+                }
+            });
+        });
+        return result;
+    });
+    return { floors: resolved, issues };
+}
+
+/**
+ * The fabrication bill of modules: how many of each code the layout needs,
+ * floor by floor, with the module types that use it. Each stair tower adds its
+ * stair codes on every floor. Returns `lines` as `{ code, usedIn, perFloor,
+ * total }` in code order, the modules whose code could not be resolved as
+ * `unresolved` `{ perFloor, total }`, the module `total` and the `issues`.
+ */
+export function getBillOfModules(floors, { catalogue = DEFAULT_CATALOGUE, includeStairs = true } = {}) {
+    const { floors: resolved, issues } = resolveModuleCodes(floors, { catalogue });
+    const lines = new Map();
+    const unresolved = { perFloor: floors.map(() => 0), total: 0 };
+    const add = (code, name, floorIndex, count) => {
+        const line = lines.get(code) || { code, usedIn: [], perFloor: floors.map(() => 0), total: 0 };
+        if (!line.usedIn.includes(name)) line.usedIn.push(name);
+        line.perFloor[floorIndex] += count;
+        line.total += count;
+        lines.set(code, line);
+    };
+
+    floors.forEach((floor, floorIndex) => {
+        ['south', 'north'].forEach(row => {
+            floor[row].forEach((module, i) => {
+                if (!module) return;
+                const { code } = resolved[floorIndex][row][i];
+                if (code !== null) {
+                    add(code, module.name, floorIndex, 1);
+                } else {
+                    unresolved.perFloor[floorIndex]++;
+                    unresolved.total++;
+                }
+            });
+        });
+        if (includeStairs) {
+            splitCodes(catalogue.stair.codes.noCorridor).forEach(code => add(code, catalogue.stair.name, floorIndex, 2));
+        }
+    });
+
+    const sorted = [...lines.values()].sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+    return {
+        lines: sorted,
+        unresolved,
+        total: sorted.reduce((acc, line) => acc + line.total, 0) + unresolved.total,
+        issues
+    };
+}
+
+// Each suite on a floor with the runs of modules it fills, south row first, west to east
+function getInstances(floor) {
+    const instances = new Map();
+    ['south', 'north'].forEach(row => {
+        floor[row].forEach((module, i) => {
+            if (!module) return;
+            const previous = floor[row][i - 1];
+            if (previous && previous.instanceId === module.instanceId) {
+                instances.get(module.instanceId).runs.at(-1).length++;
+                return;
+            }
+            if (!instances.has(module.instanceId)) instances.set(module.instanceId, { module, runs: [] });
+            instances.get(module.instanceId).runs.push({ row, start: i, length: 1 });
+        });
+    });
+    return [...instances.values()];
+}
+
+function splitMessage(floor, label, runs, catalogue) {
+    const [first, second] = runs;
+    if (first.row === second.row) {
+        const between = floor[first.row].slice(first.start + first.length, second.start);
+        if (between.some(module => module && module.id === catalogue.elevator.id)) return `${label} spans the elevator.`;
+        return `${label} is split in two along the ${first.row} row.`;
+    }
+    return `${label} is split between the south and north rows.`;
+}
+
+function noModuleMessage(module, row) {
+    const variant = row === 'north' ? 'corridor' : 'no-corridor';
+    const other = splitCodes(getRowCodes(module, row === 'north' ? 'south' : 'north')).filter(code => code !== NO_MODULE);
+    const fits = other.length > 0 ? ` Its ${row === 'north' ? 'no-corridor' : 'corridor'} code ${other.join('+')} only fits the ${row === 'north' ? 'south' : 'north'} row.` : '';
+    return `The ${module.name} in the ${row} row has no ${variant} module code.${fits}`;
+}
@@ -0,0 +1,168 @@
+import { assignInstanceIds } from './layout-engine.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+
+/**
+ * Manual edits to a generated layout.
+ * Every edit takes the whole layout plus the floor and suite it acts on, and
+ * returns a new layout (the input is never mutated) together with where the
+ * edited suite ended up, so the caller can keep it selected. Suites are
+ * addressed by `{ row, start }`, the row and first module index they occupy.
+ * The elevator never moves and no suite is ever pushed out of its row.
+ */
+
+/**
+ * Raised when an edit would break the plan rules.
+ */
+export class PlanEditError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PlanEditError';
+    }
+}
+
+/**
+ * Finds the suite (or elevator) covering module `index` of `row`.
+ * Returns `{ row, start, length, module }`, or null for an empty slot.
+ */
+export function getSuiteAt(floor, row, index) {
+    const modules = floor[row];
+    const module = modules[index];
+    if (!module) return null;
+    const sameSuite = (i) => modules[i] && modules[i].instanceId === module.instanceId;
+    let start = index;
+    while (start > 0 && sameSuite(start - 1)) start--;
+    let end = index;
+    while (end < modules.length - 1 && sameSuite(end + 1)) end++;
+    return { row, start, length: end - start + 1, module };
+}
+
+/**
+ * Lists the suites that are locked in place, for passing to `computeLayout`.
+ */
+export function getLockedSuites(floors) {
+    const locked = [];
+    floors.forEach((floor, floorIndex) => {
+        ['north', 'south'].forEach(row => {
+            floor[row].forEach((module, i) => {
+                const previous = floor[row][i - 1];
+                if (module && module.locked && !(previous && previous.instanceId === module.instanceId)) {
+                    locked.push({ floor: floorIndex, row, start: i, id: module.id });
+                }
+            });
+        });
+    });
+    return locked;
+}
+
+/**
+ * Moves a suite one step along its row (`direction` -1 for left, 1 for right)
+ * by trading places with the neighbouring suite or empty slot.
+ */
+export function moveSuite(floors, floorIndex, selection, direction, catalogue = DEFAULT_CATALOGUE) {
+    const floor = floors[floorIndex];
+    const suite = getEditableSuite(floor, selection);
+    const modules = floor[suite.row];
+    const neighbourIndex = direction < 0 ? suite.start - 1 : suite.start + suite.length;
+    if (neighbourIndex < 0 || neighbourIndex >= modules.length) {
+        throw new PlanEditError('The suite is already at the end of its row.');
+    }
+    const neighbour = getSuiteAt(floor, suite.row, neighbourIndex) || { start: neighbourIndex, length: 1, module: null };
+    if (neighbour.module && neighbour.module.id === catalogue.elevator.id) {
+        throw new PlanEditError('Suites cannot move past the elevator.');
+    }
+    if (neighbour.module && neighbour.module.locked) {
+        throw new PlanEditError('Suites cannot move past a locked suite.');
+    }
+
+    const first = direction < 0 ? neighbour : suite;
+    const second = direction < 0 ? suite : neighbour;
+    const row = [...modules];
+    const firstModules = modules.slice(first.start, first.start + first.length);
+    const secondModules = modules.slice(second.start, second.start + second.length);
+    row.splice(first.start, first.length + second.length, ...secondModules, ...firstModules);
+
+    const start = direction < 0 ? neighbour.start : suite.start + neighbour.length;
+    return finishEdit(floors, floorIndex, { ...floor, [suite.row]: row }, { row: suite.row, start }, catalogue);
+}
+
+/**
+ * Swaps two suites of the same width on one floor. They may be on different rows.
+ */
+export function swapSuites(floors, floorIndex, first, second, catalogue = DEFAULT_CATALOGUE) {
+    const floor = floors[floorIndex];
+    const a = getEditableSuite(floor, first);
+    const b = getEditableSuite(floor, second);
+    if (a.row === b.row && a.start === b.start) throw new PlanEditError('Pick a different suite to swap with.');
+    if (a.length !== b.length) throw new PlanEditError('Only suites of the same width can be swapped.');
+
+    const edited = { north: [...floor.north], south: [...floor.south] };
+    const place = (target, module) => {
+        for (let i = 0; i < target.length; i++) {
+            edited[target.row][target.start + i] = { ...module, isCorridorSide: target.row === 'north' };
+        }
+    };
+    place(a, b.module);
+    place(b, a.module);
+    return finishEdit(floors, floorIndex, edited, { row: b.row, start: b.start }, catalogue);
+}
+
+/**
+ * Changes a suite to another suite type in place. A smaller type leaves empty
+ * slots behind; a larger one grows into empty slots on its right, then its left.
+ */
+export function changeSuiteType(floors, floorIndex, selection, typeId, catalogue = DEFAULT_CATALOGUE) {
+    const type = catalogue.suiteTypes[typeId];
+    if (!type) throw new PlanEditError(`Unknown suite type "${typeId}".`);
+    const floor = floors[floorIndex];
+    const suite = getEditableSuite(floor, selection);
+    if (suite.module.id === typeId) return { floors, selection: { row: suite.row, start: suite.start } };
+
+    const modules = floor[suite.row];
+    let start = suite.start;
+    let end = suite.start + suite.length - 1;
+    while (end - start + 1 < type.moduleCount && end + 1 < modules.length && modules[end + 1] === null) end++;
+    while (end - start + 1 < type.moduleCount && start > 0 && modules[start - 1] === null) start--;
+    if (end - start + 1 < type.moduleCount) {
+        throw new PlanEditError(`There is not enough free space next to this suite for a ${type.name}.`);
+    }
+
+    const row = [...modules];
+    for (let i = suite.start; i < suite.start + suite.length; i++) row[i] = null;
+    const module = { ...type, instanceId: `edited-${typeId}`, isCorridorSide: suite.row === 'north' };
+    for (let i = 0; i < type.moduleCount; i++) row[start + i] = module;
+    return finishEdit(floors, floorIndex, { ...floor, [suite.row]: row }, { row: suite.row, start }, catalogue);
+}
+
+/**
+ * Locks or unlocks a suite. Locked suites cannot be edited and keep their
+ * place when the placement runs again.
+ */
+export function setSuiteLocked(floors, floorIndex, selection, locked, catalogue = DEFAULT_CATALOGUE) {
+    const floor = floors[floorIndex];
+    const suite = getSuite(floor, selection);
+    const row = [...floor[suite.row]];
+    for (let i = suite.start; i < suite.start + suite.length; i++) {
+        row[i] = { ...row[i], locked };
+    }
+    return finishEdit(floors, floorIndex, { ...floor, [suite.row]: row }, { row: suite.row, start: suite.start }, catalogue);
+}
+
+function getSuite(floor, { row, start }) {
+    if (!floor || !floor[row]) throw new PlanEditError('There is no floor plan to edit.');
+    const suite = getSuiteAt(floor, row, start);
+    if (!suite) throw new PlanEditError('There is no suite at that position.');
+    if (suite.module.id === 'elevator') throw new PlanEditError('The elevator cannot be edited.');
+    return suite;
+}
+
+function getEditableSuite(floor, selection) {
+    const suite = getSuite(floor, selection);
+    if (suite.module.locked) throw new PlanEditError('Unlock the suite before editing it.');
+    return suite;
+}
+
+// Instance ids are numbered left to right, so they are reassigned after every edit
+function finishEdit(floors, floorIndex, editedFloor, selection, catalogue) {
+    const edited = floors.map((floor, i) => i === floorIndex ? editedFloor : floor);
+    return { floors: assignInstanceIds(edited, catalogue), selection };
+}
@@ -0,0 +1,134 @@
+import { computeLayout } from './layout-engine.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { DEFAULT_PRICE_TABLE, estimateCost } from './cost-estimate.js';
+
+/**
+ * Revenue and pro forma figures for a priced layout.
+ * Assumptions hold a monthly rent and a sale price per suite type (keyed by
+ * suite type id), the vacancy and operating expense ratios and the cap rate,
+ * all as percentages. Operating expenses are a share of effective gross income.
+ */
+
+// Indicative market figures, to be replaced for each site
+export const DEFAULT_ASSUMPTIONS = Object.freeze({
+    rents: { 'studio': 1800, 'one-bed': 2300, 'two-bed': 3000, 'three-bed': 3700 },
+    salePrices: { 'studio': 380000, 'one-bed': 500000, 'two-bed': 680000, 'three-bed': 850000 },
+    vacancyPercent: 5,
+    opexPercent: 35,
+    capRatePercent: 5
+});
+
+/**
+ * Raised when a set of pro forma assumptions is malformed.
+ */
+export class ProFormaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProFormaError';
+    }
+}
+
+export function cloneAssumptions(assumptions = DEFAULT_ASSUMPTIONS) {
+    return JSON.parse(JSON.stringify(assumptions));
+}
+
+/**
+ * Checks a set of assumptions and returns a copy. Throws ProFormaError on the first problem.
+ */
+export function validateAssumptions(assumptions) {
+    const fail = (message) => { throw new ProFormaError(message); };
+    if (!isObject(assumptions)) fail('Pro forma assumptions are missing.');
+    ['rents', 'salePrices'].forEach(key => {
+        if (!isObject(assumptions[key])) fail(`Pro forma ${key === 'rents' ? 'rents' : 'sale prices'} are missing.`);
+        Object.entries(assumptions[key]).forEach(([id, value]) => {
+            if (!isAmount(value)) fail(`${key === 'rents' ? 'Rent' : 'Sale price'} for "${id}" must be a number of zero or more.`);
+        });
+    });
+    if (!isAmount(assumptions.vacancyPercent) || assumptions.vacancyPercent > 100) fail('Vacancy must be between 0 and 100%.');
+    if (!isAmount(assumptions.opexPercent) || assumptions.opexPercent > 100) fail('Operating expenses must be between 0 and 100%.');
+    if (!isAmount(assumptions.capRatePercent) || assumptions.capRatePercent === 0) fail('Cap rate must be more than 0%.');
+    return cloneAssumptions(assumptions);
+}
+
+/**
+ * Annual figures for the suite counts and total cost of a cost estimate.
+ * Suite types without a rent or sale price count as zero.
+ */
+export function getProForma(estimate, assumptions) {
+    const { rents, salePrices, vacancyPercent, opexPercent, capRatePercent } = assumptions;
+    const grossRent = estimate.suiteTypes.reduce((acc, type) => acc + type.count * (rents[type.id] || 0) * 12, 0);
+    const vacancyLoss = grossRent * vacancyPercent / 100;
+    const effectiveGrossIncome = grossRent - vacancyLoss;
+    const opex = effectiveGrossIncome * opexPercent / 100;
+    const noi = effectiveGrossIncome - opex;
+    const value = noi / (capRatePercent / 100);
+    const salesValue = estimate.suiteTypes.reduce((acc, type) => acc + type.count * (salePrices[type.id] || 0), 0);
+    return {
+        grossRent,
+        vacancyLoss,
+        effectiveGrossIncome,
+        opex,
+        noi,
+        value,
+        totalCost: estimate.total,
+        yieldOnCost: estimate.total > 0 ? noi / estimate.total : null,
+        salesValue,
+        marginOnCost: estimate.total > 0 ? (salesValue - estimate.total) / estimate.total : null
+    };
+}
+
+/**
+ * Moves one suite type's share by `delta` percentage points and rescales the
+ * other types so the mix still totals 100. Returns null when the share would
+ * leave 0-100 or no other type can absorb the change.
+ */
+export function shiftMix(mix, id, delta) {
+    const target = (mix[id] || 0) + delta;
+    const others = Object.keys(mix).filter(key => key !== id);
+    const othersTotal = others.reduce((acc, key) => acc + (mix[key] || 0), 0);
+    if (target < 0 || target > 100 || othersTotal <= 0) return null;
+
+    const scale = (100 - target) / othersTotal;
+    const shifted = { [id]: target };
+    others.forEach(key => { shifted[key] = Math.round((mix[key] || 0) * scale * 10) / 10; });
+    // Put the rounding remainder on the largest of the others
+    const largest = others.reduce((a, b) => shifted[b] > shifted[a] ? b : a);
+    shifted[largest] = Math.round((shifted[largest] + 100 - Object.values(shifted).reduce((acc, v) => acc + v, 0)) * 10) / 10;
+    return Object.fromEntries(Object.keys(mix).map(key => [key, shifted[key]]));
+}
+
+/**
+ * Reruns the placement with each suite type's share moved by -`step` and +`step`
+ * points, so the figures follow the suite counts that actually fit.
+ * `inputs` are the `computeLayout` inputs, including any locked suites.
+ * Returns the base case and one row per suite type with `{ delta, mix, counts, proForma }`
+ * cases, or null for a case that cannot be built.
+ */
+export function getMixSensitivity(inputs, assumptions, { prices = DEFAULT_PRICE_TABLE, step = 10 } = {}) {
+    const catalogue = inputs.catalogue || DEFAULT_CATALOGUE;
+    const run = (mix) => {
+        const { floors } = computeLayout({ ...inputs, mix });
+        const estimate = estimateCost(floors, inputs, { catalogue, prices });
+        const counts = Object.fromEntries(estimate.suiteTypes.map(type => [type.id, type.count]));
+        return { mix, counts, proForma: getProForma(estimate, assumptions) };
+    };
+
+    const base = run(inputs.mix);
+    const rows = Object.values(catalogue.suiteTypes).map(type => ({
+        id: type.id,
+        name: type.name,
+        cases: [-step, step].map(delta => {
+            const mix = shiftMix(inputs.mix, type.id, delta);
+            return mix ? { delta, ...run(mix) } : null;
+        })
+    }));
+    return { base, rows };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
@@ -0,0 +1,344 @@
+import { CONSTANTS } from './constants.js';
+import { getGridSize, assignInstanceIds } from './layout-engine.js';
+import { DEFAULT_SEED } from './rng.js';
+import { MIX_OBJECTIVES } from './mix-solver.js';
+import { CatalogueError, cloneCatalogue, getModuleInfo, validateCatalogue } from './catalogue.js';
+import { CodeRulesError, getCodeRules, validateCodeRules } from './code-check.js';
+import { PriceTableError, clonePriceTable, validatePriceTable } from './cost-estimate.js';
+import { ProFormaError, cloneAssumptions, validateAssumptions } from './pro-forma.js';
+import { SiteError, validateSite } from './site.js';
+import { SunSettingsError, cloneSunSettings, validateSunSettings } from './sun-study.js';
+import { LevelsError, validateLevels } from './levels.js';
+
+/**
+ * Versioned JSON project documents.
+ * A document holds the project inputs, the unit setting, the suite mix, whether
+ * placement aligns suites between floors and how many floor types it may use,
+ * the current floor, the building code rules, the price table, the pro forma
+ * assumptions, the site (or null), the sun study settings, the non-residential
+ * levels and the exact per-floor module arrays, so a saved layout can be shown
+ * again without re-running the placement. Named
+ * scenarios are stored alongside, each with the same fields as the document itself.
+ */
+
+export const PROJECT_FILE_FORMAT = 'stack-config-project';
+export const PROJECT_FILE_VERSION = 16;
+
+/**
+ * Upgrades a document from the keyed version to the next one.
+ * Add an entry here whenever PROJECT_FILE_VERSION is bumped.
+ */
+const MIGRATIONS = {
+    // v2 added the placement seed and replaced random instance ids with stable ones
+    1: (doc) => ({
+        ...doc,
+        seed: DEFAULT_SEED,
+        layout: Array.isArray(doc.layout) ? assignInstanceIds(doc.layout) : doc.layout
+    }),
+    // v3 added the objective the suite mix is measured by
+    2: (doc) => ({ ...doc, mixObjective: 'count' }),
+    // v4 made the building depth editable as a pair of south/north module depths
+    3: (doc) => ({
+        ...doc,
+        projectData: isObject(doc.projectData)
+            ? { southDepth: CONSTANTS.SOUTH_DEPTH_METRIC, northDepth: CONSTANTS.NORTH_DEPTH_METRIC, ...doc.projectData }
+            : doc.projectData
+    }),
+    // v5 stored the module catalogue with the project
+    4: (doc) => ({ ...doc, catalogue: cloneCatalogue() }),
+    // v6 added named scenarios
+    5: (doc) => ({ ...doc, scenarios: [] }),
+    // v7 added the building code rules, for the project and each scenario
+    6: (doc) => addToProjectAndScenarios(doc, () => ({ codeRules: getCodeRules() })),
+    // v8 added the price table for cost estimates
+    7: (doc) => addToProjectAndScenarios(doc, () => ({ priceTable: clonePriceTable() })),
+    // v9 added the pro forma assumptions
+    8: (doc) => addToProjectAndScenarios(doc, () => ({ proForma: cloneAssumptions() })),
+    // v10 added the site and zoning limits, none until one is drawn
+    9: (doc) => addToProjectAndScenarios(doc, () => ({ site: null })),
+    // v11 added the location, orientation, date and time of the sun study
+    10: (doc) => addToProjectAndScenarios(doc, () => ({ sun: cloneSunSettings() })),
+    // v12 added placement that aligns suites between floors
+    11: (doc) => addToProjectAndScenarios(doc, () => ({ stacking: false })),
+    // v13 added the cap on distinct floor types, none by default
+    12: (doc) => addToProjectAndScenarios(doc, () => ({ maxFloorTypes: null })),
+    // v14 added non-residential podium and roof levels
+    13: (doc) => addToProjectAndScenarios(doc, () => ({ levels: [] })),
+    // v15 replaced the sun study's building rotation with the plan's north bearing, from which a site placement turns the building
+    14: (doc) => addToProjectAndScenarios(doc, rotationToNorthBearing),
+    // v16 gave the elevator, which sits in the south row, its code as a no-corridor code
+    15: (doc) => addToProjectAndScenarios(doc, moveElevatorCode)
+};
+
+/**
+ * Raised when a project document is malformed or from an unsupported version.
+ */
+export class ProjectFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectFileError';
+    }
+}
+
+/**
+ * Builds a plain project document from the app state.
+ * `scenarios` is a list of `{ name, project }`, where `project` has the same
+ * fields as the app state passed in here.
+ */
+export function serializeProject({ scenarios = [], ...project }) {
+    return {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        savedAt: new Date().toISOString(),
+        ...serializeState(project),
+        scenarios: scenarios.map(scenario => ({ name: scenario.name, ...serializeState(scenario.project) }))
+    };
+}
+
+function serializeState({ projectData, unit, mix, mixObjective, stacking = false, maxFloorTypes = null, seed, currentFloor, layout, catalogue, codeRules = getCodeRules(), priceTable = clonePriceTable(), proForma = cloneAssumptions(), site = null, sun = cloneSunSettings(), levels = [] }) {
+    const serializeModule = (module) => {
+        if (!module) return null;
+        return module.locked ? { id: module.id, instanceId: module.instanceId, locked: true } : { id: module.id, instanceId: module.instanceId };
+    };
+    return {
+        unit,
+        projectData: { ...projectData },
+        mix: { ...mix },
+        mixObjective,
+        stacking,
+        maxFloorTypes,
+        seed,
+        currentFloor,
+        catalogue: cloneCatalogue(catalogue),
+        codeRules: { ...codeRules },
+        priceTable: clonePriceTable(priceTable),
+        proForma: cloneAssumptions(proForma),
+        site: site ? validateSite(site) : null,
+        sun: cloneSunSettings(sun),
+        levels: validateLevels(levels),
+        layout: layout.map(floor => ({
+            north: floor.north.map(serializeModule),
+            south: floor.south.map(serializeModule)
+        }))
+    };
+}
+
+/**
+ * Parses a project document (JSON text or object), migrates it to the current
+ * version and validates it. Returns the restored state with full module objects
+ * and its `scenarios` as `{ name, project }` in the same shape.
+ */
+export function parseProject(source) {
+    let doc = source;
+    if (typeof source === 'string') {
+        try {
+            doc = JSON.parse(source);
+        } catch (err) {
+            throw new ProjectFileError(`File is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!isObject(doc) || doc.format !== PROJECT_FILE_FORMAT) {
+        throw new ProjectFileError('File is not a Stack Config project.');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new ProjectFileError('Project file has no valid version.');
+    }
+    if (doc.version > PROJECT_FILE_VERSION) {
+        throw new ProjectFileError(`Project file version ${doc.version} is newer than this app supports (${PROJECT_FILE_VERSION}).`);
+    }
+
+    doc = migrateProject(doc);
+    const project = hydrateState(doc, validateProject(doc));
+
+    if (!Array.isArray(doc.scenarios)) throw new ProjectFileError('Scenarios must be an array.');
+    project.scenarios = doc.scenarios.map((scenario, i) => {
+        if (!isObject(scenario) || typeof scenario.name !== 'string' || scenario.name.trim() === '') {
+            throw new ProjectFileError(`Scenario ${i + 1} needs a name.`);
+        }
+        let catalogue;
+        try {
+            catalogue = validateProject(scenario);
+        } catch (err) {
+            if (err instanceof ProjectFileError) throw new ProjectFileError(`Scenario "${scenario.name}": ${err.message}`);
+            throw err;
+        }
+        return { name: scenario.name.trim(), project: hydrateState(scenario, catalogue) };
+    });
+    return project;
+}
+
+function hydrateState(doc, catalogue) {
+    const hydrateModule = (entry, row) => entry ? hydrate(catalogue, entry, row) : null;
+    return {
+        unit: doc.unit,
+        projectData: { ...doc.projectData, depth: doc.projectData.southDepth + doc.projectData.northDepth },
+        mix: { ...doc.mix },
+        mixObjective: doc.mixObjective,
+        stacking: doc.stacking,
+        maxFloorTypes: doc.maxFloorTypes,
+        seed: doc.seed,
+        currentFloor: Math.min(doc.currentFloor, Math.max(0, doc.layout.length - 1)),
+        catalogue,
+        codeRules: validateCodeRules(doc.codeRules),
+        priceTable: validatePriceTable(doc.priceTable),
+        proForma: validateAssumptions(doc.proForma),
+        site: doc.site === null ? null : validateSite(doc.site),
+        sun: validateSunSettings(doc.sun),
+        levels: validateLevels(doc.levels),
+        layout: doc.layout.map(floor => ({
+            north: floor.north.map(entry => hydrateModule(entry, 'north')),
+            south: floor.south.map(entry => hydrateModule(entry, 'south'))
+        }))
+    };
+}
+
+function migrateProject(doc) {
+    let migrated = { ...doc };
+    while (migrated.version < PROJECT_FILE_VERSION) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new ProjectFileError(`No migration from project file version ${migrated.version}.`);
+        }
+        migrated = { ...migrate(migrated), version: migrated.version + 1 };
+    }
+    return migrated;
+}
+
+/**
+ * Throws ProjectFileError on the first problem; returns the validated catalogue.
+ */
+function validateProject(doc) {
+    const fail = (message) => { throw new ProjectFileError(message); };
+    const { projectData, mix, layout } = doc;
+
+    let catalogue;
+    try {
+        catalogue = validateCatalogue(doc.catalogue);
+    } catch (err) {
+        if (err instanceof CatalogueError) fail(`Catalogue: ${err.message}`);
+        throw err;
+    }
+
+    if (doc.unit !== 'metric' && doc.unit !== 'imperial') fail('Unit must be "metric" or "imperial".');
+    if (!isObject(projectData)) fail('Project inputs are missing.');
+    ['width', 'height', 'floorHeight', 'southDepth', 'northDepth'].forEach(key => {
+        if (!isPositiveNumber(projectData[key])) fail(`Project input "${key}" must be a positive number.`);
+    });
+    if (typeof projectData.includeStairs !== 'boolean') fail('Project input "includeStairs" must be true or false.');
+
+    if (!isObject(mix)) fail('Suite mix is missing.');
+    Object.entries(mix).forEach(([id, value]) => {
+        if (!catalogue.suiteTypes[id]) fail(`Suite mix has an unknown suite type "${id}".`);
+        if (typeof value !== 'number' || value < 0 || value > 100) fail(`Suite mix value for "${id}" must be between 0 and 100.`);
+    });
+
+    if (!MIX_OBJECTIVES[doc.mixObjective]) fail(`Mix objective must be one of: ${Object.keys(MIX_OBJECTIVES).join(', ')}.`);
+    if (typeof doc.stacking !== 'boolean') fail('Stacking must be true or false.');
+    if (doc.maxFloorTypes !== null && !(Number.isInteger(doc.maxFloorTypes) && doc.maxFloorTypes >= 1)) fail('Max floor types must be a whole number of 1 or more, or empty.');
+    if (!Number.isInteger(doc.seed) || doc.seed < 0) fail('Seed must be a non-negative integer.');
+    if (!Number.isInteger(doc.currentFloor) || doc.currentFloor < 0) fail('Current floor must be a non-negative integer.');
+    try {
+        validateCodeRules(doc.codeRules);
+    } catch (err) {
+        if (err instanceof CodeRulesError) fail(`Code rules: ${err.message}`);
+        throw err;
+    }
+    try {
+        validatePriceTable(doc.priceTable);
+    } catch (err) {
+        if (err instanceof PriceTableError) fail(`Price table: ${err.message}`);
+        throw err;
+    }
+    try {
+        validateAssumptions(doc.proForma);
+    } catch (err) {
+        if (err instanceof ProFormaError) fail(`Pro forma: ${err.message}`);
+        throw err;
+    }
+    try {
+        if (doc.site !== null) validateSite(doc.site);
+    } catch (err) {
+        if (err instanceof SiteError) fail(`Site: ${err.message}`);
+        throw err;
+    }
+    try {
+        validateSunSettings(doc.sun);
+    } catch (err) {
+        if (err instanceof SunSettingsError) fail(`Sun: ${err.message}`);
+        throw err;
+    }
+    try {
+        validateLevels(doc.levels);
+    } catch (err) {
+        if (err instanceof LevelsError) fail(`Levels: ${err.message}`);
+        throw err;
+    }
+    if (!Array.isArray(layout)) fail('Layout must be an array of floors.');
+    if (layout.length === 0) return catalogue;
+
+    const { singleSideModules, numFloors } = getGridSize(projectData);
+    if (layout.length !== numFloors) fail(`Layout has ${layout.length} floors but the inputs give ${numFloors}.`);
+    layout.forEach((floor, floorIndex) => {
+        ['north', 'south'].forEach(row => {
+            if (!isObject(floor) || !Array.isArray(floor[row]) || floor[row].length !== singleSideModules) {
+                fail(`Floor ${floorIndex + 1} ${row} row must have ${singleSideModules} modules.`);
+            }
+            floor[row].forEach((entry, i) => {
+                if (entry === null) return;
+                if (!isObject(entry) || typeof entry.instanceId !== 'string' || !moduleInfo(catalogue, entry.id)) {
+                    fail(`Floor ${floorIndex + 1} ${row} module ${i + 1} is not a known module.`);
+                }
+                if (entry.locked !== undefined && typeof entry.locked !== 'boolean') {
+                    fail(`Floor ${floorIndex + 1} ${row} module ${i + 1} has an invalid lock flag.`);
+                }
+            });
+        });
+    });
+    return catalogue;
+}
+
+function hydrate(catalogue, entry, row) {
+    const module = { ...moduleInfo(catalogue, entry.id), instanceId: entry.instanceId, isCorridorSide: row === 'north' };
+    return entry.locked ? { ...module, locked: true } : module;
+}
+
+/** Modules that can sit in a floor row: suite types and the elevator (stairs are drawn separately). */
+function moduleInfo(catalogue, id) {
+    if (id === catalogue.stair.id) return null;
+    return getModuleInfo(catalogue, id);
+}
+
+// Adds new fields to the document and to each of its scenarios
+function addToProjectAndScenarios(doc, fields) {
+    return {
+        ...doc,
+        ...fields(doc),
+        scenarios: Array.isArray(doc.scenarios)
+            ? doc.scenarios.map(scenario => isObject(scenario) ? { ...scenario, ...fields(scenario) } : scenario)
+            : doc.scenarios
+    };
+}
+
+// Sets the north bearing that keeps the building facing the way the sun rotation had it
+function rotationToNorthBearing({ site, sun }) {
+    if (!isObject(sun)) return {};
+    const { rotation = 0, ...settings } = sun;
+    const placed = isObject(site) && isObject(site.placement) ? site.placement.rotation : 0;
+    return { sun: { ...settings, northBearing: rotation + placed } };
+}
+
+// Only the old default is moved; an edited elevator code is left to the code checks
+function moveElevatorCode({ catalogue }) {
+    if (!isObject(catalogue) || !isObject(catalogue.elevator) || !isObject(catalogue.elevator.codes)) return {};
+    const { codes } = catalogue.elevator;
+    if (codes.noCorridor !== 'N/A' || codes.corridor !== 'U16') return {};
+    return { catalogue: { ...catalogue, elevator: { ...catalogue.elevator, codes: { noCorridor: 'U16', corridor: 'N/A' } } } };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
@@ -0,0 +1,115 @@
+/**
+ * Library of projects kept in the browser's IndexedDB, so it works offline.
+ * A record is `{ id, name, modified, thumbnail, document }`: `modified` is a
+ * timestamp in milliseconds, `thumbnail` an SVG string and `document` a
+ * project document as built by `serializeProject`.
+ */
+
+export const LIBRARY_DB_NAME = 'stack-config-library';
+const LIBRARY_DB_VERSION = 1;
+const PROJECTS = 'projects';
+const SETTINGS = 'settings';
+
+/**
+ * Raised when browser storage is unavailable or a project is missing.
+ */
+export class ProjectLibraryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectLibraryError';
+    }
+}
+
+/**
+ * Suggests the next free default name, e.g. "Untitled project 2".
+ */
+export function createProjectName(records, base = 'Untitled project') {
+    const names = new Set(records.map(record => record.name));
+    if (!names.has(base)) return base;
+    let n = 2;
+    while (names.has(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+}
+
+export class ProjectLibrary {
+    static async open(factory = globalThis.indexedDB) {
+        if (!factory) throw new ProjectLibraryError('This browser does not offer local storage for projects.');
+        const openRequest = factory.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        openRequest.onupgradeneeded = () => {
+            const db = openRequest.result;
+            db.createObjectStore(PROJECTS, { keyPath: 'id' });
+            db.createObjectStore(SETTINGS);
+        };
+        try {
+            return new ProjectLibrary(await request(openRequest));
+        } catch (err) {
+            throw new ProjectLibraryError(`Local storage could not be opened: ${err.message}`);
+        }
+    }
+
+    constructor(db) {
+        this.db = db;
+    }
+
+    /** Every project without its document, most recently modified first. */
+    async list() {
+        const records = await this.run(PROJECTS, 'readonly', store => store.getAll());
+        return records
+            .map(({ document, ...summary }) => summary)
+            .sort((a, b) => b.modified - a.modified);
+    }
+
+    async get(id) {
+        const record = await this.run(PROJECTS, 'readonly', store => store.get(id));
+        if (!record) throw new ProjectLibraryError('The project is no longer in the library.');
+        return record;
+    }
+
+    /**
+     * Adds a project, or replaces it when `id` is given. Returns the stored record.
+     */
+    async save({ id = createId(), name, thumbnail = '', document }) {
+        const record = { id, name, modified: Date.now(), thumbnail, document };
+        await this.run(PROJECTS, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    async rename(id, name) {
+        const record = await this.get(id);
+        return this.save({ ...record, name });
+    }
+
+    async duplicate(id, name) {
+        const { id: _, ...record } = await this.get(id);
+        return this.save({ ...record, name });
+    }
+
+    async remove(id) {
+        await this.run(PROJECTS, 'readwrite', store => store.delete(id));
+    }
+
+    async getLastProjectId() {
+        return (await this.run(SETTINGS, 'readonly', store => store.get('lastProjectId'))) || null;
+    }
+
+    async setLastProjectId(id) {
+        await this.run(SETTINGS, 'readwrite', store => store.put(id, 'lastProjectId'));
+    }
+
+    run(storeName, mode, action) {
+        const transaction = this.db.transaction(storeName, mode);
+        return request(action(transaction.objectStore(storeName)));
+    }
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function createId() {
+    if (globalThis.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
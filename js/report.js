@@ -0,0 +1,276 @@
+import { CONSTANTS } from './constants.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { MIX_OBJECTIVES } from './mix-solver.js';
+import { getBuildingAreas, summarizeLayout } from './layout-engine.js';
+import { getResidentialFloorLabel } from './levels.js';
+import { getSummaryTable } from './schedule-export.js';
+import { formatArea, formatLength } from './units.js';
+
+/**
+ * Printable PDF report of a project: the inputs, the suite mix chart and
+ * detailed summary, a scaled plan of every floor and an axonometric view.
+ * Pages are A4 landscape and drawn with jsPDF, which the caller passes in.
+ * Images are `{ dataUrl, width, height }` in pixels and may be omitted.
+ */
+
+const PAGE = { width: 297, height: 210, margin: 15 }; // mm
+const PLAN_SCALES = [50, 100, 200, 250, 500, 1000, 2000];
+const TEXT_COLOR = '#1f2937';
+const LINE_COLOR = '#6b7280';
+const EMPTY_COLOR = '#d1d5db';
+
+export function createReport(jsPDF, project, { title = 'Stack Config Report', date = new Date(), chartImage = null, axonometricImage = null } = {}) {
+    const { projectData, unit, layout } = project;
+    const catalogue = project.catalogue || DEFAULT_CATALOGUE;
+    const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+    doc.setTextColor(TEXT_COLOR);
+
+    drawInputsPage(doc, project, catalogue, title, date);
+
+    if (layout.length > 0) {
+        doc.addPage();
+        drawSummaryPage(doc, project, catalogue, chartImage);
+        layout.forEach((floor, i) => {
+            doc.addPage();
+            drawPlanPage(doc, floor, getResidentialFloorLabel(i, project.levels), projectData, unit, catalogue);
+        });
+    }
+
+    if (axonometricImage) {
+        doc.addPage();
+        heading(doc, 'Axonometric View');
+        drawImage(doc, axonometricImage, PAGE.margin, PAGE.margin + 12, PAGE.width - 2 * PAGE.margin, PAGE.height - 2 * PAGE.margin - 20);
+    }
+
+    const pages = doc.getNumberOfPages();
+    for (let page = 1; page <= pages; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.text(`${title} · Page ${page} of ${pages}`, PAGE.width - PAGE.margin, PAGE.height - 8, { align: 'right' });
+    }
+    return doc;
+}
+
+function drawInputsPage(doc, project, catalogue, title, date) {
+    const { projectData, unit, mix, mixObjective, seed } = project;
+    const areas = getBuildingAreas(projectData);
+
+    doc.setFontSize(22);
+    doc.text(title, PAGE.margin, PAGE.margin + 8);
+    doc.setFontSize(10);
+    doc.text(date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }), PAGE.margin, PAGE.margin + 15);
+
+    let y = PAGE.margin + 28;
+    doc.setFontSize(14);
+    doc.text('Project Inputs', PAGE.margin, y);
+    drawTable(doc, [
+        ['Input', 'Value'],
+        ['Width', `${formatLength(areas.width, unit)} (${areas.singleSideModules} modules)`],
+        ['Depth', `${formatLength(areas.depth, unit)} (south ${formatLength(projectData.southDepth, unit)}, north ${formatLength(projectData.northDepth, unit)})`],
+        ['Height', `${formatLength(areas.height, unit)} (${areas.numFloors} residential floors)`],
+        ['Floor height', formatLength(projectData.floorHeight, unit)],
+        ['Stairs', projectData.includeStairs ? 'Included' : 'Not included'],
+        ['Modules', `${areas.singleSideModules * 2} per floor, ${areas.singleSideModules * 2 * areas.numFloors} in total`],
+        ['Footprint', formatArea(areas.footprintArea, unit)],
+        ['Gross floor area', formatArea(areas.grossFloorArea, unit)],
+        ['Mix measured by', MIX_OBJECTIVES[mixObjective] || mixObjective],
+        ['Placement seed', String(seed)]
+    ], PAGE.margin, y + 4, [45, 85]);
+
+    doc.setFontSize(14);
+    doc.text('Requested Suite Mix', PAGE.margin + 150, y);
+    drawTable(doc, [
+        ['Suite type', 'Modules', 'Desired %'],
+        ...Object.values(catalogue.suiteTypes).map(type => [type.name, type.moduleCount, `${(mix[type.id] || 0).toFixed(0)}%`])
+    ], PAGE.margin + 150, y + 4, [55, 25, 25]);
+}
+
+function drawSummaryPage(doc, project, catalogue, chartImage) {
+    const { projectData, unit, mix, mixObjective, layout } = project;
+    heading(doc, 'Suite Mix and Summary');
+
+    let tableY = PAGE.margin + 16;
+    if (chartImage) {
+        drawImage(doc, chartImage, PAGE.margin, PAGE.margin + 12, 80, 80);
+        tableY = PAGE.margin + 98;
+    }
+    const summary = summarizeLayout(layout, { ...projectData, mix, mixObjective, catalogue });
+    const rows = getSummaryTable(summary, { unit, catalogue }).map((row, i) => i === 0 ? row : row.map((value, col) => {
+        if (value === '') return '---';
+        if (col === 5 || col === 6) return `${value}%`;
+        return col === 7 ? value.toLocaleString(undefined, { maximumFractionDigits: 0 }) : value;
+    }));
+    drawTable(doc, rows, PAGE.margin, tableY, [52, 20, 20, 38, 38, 22, 22, 35], { boldLast: true });
+}
+
+function drawPlanPage(doc, floor, title, projectData, unit, catalogue) {
+    const { southDepth, northDepth, includeStairs } = projectData;
+    const { MODULE_WIDTH_METRIC, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = CONSTANTS;
+    const modules = floor.south.length;
+    const width = modules * MODULE_WIDTH_METRIC;
+    const depth = southDepth + northDepth;
+    const stairWidth = includeStairs ? STAIR_WIDTH_METRIC : 0;
+    const overallWidth = width + 2 * stairWidth;
+
+    // Largest drawing scale at which the plan and its dimensions fit the page
+    const available = { width: PAGE.width - 2 * PAGE.margin - 20, height: PAGE.height - 2 * PAGE.margin - 60 };
+    const scale = PLAN_SCALES.find(s => overallWidth * 1000 / s <= available.width && depth * 1000 / s <= available.height) || PLAN_SCALES[PLAN_SCALES.length - 1];
+    const mm = (metres) => metres * 1000 / scale;
+
+    heading(doc, title);
+    doc.setFontSize(9);
+    doc.text(`Scale 1:${scale} at A4`, PAGE.width - PAGE.margin, PAGE.margin + 6, { align: 'right' });
+
+    const originX = (PAGE.width - mm(overallWidth)) / 2 + mm(stairWidth);
+    const originY = PAGE.margin + 30;
+    const rowTop = { north: originY, south: originY + mm(northDepth) };
+    const rowDepth = { north: northDepth, south: southDepth };
+
+    // North is up: the corridor-side north row above the south row
+    doc.setLineWidth(0.1);
+    doc.setDrawColor(LINE_COLOR);
+    ['north', 'south'].forEach(row => {
+        floor[row].forEach((module, i) => {
+            doc.setFillColor(module ? module.color : EMPTY_COLOR);
+            doc.rect(originX + mm(i * MODULE_WIDTH_METRIC), rowTop[row], mm(MODULE_WIDTH_METRIC), mm(rowDepth[row]), 'FD');
+        });
+    });
+
+    // Suite outlines and tags
+    doc.setLineWidth(0.4);
+    doc.setFontSize(7);
+    ['north', 'south'].forEach(row => {
+        let start = 0;
+        floor[row].forEach((module, i) => {
+            const next = floor[row][i + 1];
+            if (next && module && next.instanceId === module.instanceId) return;
+            if (module) {
+                const x = originX + mm(start * MODULE_WIDTH_METRIC);
+                const suiteWidth = mm((i - start + 1) * MODULE_WIDTH_METRIC);
+                doc.rect(x, rowTop[row], suiteWidth, mm(rowDepth[row]), 'S');
+                doc.text(module.tag, x + suiteWidth / 2, rowTop[row] + mm(rowDepth[row]) / 2, { align: 'center', baseline: 'middle' });
+            }
+            start = i + 1;
+        });
+    });
+
+    doc.setLineDashPattern([1, 1], 0);
+    doc.line(originX, rowTop.south, originX + mm(width), rowTop.south);
+    doc.setLineDashPattern([], 0);
+
+    if (includeStairs) {
+        doc.setLineWidth(0.1);
+        const stairY = originY + mm(depth - STAIR_DEPTH_METRIC) / 2;
+        [originX - mm(stairWidth), originX + mm(width)].forEach(x => {
+            doc.setFillColor(catalogue.stair.color); // text() resets the fill colour
+            doc.rect(x, stairY, mm(stairWidth), mm(STAIR_DEPTH_METRIC), 'FD');
+            doc.text(catalogue.stair.tag, x + mm(stairWidth) / 2, originY + mm(depth) / 2, { align: 'center', baseline: 'middle' });
+        });
+    }
+
+    // Dimensions
+    const left = originX - mm(stairWidth);
+    const right = originX + mm(width + stairWidth);
+    const bottom = originY + mm(depth);
+    doc.setLineWidth(0.2);
+    doc.setDrawColor('#374151');
+    doc.setFontSize(8);
+    dimension(doc, left, bottom + 6, right, bottom + 6, formatLength(overallWidth, unit));
+    dimension(doc, right + 6, rowTop.north, right + 6, rowTop.south, formatLength(northDepth, unit), true);
+    dimension(doc, right + 6, rowTop.south, right + 6, bottom, formatLength(southDepth, unit), true);
+    dimension(doc, left - 6, originY, left - 6, bottom, formatLength(depth, unit));
+
+    // North arrow
+    doc.setFillColor(TEXT_COLOR);
+    doc.triangle(PAGE.margin + 4, PAGE.margin + 14, PAGE.margin + 1.5, PAGE.margin + 20, PAGE.margin + 6.5, PAGE.margin + 20, 'F');
+    doc.text('N', PAGE.margin + 4, PAGE.margin + 12, { align: 'center' });
+
+    drawLegend(doc, floor, catalogue, includeStairs, bottom + 18);
+}
+
+// Swatch, name and suite count on this floor for each module type shown
+function drawLegend(doc, floor, catalogue, includeStairs, y) {
+    const counts = new Map();
+    [...floor.north, ...floor.south].forEach(module => {
+        if (!module) return;
+        if (!counts.has(module.id)) counts.set(module.id, new Set());
+        counts.get(module.id).add(module.instanceId);
+    });
+    const entries = [
+        ...Object.values(catalogue.suiteTypes).filter(type => counts.has(type.id)).map(type => [type, `${type.name} (${counts.get(type.id).size})`]),
+        ...(counts.has(catalogue.elevator.id) ? [[catalogue.elevator, catalogue.elevator.name]] : []),
+        ...(includeStairs ? [[catalogue.stair, catalogue.stair.name]] : [])
+    ];
+
+    doc.setFontSize(9);
+    doc.setLineWidth(0.1);
+    doc.setDrawColor(LINE_COLOR);
+    let x = PAGE.margin;
+    entries.forEach(([type, label]) => {
+        doc.setFillColor(type.color);
+        doc.rect(x, y - 3, 4, 4, 'FD');
+        doc.text(label, x + 6, y);
+        x += 12 + doc.getTextWidth(label);
+        if (x > PAGE.width - PAGE.margin - 40) {
+            x = PAGE.margin;
+            y += 7;
+        }
+    });
+}
+
+// Labels go above horizontal lines and left of vertical ones, or right with `labelRight`
+function dimension(doc, x1, y1, x2, y2, label, labelRight = false) {
+    const vertical = x1 === x2;
+    const tick = 1.2;
+    doc.line(x1, y1, x2, y2);
+    if (vertical) {
+        doc.line(x1 - tick, y1, x1 + tick, y1);
+        doc.line(x2 - tick, y2, x2 + tick, y2);
+        // jsPDF aligns rotated text along x, so centre it by hand; it reads bottom to top
+        doc.text(label, labelRight ? x1 + 4 : x1 - 1.5, (y1 + y2) / 2 + doc.getTextWidth(label) / 2, { angle: 90 });
+    } else {
+        doc.line(x1, y1 - tick, x1, y1 + tick);
+        doc.line(x2, y2 - tick, x2, y2 + tick);
+        doc.text(label, (x1 + x2) / 2, y1 - 1.5, { align: 'center' });
+    }
+}
+
+function heading(doc, text) {
+    doc.setFontSize(16);
+    doc.text(text, PAGE.margin, PAGE.margin + 6);
+}
+
+// Fits an image into the box, keeping its aspect ratio
+function drawImage(doc, image, x, y, maxWidth, maxHeight) {
+    const ratio = Math.min(maxWidth / image.width, maxHeight / image.height);
+    const width = image.width * ratio;
+    const height = image.height * ratio;
+    doc.addImage(image.dataUrl, 'PNG', x + (maxWidth - width) / 2, y, width, height);
+}
+
+// The first row is the header. Columns holding only numbers are right-aligned.
+function drawTable(doc, rows, x, y, columnWidths, { boldLast = false } = {}) {
+    const rowHeight = 7;
+    const numeric = columnWidths.map((width, c) => rows.slice(1).every(row => /^([\d.,]+%?|---)$/.test(String(row[c]))));
+    doc.setFontSize(9);
+    doc.setLineWidth(0.1);
+    doc.setDrawColor('#e5e7eb');
+    rows.forEach((row, r) => {
+        const top = y + r * rowHeight;
+        const bold = r === 0 || (boldLast && r === rows.length - 1);
+        if (r === 0) {
+            doc.setFillColor('#f3f4f6');
+            doc.rect(x, top, columnWidths.reduce((a, b) => a + b, 0), rowHeight, 'F');
+        }
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        let cellX = x;
+        row.forEach((value, c) => {
+            const right = numeric[c];
+            doc.text(String(value), right ? cellX + columnWidths[c] - 2 : cellX + 2, top + 4.8, { align: right ? 'right' : 'left' });
+            cellX += columnWidths[c];
+        });
+        doc.line(x, top + rowHeight, cellX, top + rowHeight);
+    });
+    doc.setFont('helvetica', 'normal');
+    return y + rows.length * rowHeight;
+}
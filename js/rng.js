@@ -0,0 +1,35 @@
+/**
+ * Seeded pseudo-random numbers (mulberry32).
+ * The same seed always yields the same sequence, which keeps placement reproducible.
+ */
+
+export const DEFAULT_SEED = 1;
+
+/**
+ * Returns a function that yields floats in [0, 1) for the given 32-bit seed.
+ */
+export function createRng(seed = DEFAULT_SEED) {
+    let a = normalizeSeed(seed);
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks a fresh seed, e.g. when the user asks for another variation.
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Coerces user input into an unsigned 32-bit integer seed.
+ */
+export function normalizeSeed(seed) {
+    const value = Math.floor(Number(seed));
+    return Number.isFinite(value) ? value >>> 0 : DEFAULT_SEED;
+}
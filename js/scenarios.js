@@ -0,0 +1,55 @@
+import { getBuildingAreas, getStackAlignment, summarizeLayout } from './layout-engine.js';
+
+/**
+ * Named scenarios: alternative massing options kept side by side in one project.
+ * A scenario is `{ name, project }`, where `project` is a full project
+ * state (inputs, mix, catalogue and layout) as returned by `parseProject`.
+ */
+
+/**
+ * Suggests the next free default name, e.g. "Scenario 3".
+ */
+export function createScenarioName(scenarios) {
+    const names = new Set(scenarios.map(scenario => scenario.name));
+    let n = scenarios.length + 1;
+    while (names.has(`Scenario ${n}`)) n++;
+    return `Scenario ${n}`;
+}
+
+/**
+ * Key figures for comparing scenarios. Lengths are in metres and areas in m².
+ * Until the scenario has a layout its suite counts are zero and its
+ * efficiency (suite area over gross floor area) and stack alignment are null.
+ */
+export function getScenarioMetrics(project) {
+    const { projectData, mix, mixObjective, catalogue, layout } = project;
+    const areas = getBuildingAreas(projectData);
+    const summary = summarizeLayout(layout, { ...projectData, mix, mixObjective, catalogue });
+    const suiteArea = Object.values(summary.suites).reduce((acc, suite) => acc + suite.totalArea, 0);
+    const modulesPerFloor = areas.singleSideModules * 2;
+
+    return {
+        floors: areas.numFloors,
+        modulesPerFloor,
+        totalModules: modulesPerFloor * areas.numFloors,
+        width: areas.width,
+        depth: areas.depth,
+        height: areas.height,
+        grossFloorArea: areas.grossFloorArea,
+        hasLayout: layout.length > 0,
+        totalSuites: summary.totalSuites,
+        suites: Object.values(catalogue.suiteTypes).map(type => ({
+            id: type.id,
+            name: type.name,
+            color: type.color,
+            count: summary.suites[type.id] ? summary.suites[type.id].count : 0,
+            desiredPercentage: mix[type.id] || 0,
+            actualPercentage: summary.suites[type.id] ? summary.suites[type.id].actualPercentage : 0
+        })),
+        mixObjective,
+        mixDeviation: summary.mixDeviation,
+        suiteArea,
+        efficiency: layout.length > 0 ? suiteArea / areas.grossFloorArea : null,
+        stackAlignment: getStackAlignment(layout).score
+    };
+}
@@ -0,0 +1,109 @@
+import { CONSTANTS } from './constants.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { areaUnit, toUnitArea } from './units.js';
+import { resolveModuleCodes } from './module-codes.js';
+
+/**
+ * Spreadsheet exports of a layout: the detailed summary and the module schedule.
+ * Tables are arrays of rows, the first row holding the column headings, with
+ * numbers left as numbers so spreadsheets can total them. Areas are converted
+ * to `unit` ('metric' for m², 'imperial' for ft²).
+ */
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * The U-code list a suite is ordered under, e.g. 'U03+U07'. Suites on the
+ * corridor side use their corridor codes. The code of each single module
+ * comes from `resolveModuleCodes`.
+ */
+export function getModuleCode(module) {
+    return module.isCorridorSide ? module.codes.corridor : module.codes.noCorridor;
+}
+
+/**
+ * The detailed summary as a table: one row per suite type, the cores and a total.
+ */
+export function getSummaryTable(summary, { unit = 'metric', catalogue = DEFAULT_CATALOGUE } = {}) {
+    const area = (sqm) => round(toUnitArea(sqm, unit));
+    const rows = [[
+        'Suite Type', 'Count', 'Modules', 'No-Corridor Code', 'Corridor Code',
+        'Desired %', 'Actual %', `Total Area (${areaUnit(unit)})`
+    ]];
+
+    Object.values(summary.suites)
+        .sort((a, b) => a.moduleCount - b.moduleCount)
+        .forEach(suite => rows.push([
+            suite.name, suite.count, suite.moduleTotal, suite.codes.noCorridor, suite.codes.corridor,
+            round(suite.desiredPercentage, 1), round(suite.actualPercentage, 1), area(suite.totalArea)
+        ]));
+
+    const { elevator, stair } = summary.cores;
+    if (elevator.count > 0) {
+        rows.push([catalogue.elevator.name, elevator.count, elevator.moduleTotal, catalogue.elevator.codes.noCorridor, catalogue.elevator.codes.corridor, '', '', area(elevator.totalArea)]);
+    }
+    if (stair.count > 0) {
+        rows.push([catalogue.stair.name, stair.count, stair.moduleTotal, catalogue.stair.codes.noCorridor, '', '', '', area(stair.totalArea)]);
+    }
+    rows.push(['Total', summary.totals.suites, summary.totals.modules, '', '', '', 100, area(summary.totals.area)]);
+    return rows;
+}
+
+/**
+ * The module schedule: one row per module, floor by floor from the lowest
+ * residential floor, south row then north row from west to east, followed by
+ * the floor's two stair modules. Empty slots are left out. Positions count
+ * from 1 at the west end of the row. The U-code is the module's own code,
+ * left blank when it cannot be resolved.
+ */
+export function getModuleSchedule(floors, {
+    unit = 'metric', includeStairs = true, catalogue = DEFAULT_CATALOGUE,
+    southDepth = CONSTANTS.SOUTH_DEPTH_METRIC, northDepth = CONSTANTS.NORTH_DEPTH_METRIC
+} = {}) {
+    const { MODULE_WIDTH_METRIC, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = CONSTANTS;
+    const rows = [['Residential Floor', 'Row', 'Position', 'Suite Type', 'Instance ID', 'U-Code', `Area (${areaUnit(unit)})`]];
+    const codes = resolveModuleCodes(floors, { catalogue }).floors;
+
+    floors.forEach((floor, floorIndex) => {
+        [['south', southDepth], ['north', northDepth]].forEach(([row, depth]) => {
+            floor[row].forEach((module, i) => {
+                if (!module) return;
+                const area = round(toUnitArea(MODULE_WIDTH_METRIC * depth, unit));
+                rows.push([floorIndex + 1, row, i + 1, module.name, module.instanceId, codes[floorIndex][row][i].code || '', area]);
+            });
+        });
+        if (includeStairs) {
+            const area = round(toUnitArea(STAIR_WIDTH_METRIC * STAIR_DEPTH_METRIC, unit));
+            ['west', 'east'].forEach((end, i) => {
+                const instanceId = `F${String(floorIndex + 1).padStart(2, '0')}-${catalogue.stair.tag}-${end === 'west' ? 'W' : 'E'}`;
+                rows.push([floorIndex + 1, `${end} end`, i + 1, catalogue.stair.name, instanceId, catalogue.stair.codes.noCorridor, area]);
+            });
+        }
+    });
+    return rows;
+}
+
+/**
+ * The bill of modules as a table: one row per code with its count on every
+ * floor, any unresolved modules and a total.
+ */
+export function getBillTable(bill) {
+    const floors = bill.unresolved.perFloor.map((count, i) => `Residential Floor ${i + 1}`);
+    const rows = [['U-Code', 'Used In', ...floors, 'Total']];
+    bill.lines.forEach(line => rows.push([line.code, line.usedIn.join(', '), ...line.perFloor, line.total]));
+    if (bill.unresolved.total > 0) rows.push(['Unresolved', '', ...bill.unresolved.perFloor, bill.unresolved.total]);
+    const perFloor = bill.unresolved.perFloor.map((count, i) => bill.lines.reduce((acc, line) => acc + line.perFloor[i], count));
+    rows.push(['Total', '', ...perFloor, bill.total]);
+    return rows;
+}
+
+/**
+ * Formats a table as CSV (RFC 4180), quoting only the fields that need it.
+ */
+export function toCSV(rows) {
+    const field = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
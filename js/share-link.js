@@ -0,0 +1,181 @@
+import { assignInstanceIds, computeLayout } from './layout-engine.js';
+import { DEFAULT_CATALOGUE } from './catalogue.js';
+import { getCodeRules } from './code-check.js';
+import { DEFAULT_PRICE_TABLE, clonePriceTable } from './cost-estimate.js';
+import { DEFAULT_ASSUMPTIONS, cloneAssumptions } from './pro-forma.js';
+import { DEFAULT_SUN_SETTINGS, cloneSunSettings } from './sun-study.js';
+import { PROJECT_FILE_FORMAT, PROJECT_FILE_VERSION, parseProject } from './project-file.js';
+
+/**
+ * Shareable links: the project packed into the URL fragment as
+ * `#s=<link version>.<deflated JSON, base64url>`.
+ * The JSON carries the project file version, so links made by older builds
+ * are upgraded by the project file migrations. A layout that the placement
+ * reproduces from the inputs and seed is not stored, only a flag to rerun
+ * it; a layout with manual edits is stored row by row.
+ */
+
+export const SHARE_LINK_VERSION = 1;
+const FRAGMENT_PREFIX = '#s=';
+
+/**
+ * Raised when a link is damaged or from an unsupported version.
+ */
+export class ShareLinkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShareLinkError';
+    }
+}
+
+export function hasShareFragment(hash) {
+    return hash.startsWith(FRAGMENT_PREFIX);
+}
+
+/**
+ * Builds the URL fragment for a project state as captured by the app.
+ */
+export async function encodeShareFragment({ projectData, unit, mix, mixObjective, stacking = false, maxFloorTypes = null, seed, currentFloor, catalogue, codeRules, priceTable, proForma, site = null, sun = DEFAULT_SUN_SETTINGS, levels = [], layout }) {
+    const payload = {
+        v: PROJECT_FILE_VERSION,
+        u: unit,
+        d: { width: projectData.width, height: projectData.height, floorHeight: projectData.floorHeight, includeStairs: projectData.includeStairs, southDepth: projectData.southDepth, northDepth: projectData.northDepth },
+        m: mix,
+        o: mixObjective,
+        s: seed,
+        f: currentFloor
+    };
+    if (JSON.stringify(catalogue) !== JSON.stringify(DEFAULT_CATALOGUE)) payload.c = catalogue;
+    if (JSON.stringify(codeRules) !== JSON.stringify(getCodeRules())) payload.k = codeRules;
+    if (JSON.stringify(priceTable) !== JSON.stringify(DEFAULT_PRICE_TABLE)) payload.p = priceTable;
+    if (JSON.stringify(proForma) !== JSON.stringify(DEFAULT_ASSUMPTIONS)) payload.a = proForma;
+    if (site) payload.t = site;
+    if (JSON.stringify(sun) !== JSON.stringify(DEFAULT_SUN_SETTINGS)) payload.n = sun;
+    if (stacking) payload.g = 1;
+    if (maxFloorTypes !== null) payload.y = maxFloorTypes;
+    if (levels.length > 0) payload.e = levels;
+    if (layout.length > 0) {
+        const placed = computeLayout({ ...projectData, mix, mixObjective, stacking, maxFloorTypes, seed, catalogue }).floors;
+        const rows = encodeLayout(layout, catalogue);
+        if (encodeLayout(placed, catalogue) === rows) payload.r = 1;
+        else payload.l = rows;
+    }
+    const bytes = await transform(new TextEncoder().encode(JSON.stringify(payload)), new CompressionStream('deflate-raw'));
+    return `${FRAGMENT_PREFIX}${SHARE_LINK_VERSION}.${toBase64Url(bytes)}`;
+}
+
+/**
+ * Reads a URL fragment back into a project state, in the shape `parseProject`
+ * returns. `regenerate` is true when the layout has to be placed again.
+ */
+export async function decodeShareFragment(hash) {
+    if (!hasShareFragment(hash)) throw new ShareLinkError('The link holds no project.');
+    const [version, data] = hash.slice(FRAGMENT_PREFIX.length).split('.');
+    if (Number(version) !== SHARE_LINK_VERSION) throw new ShareLinkError(`Link version ${version} is not supported.`);
+
+    let payload;
+    try {
+        const bytes = await transform(fromBase64Url(data), new DecompressionStream('deflate-raw'));
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (err) {
+        throw new ShareLinkError('The link is incomplete or damaged.');
+    }
+
+    const catalogue = payload.c || DEFAULT_CATALOGUE;
+    const layout = typeof payload.l === 'string' ? decodeLayout(payload.l, catalogue) : [];
+    const project = parseProject({
+        format: PROJECT_FILE_FORMAT,
+        version: payload.v,
+        unit: payload.u,
+        projectData: payload.d,
+        mix: payload.m,
+        mixObjective: payload.o,
+        stacking: payload.g === 1,
+        maxFloorTypes: payload.y === undefined ? null : payload.y,
+        seed: payload.s,
+        currentFloor: payload.f,
+        catalogue,
+        codeRules: payload.k || getCodeRules(),
+        priceTable: payload.p || clonePriceTable(),
+        proForma: payload.a || cloneAssumptions(),
+        site: payload.t || null,
+        sun: payload.n || cloneSunSettings(),
+        levels: payload.e || [],
+        layout,
+        scenarios: []
+    });
+    // Without a stored layout the current floor is clamped to 0; keep the shared one
+    if (payload.r === 1) project.currentFloor = payload.f;
+    return { project, regenerate: payload.r === 1 };
+}
+
+/**
+ * One string for the whole layout: floors split by '/', the north and south
+ * rows by '|'. Each suite is one character, the base-36 index of its type
+ * (elevator first), prefixed by '!' when locked; '.' is an empty slot.
+ */
+function encodeLayout(floors, catalogue) {
+    const ids = moduleIds(catalogue);
+    return floors.map(floor => ['north', 'south'].map(row => {
+        let tokens = '';
+        floor[row].forEach((module, i) => {
+            if (!module) {
+                tokens += '.';
+                return;
+            }
+            const previous = floor[row][i - 1];
+            if (previous && previous.instanceId === module.instanceId) return;
+            tokens += (module.locked ? '!' : '') + ids.indexOf(module.id).toString(36);
+        });
+        return tokens;
+    }).join('|')).join('/');
+}
+
+// Expands back into saved `{ id, instanceId }` entries, as in a project file
+function decodeLayout(text, catalogue) {
+    const ids = moduleIds(catalogue);
+    let counter = 0;
+    const floors = text.split('/').map(floorText => {
+        const [north, south] = floorText.split('|').map(rowText => {
+            const row = [];
+            let locked = false;
+            for (const char of rowText) {
+                if (char === '.') {
+                    row.push(null);
+                } else if (char === '!') {
+                    locked = true;
+                } else {
+                    const id = ids[parseInt(char, 36)];
+                    if (!id) throw new ShareLinkError('The link refers to an unknown suite type.');
+                    const length = id === catalogue.elevator.id ? 1 : catalogue.suiteTypes[id].moduleCount;
+                    const entry = { id, instanceId: `suite-${counter++}`, ...(locked ? { locked: true } : {}) };
+                    for (let i = 0; i < length; i++) row.push(entry);
+                    locked = false;
+                }
+            }
+            return row;
+        });
+        return { north: north || [], south: south || [] };
+    });
+    return assignInstanceIds(floors, catalogue);
+}
+
+function moduleIds(catalogue) {
+    return [catalogue.elevator.id, ...Object.keys(catalogue.suiteTypes)];
+}
+
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
@@ -0,0 +1,273 @@
+import { CONSTANTS } from './constants.js';
+import { getBuildingAreas } from './layout-engine.js';
+import { summarizeLevels } from './levels.js';
+import { formatArea, formatLength } from './units.js';
+
+/**
+ * Site boundary and zoning envelope checks.
+ * A site is a lot polygon in metres, `boundary` as `[x, y]` corners in order,
+ * with one setback per lot line (`setbacks[i]` runs from corner i to corner
+ * i + 1), optional limits on height, floor area ratio and lot coverage (%),
+ * and the building's `placement` on it: the centre of the main building
+ * (stair towers excluded) and a rotation in degrees.
+ *
+ * Site coordinates share the plan's axes: with no rotation, x runs along the
+ * building's width and y from the south row towards the north row. Positive
+ * rotations turn the building clockwise in plan.
+ */
+
+export const SITE_RULES = {
+    'lot': 'Lot boundary',
+    'setback': 'Setback',
+    'height': 'Height',
+    'far': 'Floor area ratio',
+    'coverage': 'Lot coverage'
+};
+
+const LIMITS = ['maxHeight', 'maxFar', 'maxLotCoverage'];
+
+/**
+ * Raised when a site is malformed.
+ */
+export class SiteError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SiteError';
+    }
+}
+
+/**
+ * A rectangular lot with `margin` metres of land around the building and the
+ * same `setback` on every lot line, without any zoning limits.
+ */
+export function createSite(projectData, { margin = 10, setback = 3 } = {}) {
+    const { width, depth } = getBuildingAreas(projectData);
+    const halfWidth = (projectData.includeStairs ? width + 2 * CONSTANTS.STAIR_WIDTH_METRIC : width) / 2 + margin;
+    const halfDepth = depth / 2 + margin;
+    return {
+        boundary: [[0, 0], [2 * halfWidth, 0], [2 * halfWidth, 2 * halfDepth], [0, 2 * halfDepth]],
+        setbacks: [setback, setback, setback, setback],
+        maxHeight: null,
+        maxFar: null,
+        maxLotCoverage: null,
+        placement: { x: halfWidth, y: halfDepth, rotation: 0 }
+    };
+}
+
+/**
+ * Checks a site and returns a copy. Throws SiteError on the first problem.
+ */
+export function validateSite(site) {
+    const fail = (message) => { throw new SiteError(message); };
+    if (site === null || typeof site !== 'object') fail('Site is missing.');
+    const { boundary, setbacks, placement } = site;
+
+    if (!Array.isArray(boundary) || boundary.length < 3) fail('The lot needs at least three corners.');
+    boundary.forEach((point, i) => {
+        if (!Array.isArray(point) || point.length !== 2 || !point.every(isFiniteNumber)) fail(`Lot corner ${i + 1} must be a pair of numbers.`);
+    });
+    if (getPolygonArea(boundary) <= 0) fail('The lot has no area.');
+    const edges = getEdges(boundary);
+    edges.forEach(([a, b], i) => {
+        edges.forEach(([c, d], j) => {
+            const adjacent = Math.abs(i - j) <= 1 || Math.abs(i - j) === edges.length - 1;
+            if (j > i && !adjacent && segmentsCross(a, b, c, d)) fail(`Lot lines ${i + 1} and ${j + 1} cross.`);
+        });
+    });
+
+    if (!Array.isArray(setbacks) || setbacks.length !== boundary.length) fail('Every lot line needs a setback.');
+    setbacks.forEach((setback, i) => {
+        if (!isFiniteNumber(setback) || setback < 0) fail(`Setback of lot line ${i + 1} must be a number of zero or more.`);
+    });
+    LIMITS.forEach(key => {
+        const value = site[key];
+        if (value !== null && !(isFiniteNumber(value) && value > 0)) fail(`Site limit "${key}" must be a positive number or empty.`);
+    });
+    if (site.maxLotCoverage !== null && site.maxLotCoverage > 100) fail('Lot coverage cannot be more than 100%.');
+    if (placement === null || typeof placement !== 'object' || !['x', 'y', 'rotation'].every(key => isFiniteNumber(placement[key]))) {
+        fail('Building position must give x, y and a rotation.');
+    }
+
+    return {
+        boundary: boundary.map(([x, y]) => [x, y]),
+        setbacks: [...setbacks],
+        maxHeight: site.maxHeight,
+        maxFar: site.maxFar,
+        maxLotCoverage: site.maxLotCoverage,
+        placement: { x: placement.x, y: placement.y, rotation: placement.rotation }
+    };
+}
+
+export function getPolygonArea(points) {
+    return Math.abs(getSignedArea(points));
+}
+
+/**
+ * Site coordinates of a point given relative to the centre of the building.
+ */
+export function toSiteFrame([x, y], placement) {
+    const angle = placement.rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [placement.x + x * cos - y * sin, placement.y + x * sin + y * cos];
+}
+
+/**
+ * A site point relative to the centre of the building, in the building's axes.
+ */
+export function toBuildingFrame([x, y], placement) {
+    const angle = placement.rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = x - placement.x;
+    const dy = y - placement.y;
+    return [dx * cos + dy * sin, -dx * sin + dy * cos];
+}
+
+/**
+ * The outlines of the main building and of any stair towers in site coordinates.
+ */
+export function getBuildingFootprint(projectData, placement) {
+    const { width, depth } = getBuildingAreas(projectData);
+    const { STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = CONSTANTS;
+    const rectangle = (cx, w, d) => [[cx - w / 2, -d / 2], [cx + w / 2, -d / 2], [cx + w / 2, d / 2], [cx - w / 2, d / 2]];
+    const outlines = [rectangle(0, width, depth)];
+    if (projectData.includeStairs) {
+        const offset = width / 2 + STAIR_WIDTH_METRIC / 2;
+        outlines.push(rectangle(-offset, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC), rectangle(offset, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC));
+    }
+    return outlines.map(outline => outline.map(point => toSiteFrame(point, placement)));
+}
+
+/**
+ * The lot inset by each line's setback, for drawing the buildable area.
+ * Adjacent offset lines are intersected, which is exact for convex lots.
+ * Returns null when the setbacks leave no buildable area.
+ */
+export function getBuildableArea(site) {
+    const { boundary, setbacks } = site;
+    const orientation = Math.sign(getSignedArea(boundary));
+    const lines = getEdges(boundary).map(([a, b], i) => {
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        const direction = [(b[0] - a[0]) / length, (b[1] - a[1]) / length];
+        const inward = [-direction[1] * orientation, direction[0] * orientation];
+        return { point: [a[0] + inward[0] * setbacks[i], a[1] + inward[1] * setbacks[i]], direction };
+    });
+    const inset = lines.map((line, i) => {
+        const previous = lines[(i - 1 + lines.length) % lines.length];
+        return intersectLines(previous, line) || line.point;
+    });
+    const area = getSignedArea(inset);
+    return Math.sign(area) === orientation && Math.abs(area) > 1e-6 ? inset : null;
+}
+
+/**
+ * Checks the building against the lot and its zoning limits. Returns the
+ * measured areas and ratios, the clearance to every lot line and a list of
+ * violations `{ rule, message, edges }`, where `edges` are the indices of the
+ * lot lines involved. Any non-residential `levels` add to the height and the
+ * floor area. Lengths and areas in messages use `unit`.
+ */
+export function checkSite(site, projectData, { unit = 'metric', levels = [] } = {}) {
+    const areas = getBuildingAreas(projectData);
+    const nonResidential = summarizeLevels(levels, projectData);
+    const { footprintArea } = areas;
+    const grossFloorArea = areas.grossFloorArea + nonResidential.totalArea;
+    const height = areas.height + nonResidential.height;
+    const length = (m) => formatLength(m, unit, 1);
+    const siteArea = getPolygonArea(site.boundary);
+    const coverage = footprintArea / siteArea * 100;
+    const far = grossFloorArea / siteArea;
+    const violations = [];
+
+    const outlines = getBuildingFootprint(projectData, site.placement);
+    const outlineEdges = outlines.flatMap(getEdges);
+    const edges = getEdges(site.boundary);
+    const crossed = edges.map((edge, i) => i).filter(i => outlineEdges.some(([a, b]) => segmentsCross(a, b, ...edges[i])));
+    const outside = crossed.length > 0 || outlines.some(outline => outline.some(point => !isInsidePolygon(point, site.boundary)));
+    if (outside) {
+        violations.push({ rule: 'lot', message: 'The building extends beyond the lot.', edges: crossed.length > 0 ? crossed : edges.map((edge, i) => i) });
+    }
+
+    const clearances = edges.map(([c, d]) => outside
+        ? 0
+        : Math.min(...outlineEdges.map(([a, b]) => segmentDistance(a, b, c, d))));
+    if (!outside) {
+        clearances.forEach((clearance, i) => {
+            if (clearance < site.setbacks[i] - 1e-6) {
+                violations.push({
+                    rule: 'setback',
+                    message: `The building is ${length(clearance)} from lot line ${i + 1}, inside its ${length(site.setbacks[i])} setback.`,
+                    edges: [i]
+                });
+            }
+        });
+    }
+
+    if (site.maxHeight !== null && height > site.maxHeight) {
+        violations.push({ rule: 'height', message: `The building is ${length(height)} high, over the ${length(site.maxHeight)} limit.`, edges: [] });
+    }
+    if (site.maxFar !== null && far > site.maxFar) {
+        violations.push({ rule: 'far', message: `${formatArea(grossFloorArea, unit)} of floor area gives an FAR of ${far.toFixed(2)}, over the ${site.maxFar} limit.`, edges: [] });
+    }
+    if (site.maxLotCoverage !== null && coverage > site.maxLotCoverage) {
+        violations.push({ rule: 'coverage', message: `The footprint covers ${coverage.toFixed(1)}% of the lot, over the ${site.maxLotCoverage}% limit.`, edges: [] });
+    }
+
+    return { siteArea, footprintArea, grossFloorArea, height, coverage, far, clearances, violations };
+}
+
+function getEdges(points) {
+    return points.map((point, i) => [point, points[(i + 1) % points.length]]);
+}
+
+function getSignedArea(points) {
+    return points.reduce((acc, [x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        return acc + x1 * y2 - x2 * y1;
+    }, 0) / 2;
+}
+
+function intersectLines(first, second) {
+    const cross = first.direction[0] * second.direction[1] - first.direction[1] * second.direction[0];
+    if (Math.abs(cross) < 1e-9) return null;
+    const dx = second.point[0] - first.point[0];
+    const dy = second.point[1] - first.point[1];
+    const t = (dx * second.direction[1] - dy * second.direction[0]) / cross;
+    return [first.point[0] + first.direction[0] * t, first.point[1] + first.direction[1] * t];
+}
+
+function orient(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+// Segments that cross at a point inside both; touching ends do not count
+function segmentsCross(a, b, c, d) {
+    return orient(a, b, c) * orient(a, b, d) < 0 && orient(c, d, a) * orient(c, d, b) < 0;
+}
+
+function pointSegmentDistance(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq));
+    return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+function segmentDistance(a, b, c, d) {
+    if (segmentsCross(a, b, c, d)) return 0;
+    return Math.min(pointSegmentDistance(a, c, d), pointSegmentDistance(b, c, d), pointSegmentDistance(c, a, b), pointSegmentDistance(d, a, b));
+}
+
+function isInsidePolygon([x, y], polygon) {
+    let inside = false;
+    polygon.forEach(([x1, y1], i) => {
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        if ((y1 > y) !== (y2 > y) && x < (x2 - x1) * (y - y1) / (y2 - y1) + x1) inside = !inside;
+    });
+    return inside;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
@@ -0,0 +1,187 @@
+/**
+ * Sun position and hours of direct sun on the façades of a stack.
+ * Settings hold the site latitude and longitude (degrees, east positive), the
+ * offset of local clock time from UTC in hours, the north bearing of the plan,
+ * a day of the year (1-365) and a clock time in minutes after midnight. The
+ * north bearing is the compass bearing in degrees of the plan's y axis, which
+ * runs from the south row towards the north row.
+ *
+ * Directions are in the building's frame, the same as the 3D view: x runs from
+ * the west stair to the east stair, y is up and z runs from the south row to the
+ * north row. The building's `rotation` comes from the north bearing and any
+ * site placement (see `getBuildingOrientation`): at 0 the south row faces due
+ * south and positive rotations turn the building clockwise seen from above.
+ *
+ * The stack is a plain box with no neighbours, so a façade gets direct sun
+ * whenever the sun is above the horizon and in front of it. The stair towers
+ * are not counted as shading the end walls.
+ */
+
+export const DEFAULT_SUN_SETTINGS = Object.freeze({
+    latitude: 43.65,
+    longitude: -79.38,
+    utcOffset: -5,
+    northBearing: 0,
+    dayOfYear: 172, // June 21
+    minutes: 720
+});
+
+// Outward normals of the façades a suite can have
+export const FACADES = {
+    south: { name: 'South', normal: [0, 0, -1] },
+    north: { name: 'North', normal: [0, 0, 1] },
+    west: { name: 'West', normal: [-1, 0, 0] },
+    east: { name: 'East', normal: [1, 0, 0] }
+};
+
+const SAMPLE_MINUTES = 10;
+
+/**
+ * Raised when a set of sun settings is malformed.
+ */
+export class SunSettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SunSettingsError';
+    }
+}
+
+export function cloneSunSettings(settings = DEFAULT_SUN_SETTINGS) {
+    return { ...settings };
+}
+
+/**
+ * Checks a set of sun settings and returns a copy. Throws SunSettingsError on the first problem.
+ */
+export function validateSunSettings(settings) {
+    const fail = (message) => { throw new SunSettingsError(message); };
+    if (settings === null || typeof settings !== 'object') fail('Sun settings are missing.');
+    const inRange = (key, min, max) => typeof settings[key] === 'number' && Number.isFinite(settings[key]) && settings[key] >= min && settings[key] <= max;
+    if (!inRange('latitude', -90, 90)) fail('Latitude must be between -90 and 90 degrees.');
+    if (!inRange('longitude', -180, 180)) fail('Longitude must be between -180 and 180 degrees.');
+    if (!inRange('utcOffset', -12, 14)) fail('UTC offset must be between -12 and +14 hours.');
+    if (!inRange('northBearing', -360, 360)) fail('North bearing must be between -360 and 360 degrees.');
+    if (!Number.isInteger(settings.dayOfYear) || !inRange('dayOfYear', 1, 365)) fail('Day of the year must be a whole number from 1 to 365.');
+    if (!inRange('minutes', 0, 1439)) fail('Time must be between 00:00 and 23:59.');
+    return {
+        latitude: settings.latitude,
+        longitude: settings.longitude,
+        utcOffset: settings.utcOffset,
+        northBearing: settings.northBearing,
+        dayOfYear: settings.dayOfYear,
+        minutes: settings.minutes
+    };
+}
+
+/** A day of the year as a date in a non-leap year, e.g. "June 21". */
+/**
+ * The building's rotation for the sun study, clockwise from facing due south
+ * seen from above: the plan's north bearing less the rotation of any `site`
+ * placement, as the plan is drawn with y pointing down and its clockwise turns
+ * are counter-clockwise seen from above.
+ */
+export function getBuildingOrientation(settings, site = null) {
+    return settings.northBearing - (site ? site.placement.rotation : 0);
+}
+
+export function formatDayOfYear(dayOfYear) {
+    return new Date(Date.UTC(2023, 0, dayOfYear)).toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/** Minutes after midnight as a 24-hour clock time, e.g. "09:30". */
+export function formatClockTime(minutes) {
+    const whole = Math.round(minutes);
+    return `${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The sun's altitude above the horizon and its azimuth (clockwise from north),
+ * in degrees, from the NOAA general solar position equations.
+ */
+export function getSolarPosition({ latitude, longitude, utcOffset, dayOfYear, minutes }) {
+    const rad = Math.PI / 180;
+    const gamma = 2 * Math.PI / 365 * (dayOfYear - 1 + (minutes / 60 - utcOffset - 12) / 24);
+    const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+        - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+    const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+        - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+        - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+    const trueSolarMinutes = minutes + equationOfTime + 4 * longitude - 60 * utcOffset;
+    const hourAngle = (trueSolarMinutes / 4 - 180) * rad;
+    const phi = latitude * rad;
+    const sinAltitude = Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+    const altitude = Math.asin(Math.max(-1, Math.min(1, sinAltitude)));
+    const azimuth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)) / rad + 180;
+    return { altitude: altitude / rad, azimuth: ((azimuth % 360) + 360) % 360 };
+}
+
+/**
+ * Unit vector towards the sun in the building's frame.
+ */
+export function getSunDirection({ altitude, azimuth }, rotation = 0) {
+    const rad = Math.PI / 180;
+    const bearing = (azimuth - rotation) * rad;
+    const horizontal = Math.cos(altitude * rad);
+    return [Math.sin(bearing) * horizontal, Math.sin(altitude * rad), Math.cos(bearing) * horizontal];
+}
+
+/**
+ * The sun's positions through the day, every `step` minutes, while it is up.
+ */
+export function getSunPath(settings, { step = 15, rotation = 0 } = {}) {
+    const path = [];
+    for (let minutes = 0; minutes < 1440; minutes += step) {
+        const position = getSolarPosition({ ...settings, minutes });
+        if (position.altitude > 0) path.push({ minutes, ...position, direction: getSunDirection(position, rotation) });
+    }
+    return path;
+}
+
+/**
+ * Hours of direct sun on the chosen day, for each façade and each suite.
+ * A suite has the façade of its row and, at either end of the row, an end wall;
+ * it counts as sunlit while any of its façades is. Returns the hours the sun is
+ * up, the hours per façade and `suites` as `{ floor, row, start, length,
+ * instanceId, id, name, facades, hours }` in floor and row order.
+ */
+export function getSunHours(floors, settings, { rotation = 0 } = {}) {
+    const lit = Object.fromEntries(Object.keys(FACADES).map(key => [key, []]));
+    let daylight = 0;
+    for (let minutes = SAMPLE_MINUTES / 2; minutes < 1440; minutes += SAMPLE_MINUTES) {
+        const position = getSolarPosition({ ...settings, minutes });
+        const up = position.altitude > 0;
+        const direction = getSunDirection(position, rotation);
+        if (up) daylight++;
+        Object.entries(FACADES).forEach(([key, { normal }]) => {
+            lit[key].push(up && direction[0] * normal[0] + direction[2] * normal[2] > 0);
+        });
+    }
+    const hours = (samples) => samples * SAMPLE_MINUTES / 60;
+
+    const suites = [];
+    floors.forEach((floor, floorIndex) => {
+        ['south', 'north'].forEach(row => {
+            const modules = floor[row];
+            modules.forEach((module, i) => {
+                if (!module || module.id === 'elevator') return;
+                const previous = modules[i - 1];
+                if (previous && previous.instanceId === module.instanceId) return;
+                let length = 1;
+                while (modules[i + length] && modules[i + length].instanceId === module.instanceId) length++;
+
+                const facades = [row];
+                if (i === 0) facades.push('west');
+                if (i + length === modules.length) facades.push('east');
+                const samples = lit[row].filter((isLit, t) => facades.some(facade => lit[facade][t])).length;
+                suites.push({ floor: floorIndex, row, start: i, length, instanceId: module.instanceId, id: module.id, name: module.name, facades, hours: hours(samples) });
+            });
+        });
+    });
+
+    return {
+        daylight: hours(daylight),
+        facades: Object.fromEntries(Object.entries(lit).map(([key, samples]) => [key, hours(samples.filter(Boolean).length)])),
+        suites
+    };
+}
@@ -0,0 +1,45 @@
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Unit conversion and formatting for exports and reports.
+ * The app keeps every length in metres and every area in m²; `unit` is the
+ * display setting, 'metric' or 'imperial' (feet and ft²).
+ */
+
+export function lengthUnit(unit) {
+    return unit === 'imperial' ? 'ft' : 'm';
+}
+
+export function areaUnit(unit) {
+    return unit === 'imperial' ? 'ft²' : 'm²';
+}
+
+export function toUnitLength(metres, unit) {
+    return unit === 'imperial' ? metres * CONSTANTS.M_TO_FT : metres;
+}
+
+export function toUnitArea(sqm, unit) {
+    return unit === 'imperial' ? sqm * CONSTANTS.SQM_TO_SQFT : sqm;
+}
+
+/**
+ * Decimal feet as feet and inches, e.g. 36.4167 -> 36' 5".
+ */
+export function formatFeet(feet) {
+    const totalInches = Math.round(feet * 12);
+    return `${Math.floor(totalInches / 12)}' ${totalInches % 12}"`;
+}
+
+/**
+ * A length in metres, shown as metres or as feet and inches.
+ */
+export function formatLength(metres, unit, digits = 2) {
+    return unit === 'imperial' ? formatFeet(toUnitLength(metres, unit)) : `${metres.toFixed(digits)} m`;
+}
+
+/**
+ * An area in m², rounded to whole units.
+ */
+export function formatArea(sqm, unit) {
+    return `${toUnitArea(sqm, unit).toLocaleString(undefined, { maximumFractionDigits: 0 })} ${areaUnit(unit)}`;
+}
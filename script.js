@@ -1,5 +1,32 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { CONSTANTS } from './js/constants.js';
+import { computeLayout, getBuildingAreas, getFloorGroups, getFloorTypes, getGridSize, getLayoutWarnings, getStackAlignment, summarizeLayout } from './js/layout-engine.js';
+import { serializeProject, parseProject } from './js/project-file.js';
+import { DEFAULT_SEED, normalizeSeed, randomSeed } from './js/rng.js';
+import { MIX_OBJECTIVES } from './js/mix-solver.js';
+import { cloneCatalogue, createSuiteTypeId, validateCatalogue, serializeCatalogue, parseCatalogue } from './js/catalogue.js';
+import { CommandHistory } from './js/history.js';
+import { createScenarioName, getScenarioMetrics } from './js/scenarios.js';
+import { LEVEL_POSITIONS, LEVEL_USES, createLevel, getLevelHeights, getResidentialFloorLabel, getUseStrips, stackLevels, summarizeLevels, validateLevels } from './js/levels.js';
+import { getBillTable, getModuleSchedule, getSummaryTable, toCSV } from './js/schedule-export.js';
+import { CODE_ISSUES, getBillOfModules, resolveModuleCodes } from './js/module-codes.js';
+import { createMassingExport, exportGLB, exportOBJ, getModuleMeshInfo } from './js/massing-export.js';
+import { createFloorDXF, createFloorsDXF } from './js/dxf-export.js';
+import { createReport } from './js/report.js';
+import { formatArea, formatLength } from './js/units.js';
+import { decodeShareFragment, encodeShareFragment, hasShareFragment } from './js/share-link.js';
+import { CODE_JURISDICTIONS, CODE_RULES, checkBuildingCode, getCodeRules, isModuleFlagged } from './js/code-check.js';
+import { FACADES, cloneSunSettings, formatClockTime, formatDayOfYear, getBuildingOrientation, getSolarPosition, getSunDirection, getSunHours, getSunPath, validateSunSettings } from './js/sun-study.js';
+import { SITE_RULES, checkSite, createSite, getBuildableArea, getBuildingFootprint, toBuildingFrame, validateSite } from './js/site.js';
+import { clonePriceTable, estimateCost, getCatalogueCodes, parsePriceTable, serializePriceTable, validatePriceTable } from './js/cost-estimate.js';
+import { cloneAssumptions, getMixSensitivity, getProForma, validateAssumptions } from './js/pro-forma.js';
+import { OPTIMIZER_GOALS, OPTIMIZER_STEPS, optimizeMix } from './js/mix-optimizer.js';
+import { ProjectLibrary, createProjectName } from './js/project-library.js';
+import { PlanEditError, getSuiteAt, getLockedSuites, moveSuite, swapSuites, changeSuiteType, setSuiteLocked } from './js/plan-editor.js';
+
+// Quiet time after the last edit before the project is saved to the library
+const AUTOSAVE_DELAY_MS = 1000;
 
 /**
  * Main application class for the Stack Configurator.
@@ -16,28 +43,10 @@ class StackConfigApp {
     }
 
     /**
-     * Sets up all the hardcoded constants and configuration values.
+     * Exposes the shared constants and configuration values to the app.
      */
     initializeConstants() {
-        this.CONSTANTS = {
-            M_TO_FT: 3.28084,
-            SQM_TO_SQFT: 10.7639,
-            METRIC_FLOOR_HEIGHTS: [3.175, 3.479, 3.784],
-            MODULE_WIDTH_METRIC: 3.7846, // 12' 5"
-            STAIR_WIDTH_METRIC: 3.048,   // 10' 0"
-            STAIR_DEPTH_METRIC: 7.62,    // 25' 0"
-            MAX_HEIGHT_METRIC: 40, // Increased max height
-            SOUTH_DEPTH_METRIC: 11.0998, // This is the longer side
-            NORTH_DEPTH_METRIC: 9.4488,
-            SUITE_TYPES: {
-                'studio': { id: 'studio', name: 'Studio', moduleCount: 1, color: '#006F37', codes: { noCorridor: 'U01', corridor: 'U02'} },
-                'one-bed': { id: 'one-bed', name: '1 Bedroom', moduleCount: 2, color: '#ABD268', codes: { noCorridor: 'U03+U07', corridor: 'U05+U08'} },
-                'two-bed': { id: 'two-bed', name: '2 Bedroom', moduleCount: 3, color: '#69BA7F', codes: { noCorridor: 'U04+U07+U09', corridor: 'U06+U08+U10'} },
-                'three-bed': { id: 'three-bed', name: '3 Bedroom', moduleCount: 4, color: '#D0FFDD', codes: { noCorridor: 'U07+U09+U11+U13', corridor: 'U08+U10+U12+U14'} }
-            },
-            STAIR_INFO: { id: 'stair', name: 'Stair', color: '#FFC885', codes: { noCorridor: 'U18', corridor: 'U18' } },
-            ELEVATOR_INFO: { id: 'elevator', name: 'Elevator', moduleCount: 1, color: '#FF7518', codes: { noCorridor: 'N/A', corridor: 'U16' } }
-        };
+        this.CONSTANTS = CONSTANTS;
     }
 
     /**
@@ -52,11 +61,35 @@ class StackConfigApp {
             svgViewBox: { x: 166.67, y: 166.67, w: 166.67, h: 166.67 },
             currentUnit: 'imperial',
             buildingLayout: [],
+            layoutWarnings: [],
+            seed: DEFAULT_SEED,
+            mixObjective: 'count',
+            stacking: false, // Align suites between floors when placing
+            maxFloorTypes: null, // Cap on distinct floor plates, null for none
+            catalogue: cloneCatalogue(),
+            catalogueDraft: null,
+            scenarios: [], // { name, project } snapshots, replaced rather than mutated
+            codeRules: getCodeRules(),
+            codeCheck: null, // Result of the code rules on the current layout
+            priceTable: clonePriceTable(),
+            priceDraft: null,
+            proForma: cloneAssumptions(),
+            site: null, // Lot and zoning limits, see site.js
+            siteCheck: null, // Result of the site check for the current inputs
+            sun: cloneSunSettings(), // Location, orientation, date and time of the sun study
+            levels: [], // Non-residential podium and roof levels, see levels.js
+            planLevel: null, // Index of the level shown in the 2D plan instead of a residential floor
             currentFloor2D: 0,
+            planSelection: null, // { row, start } of the selected suite on the current floor
+            swapPending: false,
+            suiteDrag: null,
             showDimensions: true,
+            showStackAlignment: false,
             projectData: {
                 width: 13 * this.CONSTANTS.MODULE_WIDTH_METRIC,
                 depth: this.CONSTANTS.SOUTH_DEPTH_METRIC + this.CONSTANTS.NORTH_DEPTH_METRIC,
+                southDepth: this.CONSTANTS.SOUTH_DEPTH_METRIC,
+                northDepth: this.CONSTANTS.NORTH_DEPTH_METRIC,
                 height: 10,
                 floorHeight: 3.175,
                 includeStairs: true
@@ -73,6 +106,22 @@ class StackConfigApp {
             floorLinesGroup: null,
             moduleGroup: null
         };
+
+        // Undo/redo history of project changes
+        this.history = new CommandHistory({ onChange: () => this.onHistoryChange() });
+        this.pendingProjectState = null;
+
+        // Local project library; stays null when the browser offers no storage
+        this.library = null;
+        this.libraryProject = null; // { id, name } of the open project once it has been saved
+        this.lastSavedContent = null;
+        this.hasUnsavedChanges = false;
+        this.autosaveTimer = null;
+        this.librarySaving = Promise.resolve();
+
+        // Mix optimizer search in progress, and the candidates of the last one
+        this.optimizerRun = null; // AbortController
+        this.optimizerCandidates = [];
     }
 
     /**
@@ -92,9 +141,15 @@ class StackConfigApp {
             viewToggleButton: get('view-toggle-btn'),
             unitToggleButton: get('unit-toggle-btn'),
             resetViewBtn: get('reset-view-btn'),
+            copyLinkBtn: get('copy-link-btn'),
+            copyLinkStatus: get('copy-link-status'),
             confirmSuiteMixBtn: get('confirm-suite-mix'),
+            reseedBtn: get('reseed-btn'),
             seeDetailBtn: get('see-detail-btn'),
             closeModalBtn: get('close-modal-btn'),
+            exportProjectBtn: get('export-project-btn'),
+            importProjectBtn: get('import-project-btn'),
+            importProjectInput: get('import-project-input'),
 
             // Inputs & Controls
             widthSlider: get('width-slider'),
@@ -105,9 +160,15 @@ class StackConfigApp {
             heightInput: get('height-input'),
             floorHeightSelect: get('floor-height-select'),
             stairsToggle: get('stairs-toggle'),
+            seedInput: get('seed-input'),
+            mixObjectiveSelect: get('mix-objective-select'),
+            stackingToggle: get('stacking-toggle'),
+            maxFloorTypesInput: get('max-floor-types-input'),
             dimensionsToggle: get('dimensions-toggle'),
-            suiteSliders: Array.from(document.querySelectorAll('.suite-slider')),
-            suiteInputs: Array.from(document.querySelectorAll('.suite-input')),
+            stackHighlightToggle: get('stack-highlight-toggle'),
+            suiteMixControls: get('suite-mix-controls'),
+            suiteSliders: [],
+            suiteInputs: [],
 
             // Display spans & units
             widthUnit: get('width-unit'),
@@ -122,6 +183,17 @@ class StackConfigApp {
 
             // 2D SVG Elements
             svg: get('plan-svg'),
+
+            // Plan Edit Toolbar
+            planEditToolbar: get('plan-edit-toolbar'),
+            planEditLabel: get('plan-edit-label'),
+            planEditMessage: get('plan-edit-message'),
+            clearSelectionBtn: get('clear-selection-btn'),
+            moveSuiteLeftBtn: get('move-suite-left-btn'),
+            moveSuiteRightBtn: get('move-suite-right-btn'),
+            swapSuiteBtn: get('swap-suite-btn'),
+            suiteTypeSelect: get('suite-type-select'),
+            lockSuiteBtn: get('lock-suite-btn'),
             leftStairPlan: get('left-stair-plan'),
             rightStairPlan: get('right-stair-plan'),
             dim2DElements: Array.from(document.querySelectorAll('.dim-element')),
@@ -129,8 +201,121 @@ class StackConfigApp {
             // Summary & Modal
             summarySection: get('summary-section'),
             summaryTableBody: get('summary-table-body'),
+            layoutWarningsList: get('layout-warnings'),
+            stackAlignment: get('stack-alignment'),
+            floorGroups: get('floor-groups'),
             detailModal: get('detail-modal'),
+            exportSummaryCsvBtn: get('export-summary-csv-btn'),
+            exportScheduleCsvBtn: get('export-schedule-csv-btn'),
+            exportBillCsvBtn: get('export-bill-csv-btn'),
+            exportXlsxBtn: get('export-xlsx-btn'),
+            dxfScopeSelect: get('dxf-scope-select'),
+            exportDxfBtn: get('export-dxf-btn'),
+            generateReportBtn: get('generate-report-btn'),
+            exportGlbBtn: get('export-glb-btn'),
+            exportObjBtn: get('export-obj-btn'),
             detailSummaryTableBody: get('detail-summary-table-body'),
+            billOfModules: get('bill-of-modules'),
+
+            // Cost estimate
+            costEstimate: get('cost-estimate'),
+            editPricesBtn: get('edit-prices-btn'),
+            priceModal: get('price-modal'),
+            closePriceBtn: get('close-price-btn'),
+            priceForm: get('price-form'),
+            priceTableBody: get('price-table-body'),
+            priceExtras: get('price-extras'),
+            priceError: get('price-error'),
+            loadPricesBtn: get('load-prices-btn'),
+            savePricesBtn: get('save-prices-btn'),
+            resetPricesBtn: get('reset-prices-btn'),
+            loadPricesInput: get('load-prices-input'),
+            applyPricesBtn: get('apply-prices-btn'),
+
+            // Mix Optimizer
+            optimizeMixBtn: get('optimize-mix-btn'),
+            optimizerModal: get('optimizer-modal'),
+            closeOptimizerBtn: get('close-optimizer-btn'),
+            optimizerGoalSelect: get('optimizer-goal-select'),
+            optimizerTargetLabel: get('optimizer-target-label'),
+            optimizerTargetInput: get('optimizer-target-input'),
+            optimizerStepSelect: get('optimizer-step-select'),
+            optimizerTopInput: get('optimizer-top-input'),
+            optimizerBoundsBody: get('optimizer-bounds-body'),
+            optimizerError: get('optimizer-error'),
+            optimizerStatus: get('optimizer-status'),
+            optimizerResults: get('optimizer-results'),
+            runOptimizerBtn: get('run-optimizer-btn'),
+
+            // Pro forma
+            proFormaInputs: get('pro-forma-inputs'),
+            proFormaError: get('pro-forma-error'),
+            proFormaResults: get('pro-forma-results'),
+            runSensitivityBtn: get('run-sensitivity-btn'),
+            sensitivityResults: get('sensitivity-results'),
+
+            // Building code
+            codeJurisdictionSelect: get('code-jurisdiction-select'),
+            codeOccupancySelect: get('code-occupancy-select'),
+            codeLimits: get('code-limits'),
+            codeCheckResults: get('code-check-results'),
+
+            // Site
+            siteToggleBtn: get('site-toggle-btn'),
+            siteControls: get('site-controls'),
+            siteBoundaryInput: get('site-boundary-input'),
+            siteSetbacksBody: get('site-setbacks-body'),
+            sitePlacement: get('site-placement'),
+            siteLimits: get('site-limits'),
+            siteError: get('site-error'),
+            siteCheckResults: get('site-check-results'),
+            addBaseLevelBtn: get('add-base-level-btn'),
+            addRoofLevelBtn: get('add-roof-level-btn'),
+            levelList: get('level-list'),
+            levelError: get('level-error'),
+            planSiteGroup: get('plan-site-group'),
+
+            // Sun study
+            sunLocation: get('sun-location'),
+            sunDaySlider: get('sun-day-slider'),
+            sunDateLabel: get('sun-date-label'),
+            sunTimeSlider: get('sun-time-slider'),
+            sunTimeLabel: get('sun-time-label'),
+            sunError: get('sun-error'),
+            sunStatus: get('sun-status'),
+            sunHoursReport: get('sun-hours-report'),
+
+            // Project library
+            newProjectBtn: get('new-project-btn'),
+            libraryStatus: get('library-status'),
+            libraryList: get('library-list'),
+
+            // Scenarios
+            saveScenarioBtn: get('save-scenario-btn'),
+            compareScenariosBtn: get('compare-scenarios-btn'),
+            scenarioList: get('scenario-list'),
+            compareModal: get('compare-modal'),
+            closeCompareBtn: get('close-compare-btn'),
+            compareTableHead: get('compare-table-head'),
+            compareTableBody: get('compare-table-body'),
+
+            // History
+            undoBtn: get('undo-btn'),
+            redoBtn: get('redo-btn'),
+            historyList: get('history-list'),
+
+            // Catalogue Editor
+            editCatalogueBtn: get('edit-catalogue-btn'),
+            catalogueModal: get('catalogue-modal'),
+            closeCatalogueBtn: get('close-catalogue-btn'),
+            catalogueTableBody: get('catalogue-table-body'),
+            addSuiteTypeBtn: get('add-suite-type-btn'),
+            catalogueError: get('catalogue-error'),
+            loadCatalogueBtn: get('load-catalogue-btn'),
+            saveCatalogueBtn: get('save-catalogue-btn'),
+            resetCatalogueBtn: get('reset-catalogue-btn'),
+            loadCatalogueInput: get('load-catalogue-input'),
+            applyCatalogueBtn: get('apply-catalogue-btn'),
             
             // Chart
             chartCanvas: get('suite-mix-chart'),
@@ -144,45 +329,262 @@ class StackConfigApp {
         window.addEventListener('resize', () => this.onWindowResize());
 
         // --- Control Panel Listeners ---
-        this.dom.unitToggleButton.addEventListener('click', () => this.toggleUnits());
-        this.dom.stairsToggle.addEventListener('change', (e) => this.handleStairsToggle(e.target.checked));
+        this.dom.unitToggleButton.addEventListener('click', () => this.recordChange('Switch units', () => this.toggleUnits()));
+        this.dom.stairsToggle.addEventListener('change', (e) => this.recordChange(e.target.checked ? 'Add stairs' : 'Remove stairs', () => this.handleStairsToggle(e.target.checked)));
         this.dom.dimensionsToggle.addEventListener('change', (e) => this.handleDimensionsToggle(e.target.checked));
+        this.dom.stackHighlightToggle.addEventListener('change', (e) => this.handleStackHighlightToggle(e.target.checked));
         this.dom.viewToggleButton.addEventListener('click', () => this.toggleView());
+
+        // Project file actions
+        this.dom.exportProjectBtn.addEventListener('click', () => this.exportProject());
+        this.dom.importProjectBtn.addEventListener('click', () => this.dom.importProjectInput.click());
+        this.dom.importProjectInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importProject(file);
+        });
         
-        // Project dimension inputs
-        this.dom.widthSlider.addEventListener('input', (e) => this.handleDimensionChange('width', e.target.value));
-        this.dom.widthInput.addEventListener('change', (e) => this.handleDimensionChange('width', e.target.value));
-        this.dom.heightSlider.addEventListener('input', (e) => this.handleDimensionChange('height', e.target.value));
-        this.dom.heightInput.addEventListener('change', (e) => this.handleDimensionChange('height', e.target.value));
-        this.dom.floorHeightSelect.addEventListener('change', (e) => this.handleFloorHeightChange(e.target.value));
+        // Project library
+        this.dom.newProjectBtn.addEventListener('click', () => this.createLibraryProject());
+        this.dom.libraryList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-library-action]');
+            if (button) this.handleLibraryAction(button.dataset.libraryAction, button.dataset.projectId);
+        });
+        window.addEventListener('pagehide', () => this.saveToLibrary());
+
+        // Scenarios
+        this.dom.saveScenarioBtn.addEventListener('click', () => this.saveScenario());
+        this.dom.compareScenariosBtn.addEventListener('click', () => this.openScenarioComparison());
+        this.dom.scenarioList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-scenario-action]');
+            if (button) this.handleScenarioAction(button.dataset.scenarioAction, parseInt(button.dataset.scenarioIndex, 10));
+        });
+        this.dom.closeCompareBtn.addEventListener('click', () => this.dom.compareModal.classList.add('hidden'));
+        this.dom.compareModal.addEventListener('click', (e) => {
+            if (e.target === this.dom.compareModal) {
+                this.dom.compareModal.classList.add('hidden');
+            }
+        });
 
-        // Suite mix inputs
-        this.dom.suiteInputs.forEach((input, index) => {
-            input.addEventListener('input', () => {
-                this.dom.suiteSliders[index].value = input.value;
+        // Project dimension inputs
+        // Slider drags arrive as many input events, so they share a merge key and undo as one step
+        const changeWidth = (e) => this.recordChange('Change width', () => this.handleDimensionChange('width', e.target.value), 'width');
+        const changeDepth = (e) => this.recordChange('Change length', () => this.handleDepthChange(e.target.value), 'depth');
+        const changeHeight = (e) => this.recordChange('Change height', () => this.handleDimensionChange('height', e.target.value), 'height');
+        this.dom.widthSlider.addEventListener('input', changeWidth);
+        this.dom.widthInput.addEventListener('change', changeWidth);
+        this.dom.depthSlider.addEventListener('input', changeDepth);
+        this.dom.depthInput.addEventListener('change', changeDepth);
+        this.dom.heightSlider.addEventListener('input', changeHeight);
+        this.dom.heightInput.addEventListener('change', changeHeight);
+        this.dom.floorHeightSelect.addEventListener('change', (e) => this.recordChange('Change floor height', () => this.handleFloorHeightChange(e.target.value)));
+
+        // Suite mix inputs (generated from the catalogue, so listen on the container)
+        this.dom.suiteMixControls.addEventListener('input', (e) => {
+            const index = this.dom.suiteInputs.indexOf(e.target) !== -1
+                ? this.dom.suiteInputs.indexOf(e.target)
+                : this.dom.suiteSliders.indexOf(e.target);
+            if (index === -1) return;
+            this.recordChange('Change suite mix', () => {
+                this.dom.suiteInputs[index].value = e.target.value;
+                this.dom.suiteSliders[index].value = e.target.value;
                 this.validateSuiteMix();
-            });
+            }, 'mix');
         });
-        this.dom.suiteSliders.forEach((slider, index) => {
-            slider.addEventListener('input', () => {
-                this.dom.suiteInputs[index].value = slider.value;
-                this.validateSuiteMix();
-            });
+        this.dom.confirmSuiteMixBtn.addEventListener('click', () => this.recordChange('Run placement', () => this.runPlacementAlgorithm()));
+        this.dom.mixObjectiveSelect.addEventListener('change', (e) => this.recordChange('Change mix objective', () => { this.state.mixObjective = e.target.value; }));
+        this.dom.stackingToggle.addEventListener('change', (e) => this.recordChange(e.target.checked ? 'Align floors' : 'Stop aligning floors', () => this.handleStackingToggle(e.target.checked)));
+        this.dom.maxFloorTypesInput.addEventListener('change', (e) => this.recordChange('Change max floor types', () => this.handleMaxFloorTypesChange(e.target.value, true)));
+        this.dom.seedInput.addEventListener('change', (e) => this.recordChange('Change seed', () => this.handleSeedChange(e.target.value)));
+        this.dom.reseedBtn.addEventListener('click', () => this.recordChange('New seed', () => this.handleSeedChange(randomSeed(), true)));
+
+        // Building code rules
+        this.dom.codeJurisdictionSelect.addEventListener('change', (e) => this.recordChange('Change jurisdiction', () => this.setCodeRules(getCodeRules(e.target.value))));
+        this.dom.codeOccupancySelect.addEventListener('change', (e) => this.recordChange('Change occupancy class', () => {
+            const { maxHeight, maxStoreys } = getCodeRules(this.state.codeRules.jurisdiction, e.target.value);
+            this.setCodeRules({ ...this.state.codeRules, occupancyClass: e.target.value, maxHeight, maxStoreys });
+        }));
+        this.dom.codeLimits.addEventListener('change', (e) => {
+            const key = e.target.dataset.codeLimit;
+            if (key) this.recordChange('Change code limit', () => this.handleCodeLimitChange(key, e.target.value));
+        });
+
+        // Site
+        this.dom.siteToggleBtn.addEventListener('click', () => {
+            if (this.state.site) this.recordChange('Remove site', () => this.setSite(null));
+            else this.recordChange('Add site', () => this.setSite(createSite(this.state.projectData)));
+        });
+        this.dom.siteBoundaryInput.addEventListener('change', (e) => this.handleSiteBoundaryChange(e.target.value));
+        this.dom.siteSetbacksBody.addEventListener('change', (e) => {
+            const index = e.target.dataset.siteSetback;
+            if (index !== undefined) this.updateSite('Change setback', site => { site.setbacks[Number(index)] = this.fromDisplayLength(e.target.value); });
+        });
+        this.dom.sitePlacement.addEventListener('change', (e) => {
+            const key = e.target.dataset.sitePlacement;
+            const value = key === 'rotation' ? parseFloat(e.target.value) : this.fromDisplayLength(e.target.value);
+            if (key) this.updateSite(key === 'rotation' ? 'Rotate building on site' : 'Move building on site', site => { site.placement[key] = value; });
+        });
+        this.dom.siteLimits.addEventListener('change', (e) => {
+            const key = e.target.dataset.siteLimit;
+            if (!key) return;
+            const value = e.target.value.trim() === '' ? null
+                : key === 'maxHeight' ? this.fromDisplayLength(e.target.value) : parseFloat(e.target.value);
+            this.updateSite('Change zoning limit', site => { site[key] = value; });
         });
-        this.dom.confirmSuiteMixBtn.addEventListener('click', () => this.runPlacementAlgorithm());
+
+        // Non-residential levels
+        this.dom.addBaseLevelBtn.addEventListener('click', () => this.recordChange('Add podium level', () => this.setLevels([...this.state.levels, createLevel('base', this.state.projectData)])));
+        this.dom.addRoofLevelBtn.addEventListener('click', () => this.recordChange('Add roof level', () => this.setLevels([...this.state.levels, createLevel('roof', this.state.projectData)])));
+        this.dom.levelList.addEventListener('change', (e) => this.handleLevelFieldChange(e.target));
+        this.dom.levelList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-level-action]');
+            if (!button) return;
+            const index = Number(button.closest('[data-level]').dataset.level);
+            const use = Number(button.dataset.use);
+            if (button.dataset.levelAction === 'remove') {
+                this.recordChange(`Remove level "${this.state.levels[index].name}"`, () => this.setLevels(this.state.levels.filter((level, i) => i !== index)));
+            } else if (button.dataset.levelAction === 'add-use') {
+                const unused = Object.keys(LEVEL_USES).find(key => !this.state.levels[index].uses.some(entry => entry.use === key)) || 'services';
+                this.updateLevels('Add level use', levels => { levels[index].uses.push({ use: unused, area: 50 }); });
+            } else if (button.dataset.levelAction === 'remove-use') {
+                this.updateLevels('Remove level use', levels => { levels[index].uses.splice(use, 1); });
+            }
+        });
+
+        // Sun study
+        this.dom.sunLocation.addEventListener('change', (e) => {
+            const key = e.target.dataset.sunSetting;
+            if (key) this.updateSun(key === 'northBearing' ? 'Change north bearing' : 'Change site location', { [key]: parseFloat(e.target.value) });
+        });
+        this.dom.sunDaySlider.addEventListener('input', (e) => this.updateSun('Change sun date', { dayOfYear: parseInt(e.target.value, 10) }, 'sun-date'));
+        this.dom.sunTimeSlider.addEventListener('input', (e) => this.updateSun('Change sun time', { minutes: parseInt(e.target.value, 10) }, 'sun-time'));
+
+        // Undo/redo
+        this.dom.undoBtn.addEventListener('click', () => this.history.undo());
+        this.dom.redoBtn.addEventListener('click', () => this.history.redo());
+        this.dom.historyList.addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-history-position]');
+            if (entry) this.history.jumpTo(parseInt(entry.dataset.historyPosition, 10));
+        });
+        document.addEventListener('keydown', (e) => this.handleHistoryKeyDown(e));
 
         // --- Viewport Listeners ---
         this.dom.resetViewBtn.addEventListener('click', () => this.resetView());
+        this.dom.copyLinkBtn.addEventListener('click', () => this.copyShareLink());
         
         // 2D pan and zoom
         this.dom.planViewContainer.addEventListener('wheel', (e) => this.handle2DZoom(e));
-        this.dom.planViewContainer.addEventListener('mousedown', (e) => this.start2DPan(e));
-        this.dom.planViewContainer.addEventListener('mousemove', (e) => this.pan2D(e));
+        this.dom.planViewContainer.addEventListener('mousedown', (e) => this.handlePlanMouseDown(e));
+        this.dom.planViewContainer.addEventListener('mousemove', (e) => {
+            this.dragPlanSuite(e);
+            this.pan2D(e);
+        });
         this.dom.planViewContainer.addEventListener('mouseup', () => this.end2DPan());
         this.dom.planViewContainer.addEventListener('mouseleave', () => this.end2DPan());
 
+        // 2D plan editing
+        this.dom.clearSelectionBtn.addEventListener('click', () => this.selectPlanSuite(null));
+        this.dom.moveSuiteLeftBtn.addEventListener('click', () => this.moveSelectedSuite(-1));
+        this.dom.moveSuiteRightBtn.addEventListener('click', () => this.moveSelectedSuite(1));
+        this.dom.swapSuiteBtn.addEventListener('click', () => {
+            this.state.swapPending = !this.state.swapPending;
+            this.updatePlanEditToolbar();
+        });
+        this.dom.suiteTypeSelect.addEventListener('change', (e) => this.applyPlanEdit('Change type of', (floors, floorIndex, selection, catalogue) =>
+            changeSuiteType(floors, floorIndex, selection, e.target.value, catalogue)));
+        this.dom.lockSuiteBtn.addEventListener('click', () => {
+            const locked = !this.getSelectedSuite().module.locked;
+            this.applyPlanEdit(locked ? 'Lock' : 'Unlock', (floors, floorIndex, selection, catalogue) =>
+                setSuiteLocked(floors, floorIndex, selection, locked, catalogue));
+        });
+        document.addEventListener('keydown', (e) => this.handlePlanKeyDown(e));
+
+        // --- Catalogue Editor Listeners ---
+        this.dom.editCatalogueBtn.addEventListener('click', () => this.openCatalogueEditor());
+        this.dom.closeCatalogueBtn.addEventListener('click', () => this.dom.catalogueModal.classList.add('hidden'));
+        this.dom.catalogueModal.addEventListener('click', (e) => {
+            if (e.target === this.dom.catalogueModal) {
+                this.dom.catalogueModal.classList.add('hidden');
+            }
+        });
+        this.dom.addSuiteTypeBtn.addEventListener('click', () => this.addDraftSuiteType());
+        this.dom.catalogueTableBody.addEventListener('change', (e) => this.handleCatalogueFieldChange(e.target));
+        this.dom.catalogueTableBody.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-suite]');
+            if (removeBtn) this.removeDraftSuiteType(removeBtn.dataset.removeSuite);
+        });
+        this.dom.saveCatalogueBtn.addEventListener('click', () => this.saveCatalogue());
+        this.dom.loadCatalogueBtn.addEventListener('click', () => this.dom.loadCatalogueInput.click());
+        this.dom.loadCatalogueInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadCatalogue(file);
+        });
+        this.dom.resetCatalogueBtn.addEventListener('click', () => {
+            this.state.catalogueDraft = cloneCatalogue();
+            this.renderCatalogueEditor();
+        });
+        this.dom.applyCatalogueBtn.addEventListener('click', () => this.applyCatalogueDraft());
+
+        // --- Price Table Listeners ---
+        this.dom.editPricesBtn.addEventListener('click', () => this.openPriceEditor());
+        this.dom.closePriceBtn.addEventListener('click', () => this.dom.priceModal.classList.add('hidden'));
+        this.dom.priceModal.addEventListener('click', (e) => {
+            if (e.target === this.dom.priceModal) {
+                this.dom.priceModal.classList.add('hidden');
+            }
+        });
+        this.dom.priceForm.addEventListener('change', (e) => this.handlePriceFieldChange(e.target));
+        this.dom.savePricesBtn.addEventListener('click', () => this.savePriceTable());
+        this.dom.loadPricesBtn.addEventListener('click', () => this.dom.loadPricesInput.click());
+        this.dom.loadPricesInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadPriceTable(file);
+        });
+        this.dom.resetPricesBtn.addEventListener('click', () => {
+            this.state.priceDraft = clonePriceTable();
+            this.renderPriceEditor();
+        });
+        this.dom.applyPricesBtn.addEventListener('click', () => this.applyPriceDraft());
+
+        // --- Mix Optimizer Listeners ---
+        this.dom.optimizeMixBtn.addEventListener('click', () => this.openMixOptimizer());
+        this.dom.closeOptimizerBtn.addEventListener('click', () => this.closeMixOptimizer());
+        this.dom.optimizerModal.addEventListener('click', (e) => {
+            if (e.target === this.dom.optimizerModal) {
+                this.closeMixOptimizer();
+            }
+        });
+        this.dom.optimizerGoalSelect.addEventListener('change', (e) => {
+            this.dom.optimizerTargetLabel.classList.toggle('hidden', e.target.value !== 'target-count');
+        });
+        this.dom.runOptimizerBtn.addEventListener('click', () => {
+            if (this.optimizerRun) this.optimizerRun.abort();
+            else this.runMixOptimizer();
+        });
+        this.dom.optimizerResults.addEventListener('click', (e) => {
+            const applyBtn = e.target.closest('[data-candidate-index]');
+            if (applyBtn) this.applyOptimizedMix(this.optimizerCandidates[Number(applyBtn.dataset.candidateIndex)]);
+        });
+
+        // --- Pro Forma Listeners ---
+        this.dom.proFormaInputs.addEventListener('change', (e) => this.handleProFormaFieldChange(e.target));
+        this.dom.runSensitivityBtn.addEventListener('click', () => this.renderSensitivity());
+
         // --- Modal Listeners ---
         this.dom.seeDetailBtn.addEventListener('click', () => this.dom.detailModal.classList.remove('hidden'));
+        this.dom.exportSummaryCsvBtn.addEventListener('click', () => this.exportCSV('summary'));
+        this.dom.exportScheduleCsvBtn.addEventListener('click', () => this.exportCSV('schedule'));
+        this.dom.exportBillCsvBtn.addEventListener('click', () => this.exportCSV('bill'));
+        this.dom.exportXlsxBtn.addEventListener('click', () => this.exportXLSX());
+        this.dom.exportDxfBtn.addEventListener('click', () => {
+            const [scope, layout] = this.dom.dxfScopeSelect.value.split('-');
+            this.exportDXF(scope, { combined: layout === 'sheet' });
+        });
+        this.dom.generateReportBtn.addEventListener('click', () => this.generateReport());
+        this.dom.exportGlbBtn.addEventListener('click', () => this.exportMassing('glb'));
+        this.dom.exportObjBtn.addEventListener('click', () => this.exportMassing('obj'));
         this.dom.closeModalBtn.addEventListener('click', () => this.dom.detailModal.classList.add('hidden'));
         this.dom.detailModal.addEventListener('click', (e) => {
             if (e.target === this.dom.detailModal) {
@@ -195,10 +597,26 @@ class StackConfigApp {
      * Initial setup call.
      */
     init() {
+        Object.entries(MIX_OBJECTIVES).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.dom.mixObjectiveSelect.appendChild(option);
+        });
+        this.dom.mixObjectiveSelect.value = this.state.mixObjective;
+        this.dom.seedInput.value = this.state.seed;
+        this.renderSuiteMixControls(this.CONSTANTS.DEFAULT_MIX);
         this.updateUnitSettings();
         this.createChart();
         this.validateSuiteMix();
+        this.renderHistoryList();
+        this.renderScenarioList();
+        this.renderCodeRuleControls();
+        this.renderSunControls();
         this.setSVGViewBox(); // Ensure initial zoom is applied
+        this.defaultProjectState = this.captureProjectState();
+        this.registerOfflineCache();
+        this.startSession();
     }
 
     // --- EVENT HANDLERS ---
@@ -213,11 +631,43 @@ class StackConfigApp {
         this.updateViews();
     }
 
+    handleSeedChange(value, rerun = false) {
+        this.state.seed = normalizeSeed(value);
+        this.dom.seedInput.value = this.state.seed;
+        if (rerun && this.state.buildingLayout.length > 0 && !this.dom.confirmSuiteMixBtn.disabled) {
+            this.runPlacementAlgorithm();
+        }
+    }
+
     handleDimensionsToggle(isChecked) {
         this.state.showDimensions = isChecked;
         this.redrawViews();
     }
 
+    /** Switches stacking-aware placement and places the suites again if there is a layout. */
+    handleStackingToggle(isChecked) {
+        this.state.stacking = isChecked;
+        this.dom.stackingToggle.checked = isChecked;
+        if (this.state.buildingLayout.length > 0 && !this.dom.confirmSuiteMixBtn.disabled) {
+            this.runPlacementAlgorithm();
+        }
+    }
+
+    /** Sets the cap on floor types; anything but a whole number of 1 or more clears it. */
+    handleMaxFloorTypesChange(value, rerun = false) {
+        const number = Number(value);
+        this.state.maxFloorTypes = value !== null && value !== '' && Number.isInteger(number) && number >= 1 ? number : null;
+        this.dom.maxFloorTypesInput.value = this.state.maxFloorTypes === null ? '' : this.state.maxFloorTypes;
+        if (rerun && this.state.buildingLayout.length > 0 && !this.dom.confirmSuiteMixBtn.disabled) {
+            this.runPlacementAlgorithm();
+        }
+    }
+
+    handleStackHighlightToggle(isChecked) {
+        this.state.showStackAlignment = isChecked;
+        this.redrawViews();
+    }
+
     handleDimensionChange(key, value) {
         const numValue = parseFloat(value);
         if (isNaN(numValue)) return;
@@ -228,6 +678,23 @@ class StackConfigApp {
         this.updateViews();
     }
 
+    handleDepthChange(value) {
+        const numValue = parseFloat(value);
+        if (isNaN(numValue)) return;
+
+        // Snap to the module depth pair whose total is closest to the requested depth
+        const metricValue = this.state.currentUnit === 'metric' ? numValue : this.convert(numValue, 'metric');
+        const option = this.CONSTANTS.DEPTH_OPTIONS.reduce((best, candidate) => {
+            const diff = Math.abs(candidate.south + candidate.north - metricValue);
+            return diff < Math.abs(best.south + best.north - metricValue) ? candidate : best;
+        });
+        this.state.projectData.southDepth = option.south;
+        this.state.projectData.northDepth = option.north;
+        this.state.projectData.depth = option.south + option.north;
+
+        this.updateViews();
+    }
+
     handleFloorHeightChange(value) {
         this.state.projectData.floorHeight = parseFloat(value);
         
@@ -246,6 +713,7 @@ class StackConfigApp {
         
         const showThumbnails = !this.state.is3DView && this.state.buildingLayout.length > 0;
         this.dom.floorThumbnailsContainer.classList.toggle('hidden', !showThumbnails);
+        this.updatePlanEditToolbar();
 
         if (this.state.is3DView && !this.state.threeInitialized) {
             setTimeout(() => this.initThree(), 0);
@@ -267,6 +735,15 @@ class StackConfigApp {
         }
     }
 
+    ensureThreeInitialized() {
+        if (this.state.threeInitialized) return;
+        this.dom.threeViewContainer.classList.remove('hidden');
+        this.initThree();
+        if (!this.state.is3DView) {
+            this.dom.threeViewContainer.classList.add('hidden');
+        }
+    }
+
     onWindowResize() {
         if (!this.state.threeInitialized) return;
         this.three.camera.aspect = this.dom.threeViewContainer.clientWidth / this.dom.threeViewContainer.clientHeight;
@@ -318,6 +795,7 @@ class StackConfigApp {
 
     end2DPan() {
         this.state.isPanning = false;
+        this.state.suiteDrag = null;
     }
 
     setSVGViewBox() {
@@ -325,227 +803,1026 @@ class StackConfigApp {
         this.dom.svg.setAttribute('viewBox', `${x} ${y} ${w} ${h}`);
     }
 
+    // --- 2D PLAN EDITING ---
 
-    // --- CORE LOGIC & ALGORITHMS ---
+    handlePlanMouseDown(event) {
+        const slot = event.target.closest ? event.target.closest('[data-row]') : null;
+        if (!slot || this.state.buildingLayout.length === 0) {
+            this.start2DPan(event);
+            return;
+        }
+        const row = slot.dataset.row;
+        const index = parseInt(slot.dataset.index, 10);
+
+        if (this.state.swapPending && this.state.planSelection) {
+            this.state.swapPending = false;
+            const target = this.getCurrentFloorPlan() && getSuiteAt(this.getCurrentFloorPlan(), row, index);
+            if (target) {
+                this.applyPlanEdit('Swap', (floors, floorIndex, selection, catalogue) =>
+                    swapSuites(floors, floorIndex, selection, { row, start: target.start }, catalogue));
+            } else {
+                this.updatePlanEditToolbar();
+            }
+            return;
+        }
 
-    runPlacementAlgorithm() {
-        if (!this.state.threeInitialized) {
-            this.dom.threeViewContainer.classList.remove('hidden');
-            this.initThree();
-            if (!this.state.is3DView) {
-                this.dom.threeViewContainer.classList.add('hidden');
+        this.selectPlanSuite({ row, index });
+        const suite = this.getSelectedSuite();
+        if (suite && !suite.module.locked) {
+            this.state.suiteDrag = { lastX: event.clientX, offset: 0, moduleWidth: parseFloat(slot.getAttribute('width')) };
+        }
+    }
+
+    /**
+     * Moves the dragged suite one neighbour at a time once the pointer has
+     * passed the middle of the neighbouring suite.
+     */
+    dragPlanSuite(event) {
+        const drag = this.state.suiteDrag;
+        if (!drag) return;
+        drag.offset += (event.clientX - drag.lastX) * (this.state.svgViewBox.w / this.dom.planViewContainer.clientWidth);
+        drag.lastX = event.clientX;
+
+        while (drag.offset !== 0) {
+            const direction = Math.sign(drag.offset);
+            const suite = this.getSelectedSuite();
+            const floor = this.getCurrentFloorPlan();
+            const neighbourIndex = direction < 0 ? suite.start - 1 : suite.start + suite.length;
+            if (neighbourIndex < 0 || neighbourIndex >= floor[suite.row].length) break;
+            const neighbourWidth = (getSuiteAt(floor, suite.row, neighbourIndex) || { length: 1 }).length * drag.moduleWidth;
+            if (Math.abs(drag.offset) < neighbourWidth / 2) break;
+            if (!this.moveSelectedSuite(direction)) {
+                drag.offset = 0;
+                break;
             }
+            drag.offset -= direction * neighbourWidth;
         }
+    }
 
-        const singleSideModules = Math.max(1, Math.round(this.state.projectData.width / this.CONSTANTS.MODULE_WIDTH_METRIC));
-        const numFloors = Math.max(1, Math.round(this.state.projectData.height / this.state.projectData.floorHeight));
-        
-        const totalResidentialModules = (singleSideModules * 2 * numFloors) - numFloors;
+    handlePlanKeyDown(event) {
+        if (!this.state.planSelection || this.state.is3DView) return;
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+        if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            event.preventDefault();
+            this.moveSelectedSuite(event.key === 'ArrowLeft' ? -1 : 1);
+        } else if (event.key === 'Escape') {
+            this.selectPlanSuite(null);
+        }
+    }
+
+    getCurrentFloorPlan() {
+        return this.state.buildingLayout[this.state.currentFloor2D] || null;
+    }
+
+    /** The selected suite's span on the current floor, or null. */
+    getSelectedSuite() {
+        const floor = this.getCurrentFloorPlan();
+        const selection = this.state.planSelection;
+        if (!floor || !selection) return null;
+        return getSuiteAt(floor, selection.row, selection.start);
+    }
+
+    /** Selects the suite covering `{ row, index }`, or clears the selection when given null. */
+    selectPlanSuite(slot) {
+        const floor = this.getCurrentFloorPlan();
+        const suite = slot && floor ? getSuiteAt(floor, slot.row, slot.index) : null;
+        this.state.planSelection = suite && suite.module.id !== 'elevator' ? { row: suite.row, start: suite.start } : null;
+        this.state.swapPending = false;
+        this.showPlanEditMessage('');
+        this.redrawViews();
+    }
+
+    moveSelectedSuite(direction) {
+        return this.applyPlanEdit('Move', (floors, floorIndex, selection, catalogue) =>
+            moveSuite(floors, floorIndex, selection, direction, catalogue), 'move');
+    }
+
+    /**
+     * Runs one plan-editor edit on the selected suite and records it in the history
+     * as "`verb` <instance id>", then refreshes the summary, warnings, thumbnails
+     * and views. Returns false if the edit was refused.
+     */
+    applyPlanEdit(verb, edit, mergeKey = null) {
+        const suite = this.getSelectedSuite();
+        if (!suite) return false;
+        let result;
+        try {
+            result = edit(this.state.buildingLayout, this.state.currentFloor2D, this.state.planSelection, this.state.catalogue);
+        } catch (err) {
+            if (!(err instanceof PlanEditError)) throw err;
+            this.showPlanEditMessage(err.message);
+            return false;
+        }
+        this.recordChange(`${verb} ${suite.module.instanceId}`, () => {
+            this.state.buildingLayout = result.floors;
+            this.state.planSelection = result.selection;
+            this.showPlanEditMessage('');
+
+            const summary = this.summarizeCurrentLayout();
+            this.state.layoutWarnings = getLayoutWarnings(result.floors, summary);
+            this.updateSummaryAndUI(summary, this.state.currentFloor2D);
+        }, mergeKey);
+        return true;
+    }
+
+    showPlanEditMessage(message) {
+        this.dom.planEditMessage.textContent = message;
+        this.dom.planEditMessage.classList.toggle('hidden', !message);
+    }
+
+    updatePlanEditToolbar() {
+        const suite = this.state.is3DView ? null : this.getSelectedSuite();
+        this.dom.planEditToolbar.classList.toggle('hidden', !suite);
+        if (!suite) return;
+
+        const { module } = suite;
+        this.dom.planEditLabel.textContent = `${module.name} · ${module.instanceId}${module.locked ? ' (locked)' : ''}`;
+        this.dom.lockSuiteBtn.textContent = module.locked ? 'Unlock' : 'Lock';
+        this.dom.swapSuiteBtn.textContent = this.state.swapPending ? 'Click a suite to swap with…' : 'Swap With…';
+        [this.dom.moveSuiteLeftBtn, this.dom.moveSuiteRightBtn, this.dom.swapSuiteBtn, this.dom.suiteTypeSelect]
+            .forEach(control => { control.disabled = Boolean(module.locked); });
+
+        this.dom.suiteTypeSelect.innerHTML = Object.values(this.state.catalogue.suiteTypes)
+            .map(type => `<option value="${this.escapeHTML(type.id)}">${this.escapeHTML(type.name)}</option>`)
+            .join('');
+        this.dom.suiteTypeSelect.value = module.id;
+    }
 
-        const percentages = this.dom.suiteInputs.reduce((acc, input) => {
+
+    // --- CORE LOGIC & ALGORITHMS ---
+
+    runPlacementAlgorithm() {
+        this.ensureThreeInitialized();
+
+        const result = computeLayout({
+            ...this.state.projectData,
+            mix: this.getSuiteMix(),
+            mixObjective: this.state.mixObjective,
+            stacking: this.state.stacking,
+            maxFloorTypes: this.state.maxFloorTypes,
+            seed: this.state.seed,
+            catalogue: this.state.catalogue,
+            locked: getLockedSuites(this.state.buildingLayout)
+        });
+        this.state.planSelection = null;
+        this.state.buildingLayout = result.floors;
+        this.state.layoutWarnings = result.warnings;
+        this.updateSummaryAndUI(result.summary);
+    }
+
+    getSuiteMix() {
+        return this.dom.suiteInputs.reduce((acc, input) => {
             acc[input.dataset.suiteId] = parseFloat(input.value) || 0;
             return acc;
         }, {});
+    }
+
+    setSuiteMix(mix) {
+        this.dom.suiteInputs.forEach((input, index) => {
+            const value = mix[input.dataset.suiteId] || 0;
+            input.value = value;
+            this.dom.suiteSliders[index].value = value;
+        });
+        this.validateSuiteMix();
+    }
+
+    summarizeCurrentLayout() {
+        return summarizeLayout(this.state.buildingLayout, {
+            ...this.state.projectData,
+            mix: this.getSuiteMix(),
+            mixObjective: this.state.mixObjective,
+            catalogue: this.state.catalogue
+        });
+    }
+
+    // --- CATALOGUE EDITOR ---
+
+    openCatalogueEditor() {
+        this.state.catalogueDraft = cloneCatalogue(this.state.catalogue);
+        this.renderCatalogueEditor();
+        this.dom.catalogueModal.classList.remove('hidden');
+    }
+
+    renderCatalogueEditor() {
+        const draft = this.state.catalogueDraft;
+        const esc = (text) => this.escapeHTML(text);
+        const textInput = (key, field, value, width = 'w-full') =>
+            `<input type="text" class="${width} border border-gray-300 rounded px-2 py-1" data-key="${esc(key)}" data-field="${field}" value="${esc(value)}">`;
+
+        const moduleRow = (key, module, isSuite) => `
+            <tr class="border-t ${isSuite ? '' : 'bg-gray-50'}">
+                <td class="p-2">${textInput(key, 'name', module.name)}</td>
+                <td class="p-2">${textInput(key, 'tag', module.tag, 'w-16')}</td>
+                <td class="p-2">${isSuite
+                    ? `<input type="number" min="1" step="1" data-key="${esc(key)}" data-field="moduleCount" value="${module.moduleCount}">`
+                    : '---'}</td>
+                <td class="p-2"><input type="color" data-key="${esc(key)}" data-field="color" value="${esc(module.color)}"></td>
+                <td class="p-2">${textInput(key, 'codes.noCorridor', module.codes.noCorridor)}</td>
+                <td class="p-2">${textInput(key, 'codes.corridor', module.codes.corridor)}</td>
+                <td class="p-2 text-right">${isSuite
+                    ? `<button class="text-red-600 hover:underline" data-remove-suite="${esc(key)}">Remove</button>`
+                    : ''}</td>
+            </tr>
+        `;
 
-        const suiteOrder = ['three-bed', 'two-bed', 'one-bed', 'studio'];
-        let targetSuiteCounts = {};
-        let usedModules = 0;
+        this.dom.catalogueTableBody.innerHTML =
+            Object.entries(draft.suiteTypes).map(([key, type]) => moduleRow(key, type, true)).join('') +
+            moduleRow('stair', draft.stair, false) +
+            moduleRow('elevator', draft.elevator, false);
+        this.dom.catalogueError.classList.add('hidden');
+    }
 
-        for (const typeId of suiteOrder) {
-            const suiteInfo = this.CONSTANTS.SUITE_TYPES[typeId];
-            const targetModules = totalResidentialModules * (percentages[typeId] / 100);
-            const numSuites = Math.floor(targetModules / suiteInfo.moduleCount); // Use floor to not over-allocate
-            targetSuiteCounts[typeId] = numSuites;
-            usedModules += numSuites * suiteInfo.moduleCount;
+    handleCatalogueFieldChange(input) {
+        const { key, field } = input.dataset;
+        if (!key || !field) return;
+        const draft = this.state.catalogueDraft;
+        const module = draft.suiteTypes[key] || draft[key];
+        if (!module) return;
+
+        let value = input.value;
+        if (field === 'moduleCount') value = parseInt(value, 10);
+        if (field === 'tag') value = value.toUpperCase();
+        if (field.startsWith('codes.')) {
+            module.codes[field.slice('codes.'.length)] = value;
+        } else {
+            module[field] = value;
         }
-        
-        let allSuitesToPlace = [];
-        for (const typeId of suiteOrder) {
-            const suiteInfo = this.CONSTANTS.SUITE_TYPES[typeId];
-            for (let i = 0; i < targetSuiteCounts[typeId]; i++) {
-                allSuitesToPlace.push({ ...suiteInfo });
-            }
+    }
+
+    addDraftSuiteType() {
+        const draft = this.state.catalogueDraft;
+        const id = createSuiteTypeId('New Suite', draft);
+        const usedTags = new Set([...Object.values(draft.suiteTypes), draft.stair, draft.elevator].map(m => m.tag));
+        let n = 1;
+        while (usedTags.has(`S${n}`)) n++;
+        draft.suiteTypes[id] = { id, name: 'New Suite', tag: `S${n}`, moduleCount: 2, color: '#9CA3AF', codes: { noCorridor: '', corridor: '' } };
+        this.renderCatalogueEditor();
+    }
+
+    removeDraftSuiteType(id) {
+        delete this.state.catalogueDraft.suiteTypes[id];
+        this.renderCatalogueEditor();
+    }
+
+    applyCatalogueDraft() {
+        let catalogue;
+        try {
+            catalogue = validateCatalogue(this.state.catalogueDraft);
+        } catch (err) {
+            this.dom.catalogueError.textContent = err.message;
+            this.dom.catalogueError.classList.remove('hidden');
+            return;
         }
-        
-        this.generateBuildingLayout(allSuitesToPlace, numFloors, singleSideModules);
-        this.updateSummaryAndUI(percentages);
+        this.dom.catalogueModal.classList.add('hidden');
+        this.recordChange('Edit catalogue', () => this.applyCatalogue(catalogue));
     }
-    
-    generateBuildingLayout(allSuitesToPlace, numFloors, singleSideModules) {
-        let floorSuiteLists = Array.from({ length: numFloors }, () => []);
-        let floorCapacity = Array(numFloors).fill(singleSideModules * 2 - 1);
-
-        allSuitesToPlace.sort((a, b) => b.moduleCount - a.moduleCount);
-
-        allSuitesToPlace.forEach(suite => {
-            let placed = false;
-            for (let i = 0; i < numFloors; i++) {
-                if (floorCapacity[i] >= suite.moduleCount) {
-                    floorSuiteLists[i].push(suite);
-                    floorCapacity[i] -= suite.moduleCount;
-                    placed = true;
-                    break;
-                }
-            }
-            if (!placed) {
-                const targetFloor = floorCapacity.findIndex(c => c > 0);
-                if (targetFloor !== -1) {
-                    floorSuiteLists[targetFloor].push(suite);
-                    floorCapacity[targetFloor] -= suite.moduleCount;
-                }
-            }
-        });
 
-        for (let i = 0; i < numFloors; i++) {
-            while (floorCapacity[i] > 0) {
-                if (floorCapacity[i] >= 4) {
-                    floorSuiteLists[i].push({ ...this.CONSTANTS.SUITE_TYPES['three-bed'] });
-                    floorCapacity[i] -= 4;
-                } else if (floorCapacity[i] >= 3) {
-                    floorSuiteLists[i].push({ ...this.CONSTANTS.SUITE_TYPES['two-bed'] });
-                    floorCapacity[i] -= 3;
-                } else if (floorCapacity[i] >= 2) {
-                    floorSuiteLists[i].push({ ...this.CONSTANTS.SUITE_TYPES['one-bed'] });
-                    floorCapacity[i] -= 2;
-                } else if (floorCapacity[i] >= 1) {
-                    floorSuiteLists[i].push({ ...this.CONSTANTS.SUITE_TYPES['studio'] });
-                    floorCapacity[i] -= 1;
-                }
-            }
+    applyCatalogue(catalogue) {
+        const mix = this.getSuiteMix();
+        this.state.catalogue = catalogue;
+        this.renderSuiteMixControls(mix);
+        this.refreshChart();
+        this.updateViews(); // The old layout may use suite types that no longer exist
+    }
+
+    saveCatalogue() {
+        try {
+            const catalogue = validateCatalogue(this.state.catalogueDraft);
+            this.downloadFile('stack-config-catalogue.json', JSON.stringify(serializeCatalogue(catalogue), null, 2), 'application/json');
+        } catch (err) {
+            this.dom.catalogueError.textContent = err.message;
+            this.dom.catalogueError.classList.remove('hidden');
         }
+    }
+
+    async loadCatalogue(file) {
+        try {
+            this.state.catalogueDraft = parseCatalogue(await file.text());
+            this.renderCatalogueEditor();
+        } catch (err) {
+            this.dom.catalogueError.textContent = `Could not load catalogue: ${err.message}`;
+            this.dom.catalogueError.classList.remove('hidden');
+        }
+    }
+
+    // --- PRICE TABLE EDITOR ---
+
+    openPriceEditor() {
+        this.state.priceDraft = clonePriceTable(this.state.priceTable);
+        this.renderPriceEditor();
+        this.dom.priceModal.classList.remove('hidden');
+    }
+
+    renderPriceEditor() {
+        const draft = this.state.priceDraft;
+        const { suiteTypes } = this.state.catalogue;
+        const esc = (text) => this.escapeHTML(text);
+        const codes = [...new Set([...getCatalogueCodes(this.state.catalogue), ...Object.keys(draft.modulePrices)])]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const usedBy = (code) => Object.values(suiteTypes)
+            .filter(type => [type.codes.noCorridor, type.codes.corridor].some(list => list.split('+').map(c => c.trim()).includes(code)))
+            .map(type => type.name);
+
+        this.dom.priceTableBody.innerHTML = codes.map(code => {
+            const price = draft.modulePrices[code];
+            return `
+                <tr class="border-t">
+                    <td class="p-2 font-medium">${esc(code)}</td>
+                    <td class="p-2 text-gray-500">${esc(usedBy(code).join(', ') || 'Not in the catalogue')}</td>
+                    <td class="p-2 text-right"><input type="number" min="0" step="any" style="width: 120px;" data-price-code="${esc(code)}" value="${price === undefined ? '' : price}"></td>
+                </tr>
+            `;
+        }).join('');
 
-        let unsortedLayout = floorSuiteLists.map(suiteList => {
-            const plan = this.createFloorPlan(suiteList, singleSideModules);
-            const score = suiteList.reduce((acc, s) => acc + s.moduleCount, 0);
-            return { plan, score };
+        const field = (key, label, value, type = 'number') => `
+            <label class="flex items-center justify-between">
+                <span>${label}</span>
+                <input type="${type}" ${type === 'number' ? 'min="0" step="any"' : 'maxlength="3" class="border border-gray-300 rounded px-2 py-1"'} style="width: 120px;" data-price-field="${key}" value="${esc(String(value))}">
+            </label>
+        `;
+        this.dom.priceExtras.innerHTML = [
+            field('currency', 'Currency', draft.currency, 'text'),
+            field('floorPremiumPercent', 'Premium per Storey (%)', draft.floorPremiumPercent),
+            field('stairCorePerFloor', 'Stair Core, per Floor', draft.stairCorePerFloor),
+            field('elevatorCorePerFloor', 'Elevator Core, per Floor', draft.elevatorCorePerFloor),
+            field('siteWork', 'Site-Work Allowance', draft.siteWork)
+        ].join('');
+        this.dom.priceError.classList.add('hidden');
+    }
+
+    /** Copies an edited field into the draft; an empty module price leaves the code unpriced. */
+    handlePriceFieldChange(input) {
+        const draft = this.state.priceDraft;
+        const { priceCode, priceField } = input.dataset;
+        if (priceCode) {
+            if (input.value.trim() === '') delete draft.modulePrices[priceCode];
+            else draft.modulePrices[priceCode] = parseFloat(input.value);
+        } else if (priceField === 'currency') {
+            draft.currency = input.value.trim().toUpperCase();
+        } else if (priceField) {
+            draft[priceField] = parseFloat(input.value);
+        }
+    }
+
+    applyPriceDraft() {
+        let prices;
+        try {
+            prices = validatePriceTable(this.state.priceDraft);
+        } catch (err) {
+            this.dom.priceError.textContent = err.message;
+            this.dom.priceError.classList.remove('hidden');
+            return;
+        }
+        this.dom.priceModal.classList.add('hidden');
+        this.recordChange('Edit prices', () => {
+            this.state.priceTable = prices;
+            this.renderCostEstimate();
+            this.renderProFormaResults();
         });
+    }
 
-        unsortedLayout.sort((a, b) => a.score - b.score);
-        
-        this.state.buildingLayout = unsortedLayout.map(item => item.plan);
+    savePriceTable() {
+        try {
+            const prices = validatePriceTable(this.state.priceDraft);
+            this.downloadFile('stack-config-prices.json', JSON.stringify(serializePriceTable(prices), null, 2), 'application/json');
+        } catch (err) {
+            this.dom.priceError.textContent = err.message;
+            this.dom.priceError.classList.remove('hidden');
+        }
     }
 
-    createFloorPlan(suites, singleSideModules) {
-        let plan = { north: Array(singleSideModules).fill(null), south: Array(singleSideModules).fill(null) };
-        const middleIndex = Math.floor(singleSideModules / 2);
-        
-        plan.south[middleIndex] = { ...this.CONSTANTS.ELEVATOR_INFO, instanceId: 'elevator-core', isCorridorSide: false };
+    async loadPriceTable(file) {
+        try {
+            this.state.priceDraft = parsePriceTable(await file.text());
+            this.renderPriceEditor();
+        } catch (err) {
+            this.dom.priceError.textContent = `Could not import prices: ${err.message}`;
+            this.dom.priceError.classList.remove('hidden');
+        }
+    }
 
-        const placeSuite = (suite, index, row) => {
-            const instanceId = `${suite.id}-${Math.random()}`;
-            const isCorridorSide = row === 'north';
-            for (let i = 0; i < suite.moduleCount; i++) {
-                plan[row][index + i] = { ...suite, instanceId, isCorridorSide };
-            }
+    // --- PROJECT FILES ---
+
+    exportProject() {
+        const doc = serializeProject(this.captureProjectState());
+        this.downloadFile('stack-config-project.json', JSON.stringify(doc, null, 2), 'application/json');
+    }
+
+    async importProject(file) {
+        let project;
+        try {
+            project = parseProject(await file.text());
+        } catch (err) {
+            alert(`Could not import project: ${err.message}`);
+            return;
+        }
+        this.recordChange('Import project', () => this.applyProjectState(project));
+    }
+
+    // --- HISTORY ---
+
+    /**
+     * Snapshot of everything the history can restore, in the shape `parseProject` returns.
+     * The layout and catalogue are replaced rather than mutated, so they are kept by reference.
+     */
+    captureProjectState() {
+        return {
+            unit: this.state.currentUnit,
+            projectData: { ...this.state.projectData },
+            mix: this.getSuiteMix(),
+            mixObjective: this.state.mixObjective,
+            stacking: this.state.stacking,
+            maxFloorTypes: this.state.maxFloorTypes,
+            seed: this.state.seed,
+            catalogue: this.state.catalogue,
+            layout: this.state.buildingLayout,
+            layoutWarnings: [...this.state.layoutWarnings],
+            currentFloor: this.state.currentFloor2D,
+            codeRules: this.state.codeRules,
+            priceTable: this.state.priceTable,
+            proForma: this.state.proForma,
+            site: this.state.site,
+            sun: this.state.sun,
+            levels: this.state.levels,
+            scenarios: this.state.scenarios
         };
+    }
+
+    /** Puts the app into a captured or imported project state. */
+    applyProjectState(project) {
+        if (project.scenarios) {
+            this.state.scenarios = project.scenarios;
+            this.renderScenarioList();
+        }
+        this.state.projectData = { ...this.state.projectData, ...project.projectData };
+        this.state.currentUnit = project.unit;
+        this.dom.stairsToggle.checked = project.projectData.includeStairs;
+        this.state.catalogue = project.catalogue;
+        this.state.codeRules = project.codeRules;
+        this.state.priceTable = project.priceTable;
+        this.state.proForma = project.proForma;
+        this.state.site = project.site;
+        this.state.sun = project.sun;
+        this.state.levels = project.levels;
+        this.state.planLevel = null;
+        this.renderCodeRuleControls();
+        this.renderSunControls();
+        this.renderLevelControls();
+        this.renderSuiteMixControls(project.mix);
+        this.refreshChart();
+        this.handleSeedChange(project.seed);
+        this.state.mixObjective = project.mixObjective;
+        this.dom.mixObjectiveSelect.value = project.mixObjective;
+        this.state.stacking = project.stacking;
+        this.dom.stackingToggle.checked = project.stacking;
+        this.handleMaxFloorTypesChange(project.maxFloorTypes);
+        this.updateUnitSettings(); // Clears any previous layout
+
+        if (project.layout.length > 0) {
+            this.ensureThreeInitialized();
+            this.state.buildingLayout = project.layout;
+            this.state.layoutWarnings = project.layoutWarnings || [];
+            this.updateSummaryAndUI(this.summarizeCurrentLayout(), project.currentFloor);
+        }
+    }
+
+    /**
+     * Runs `change` and records it as one undoable step, unless it changed nothing.
+     * Commands only pick the state to return to; `onHistoryChange` applies it once,
+     * so jumping several steps through the list redraws a single time.
+     */
+    recordChange(label, change, mergeKey = null) {
+        const before = this.captureProjectState();
+        change();
+        const after = this.captureProjectState();
+        const comparable = (s) => JSON.stringify({ ...s, catalogue: null, layout: null, layoutWarnings: null, currentFloor: null, scenarios: null });
+        const sameReferences = ['layout', 'catalogue', 'scenarios'].every(key => before[key] === after[key]);
+        if (sameReferences && comparable(before) === comparable(after)) return;
+
+        this.history.record({
+            label,
+            mergeKey,
+            undo: () => { this.pendingProjectState = before; },
+            redo: () => { this.pendingProjectState = after; }
+        });
+    }
 
-        let largeSuites = suites.filter(s => s.moduleCount > 1).sort((a, b) => b.moduleCount - a.moduleCount);
-        let smallSuites = suites.filter(s => s.moduleCount === 1);
+    // --- SPREADSHEET EXPORT ---
 
-        let pointers = {
-            north: { left: 0, right: singleSideModules - 1 },
-            south: { left: 0, right: singleSideModules - 1 }
+    getExportTables() {
+        const { buildingLayout, projectData, currentUnit, catalogue } = this.state;
+        return {
+            summary: getSummaryTable(this.summarizeCurrentLayout(), { unit: currentUnit, catalogue }),
+            schedule: getModuleSchedule(buildingLayout, { ...projectData, unit: currentUnit, catalogue }),
+            bill: getBillTable(getBillOfModules(buildingLayout, { catalogue, includeStairs: projectData.includeStairs }))
         };
+    }
 
-        // Place large suites from the outside-in
-        while (largeSuites.length > 0) {
-            const suite = largeSuites.shift();
-            
-            let bestSpot = { row: null, side: null, gap: -1 };
-
-            const checkSpot = (row, side) => {
-                const p = pointers[row];
-                if (p.left <= p.right && plan[row][side === 'left' ? p.left : p.right] === null) {
-                    const gap = p.right - p.left + 1;
-                    if (gap >= suite.moduleCount && gap > bestSpot.gap) {
-                        bestSpot = { row, side, gap };
-                    }
-                }
-            };
-            
-            checkSpot('north', 'left');
-            checkSpot('south', 'left');
-            checkSpot('north', 'right');
-            checkSpot('south', 'right');
-            
-            if (bestSpot.row) {
-                if (bestSpot.side === 'left') {
-                    placeSuite(suite, pointers[bestSpot.row].left, bestSpot.row);
-                    pointers[bestSpot.row].left += suite.moduleCount;
-                } else { // right
-                    placeSuite(suite, pointers[bestSpot.row].right - suite.moduleCount + 1, bestSpot.row);
-                    pointers[bestSpot.row].right -= suite.moduleCount;
-                }
-            } else {
-                smallSuites.push(suite); 
+    exportCSV(table) {
+        if (this.state.buildingLayout.length === 0) return;
+        const rows = this.getExportTables()[table];
+        // The BOM makes Excel read the m²/ft² headings as UTF-8
+        this.downloadFile(`stack-config-${table}.csv`, '\uFEFF' + toCSV(rows), 'text/csv;charset=utf-8');
+    }
+
+    exportXLSX() {
+        if (this.state.buildingLayout.length === 0) return;
+        if (typeof XLSX === 'undefined') {
+            alert('The spreadsheet library could not be loaded. Check your connection and try again.');
+            return;
+        }
+        const { summary, schedule, bill } = this.getExportTables();
+        const workbook = XLSX.utils.book_new();
+        [['Summary', summary], ['Module Schedule', schedule], ['Bill of Modules', bill]].forEach(([name, rows]) => {
+            const sheet = XLSX.utils.aoa_to_sheet(rows);
+            sheet['!cols'] = rows[0].map((heading, i) => ({ wch: Math.max(...rows.map(row => String(row[i]).length), 8) + 2 }));
+            XLSX.utils.book_append_sheet(workbook, sheet, name);
+        });
+        XLSX.writeFile(workbook, 'stack-config-schedule.xlsx');
+    }
+
+    // --- CAD EXPORT ---
+
+    /**
+     * Downloads one DXF per floor, or one per group of identical floors when
+     * `scope` is 'type'. With `combined` the plans are set side by side in a
+     * single DXF instead.
+     */
+    exportDXF(scope, { combined = false } = {}) {
+        const { buildingLayout, projectData, currentUnit, catalogue, levels } = this.state;
+        if (buildingLayout.length === 0) return;
+        const options = { ...projectData, unit: currentUnit, catalogue };
+        const podium = levels.some(level => level.position === 'base') ? ', above the podium' : '';
+
+        const pad = (n) => String(n).padStart(2, '0');
+        const plans = scope === 'type'
+            ? getFloorTypes(buildingLayout).map((type, i) => ({
+                filename: `stack-config-floor-type-${String.fromCharCode(65 + i)}.dxf`,
+                floor: type.plan,
+                title: `Floor type ${String.fromCharCode(65 + i)}: residential ${type.floors.length > 1 ? 'floors' : 'floor'} ${this.formatFloorList(type.floors)}${podium}`,
+                instanceLabels: type.floors.length === 1
+            }))
+            : buildingLayout.map((floor, i) => ({ filename: `stack-config-floor-${pad(i + 1)}.dxf`, floor, title: getResidentialFloorLabel(i, levels) }));
+        if (combined) {
+            const filename = scope === 'type' ? 'stack-config-floor-types.dxf' : 'stack-config-floors.dxf';
+            this.downloadFile(filename, createFloorsDXF(plans, options), 'application/dxf');
+            return;
+        }
+        plans.forEach(({ filename, floor, title, instanceLabels }) => {
+            this.downloadFile(filename, createFloorDXF(floor, { ...options, title, instanceLabels }), 'application/dxf');
+        });
+    }
+
+    /**
+     * Formats 0-based floor indices as 1-based ranges, e.g. [0, 1, 2, 4] -> "1-3, 5".
+     */
+    formatFloorList(indices) {
+        const ranges = [];
+        indices.forEach(i => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === i - 1) last[1] = i;
+            else ranges.push([i, i]);
+        });
+        return ranges.map(([a, b]) => a === b ? `${a + 1}` : `${a + 1}-${b + 1}`).join(', ');
+    }
+
+    // --- SHARE LINK ---
+
+    async copyShareLink() {
+        const fragment = await encodeShareFragment(this.captureProjectState());
+        const url = `${location.href.split('#')[0]}${fragment}`;
+        history.replaceState(null, '', fragment);
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (err) {
+            prompt('Copy this link:', url);
+            return;
+        }
+        this.dom.copyLinkStatus.classList.remove('hidden');
+        clearTimeout(this.copyLinkTimer);
+        this.copyLinkTimer = setTimeout(() => this.dom.copyLinkStatus.classList.add('hidden'), 2000);
+    }
+
+    /**
+     * Restores the configuration in the page's link, if it has one. It becomes
+     * the start of the undo history.
+     */
+    async openShareLink() {
+        if (!hasShareFragment(location.hash)) return;
+        try {
+            const { project, regenerate } = await decodeShareFragment(location.hash);
+            this.applyProjectState(project);
+            if (regenerate) {
+                this.runPlacementAlgorithm();
+                this.state.currentFloor2D = Math.min(project.currentFloor, this.state.buildingLayout.length - 1);
+                this.redrawViews();
             }
+            this.history.clear();
+        } catch (err) {
+            alert(`Could not open the shared link: ${err.message}`);
         }
-        
-        const remainingSuites = smallSuites.sort((a,b) => b.moduleCount - a.moduleCount);
-        ['north', 'south'].forEach(row => {
-            for (let i = 0; i < singleSideModules; i++) {
-                if (plan[row][i] === null) {
-                    const suiteIndex = remainingSuites.findIndex(s => {
-                        if (i + s.moduleCount > singleSideModules) return false;
-                        for (let j = 0; j < s.moduleCount; j++) {
-                            if (plan[row][i+j] !== null) return false;
-                        }
-                        return true;
-                    });
-
-                    if (suiteIndex !== -1) {
-                        const suiteToPlace = remainingSuites.splice(suiteIndex, 1)[0];
-                        placeSuite(suiteToPlace, i, row);
-                        i += suiteToPlace.moduleCount - 1;
-                    }
+    }
+
+    // --- PROJECT LIBRARY ---
+
+    /**
+     * Installs the service worker that caches the app and its libraries for
+     * offline use. Browsers refuse it on file:// pages, where the app then
+     * simply needs a connection for its libraries.
+     */
+    registerOfflineCache() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('sw.js').catch(() => {});
+    }
+
+    /**
+     * Opens the local library, then the shared link if the page has one, or
+     * else the project that was open in the last session.
+     */
+    async startSession() {
+        try {
+            this.library = await ProjectLibrary.open();
+        } catch (err) {
+            this.dom.newProjectBtn.disabled = true;
+            this.dom.libraryStatus.textContent = `${err.message} Projects will not be saved.`;
+        }
+        if (hasShareFragment(location.hash)) {
+            await this.openShareLink();
+        } else if (this.library) {
+            const lastId = await this.library.getLastProjectId();
+            if (lastId) await this.openLibraryProject(lastId, { quiet: true });
+        }
+        await this.renderLibraryList();
+    }
+
+    /** Saves the project shortly after the last edit, so a burst of edits is written once. */
+    scheduleAutosave() {
+        if (!this.library) return;
+        this.hasUnsavedChanges = true;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveToLibrary(), AUTOSAVE_DELAY_MS);
+    }
+
+    /**
+     * Writes any unsaved changes to the library, adding the project on its
+     * first save. Saves run one after another, so a new project is never added twice.
+     */
+    saveToLibrary() {
+        clearTimeout(this.autosaveTimer);
+        if (!this.library) return Promise.resolve();
+        this.librarySaving = this.librarySaving.then(() => this.writeToLibrary()).catch(err => {
+            this.dom.libraryStatus.textContent = `Autosave failed: ${err.message}`;
+        });
+        return this.librarySaving;
+    }
+
+    async writeToLibrary() {
+        if (!this.hasUnsavedChanges) return;
+        this.hasUnsavedChanges = false;
+        const state = this.captureProjectState();
+        const { savedAt, ...content } = serializeProject(state);
+        const key = JSON.stringify(content);
+        if (key === this.lastSavedContent) return;
+
+        const isNew = !this.libraryProject;
+        const name = isNew ? createProjectName(await this.library.list()) : this.libraryProject.name;
+        const record = await this.library.save({
+            id: isNew ? undefined : this.libraryProject.id,
+            name,
+            thumbnail: this.renderFloorThumbnail(this.getFirstFloor(state), state.projectData),
+            document: { savedAt, ...content }
+        });
+        this.libraryProject = { id: record.id, name };
+        this.lastSavedContent = key;
+        if (isNew) await this.library.setLastProjectId(record.id);
+        this.dom.libraryStatus.textContent = `Saved ${this.formatModified(record.modified)}`;
+        await this.renderLibraryList();
+    }
+
+    /**
+     * Puts a library project on screen as the start of a new undo history.
+     * With `quiet`, a project that can no longer be read is skipped silently,
+     * as when restoring the last session.
+     */
+    async openLibraryProject(id, { quiet = false } = {}) {
+        await this.saveToLibrary();
+        let record, project;
+        try {
+            record = await this.library.get(id);
+            project = parseProject(record.document);
+        } catch (err) {
+            if (!quiet) alert(`Could not open the project: ${err.message}`);
+            return;
+        }
+        this.applyProjectState(project);
+        this.libraryProject = { id: record.id, name: record.name };
+        const { savedAt, ...content } = serializeProject(this.captureProjectState());
+        this.lastSavedContent = JSON.stringify(content);
+        await this.library.setLastProjectId(record.id);
+        this.history.clear();
+        this.dom.libraryStatus.textContent = `Opened "${record.name}"`;
+    }
+
+    /** Starts a new project from the default inputs; it is added to the library right away. */
+    async createLibraryProject() {
+        if (!this.library) return;
+        await this.saveToLibrary();
+        this.applyProjectState(this.defaultProjectState);
+        this.libraryProject = null;
+        this.history.clear();
+        await this.saveToLibrary();
+    }
+
+    async handleLibraryAction(action, id) {
+        if (action === 'open') {
+            await this.openLibraryProject(id);
+            await this.renderLibraryList();
+            return;
+        }
+        try {
+            await this.saveToLibrary();
+            const { name } = await this.library.get(id);
+            const isOpen = this.libraryProject && this.libraryProject.id === id;
+            if (action === 'rename') {
+                const newName = prompt('Project name', name);
+                if (!newName || !newName.trim()) return;
+                await this.library.rename(id, newName.trim());
+                if (isOpen) this.libraryProject.name = newName.trim();
+            } else if (action === 'duplicate') {
+                await this.library.duplicate(id, createProjectName(await this.library.list(), `${name} copy`));
+            } else if (action === 'delete') {
+                if (!confirm(`Delete "${name}"? This cannot be undone.`)) return;
+                await this.library.remove(id);
+                // The project stays on screen and is saved as a new one on the next edit
+                if (isOpen) {
+                    this.libraryProject = null;
+                    this.lastSavedContent = null;
                 }
             }
+        } catch (err) {
+            alert(`Could not ${action} the project: ${err.message}`);
+        }
+        await this.renderLibraryList();
+    }
+
+    async renderLibraryList() {
+        if (!this.library) return;
+        const records = await this.library.list();
+        const openId = this.libraryProject && this.libraryProject.id;
+        const button = (action, id, label) =>
+            `<button class="text-xs text-blue-600 hover:underline" data-library-action="${action}" data-project-id="${this.escapeHTML(id)}">${label}</button>`;
+        this.dom.libraryList.innerHTML = records.length === 0
+            ? '<li class="text-xs text-gray-500">Your work is saved in this browser as you go and reopened on your next visit.</li>'
+            : records.map(record => `
+                <li class="flex items-center space-x-3 p-1 rounded-md ${record.id === openId ? 'bg-indigo-50' : ''}">
+                    <span class="flex-shrink-0">${record.thumbnail}</span>
+                    <span class="min-w-0 flex-1">
+                        <span class="block font-medium truncate">${this.escapeHTML(record.name)}</span>
+                        <span class="block text-xs text-gray-500">${this.formatModified(record.modified)}</span>
+                        <span class="space-x-2 whitespace-nowrap">
+                            ${record.id === openId ? '<span class="text-xs text-gray-500">Current</span>' : button('open', record.id, 'Open')}${button('rename', record.id, 'Rename')}${button('duplicate', record.id, 'Duplicate')}${button('delete', record.id, 'Delete')}
+                        </span>
+                    </span>
+                </li>
+            `).join('');
+    }
+
+    formatModified(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    // --- PDF REPORT ---
+
+    generateReport() {
+        if (this.state.buildingLayout.length === 0) return;
+        if (!window.jspdf) {
+            alert('The PDF library could not be loaded. Check your connection and try again.');
+            return;
+        }
+        const chartCanvas = this.suiteMixChart.canvas;
+        const report = createReport(window.jspdf.jsPDF, this.captureProjectState(), {
+            chartImage: { dataUrl: this.suiteMixChart.toBase64Image(), width: chartCanvas.width, height: chartCanvas.height },
+            axonometricImage: this.captureAxonometric()
         });
+        report.save('stack-config-report.pdf');
+    }
 
-        return plan;
+    /**
+     * Renders the massing from a fixed south-west isometric angle with an
+     * orthographic camera and returns it as an image. The view camera is untouched.
+     */
+    captureAxonometric(width = 1600, height = 1000) {
+        this.ensureThreeInitialized();
+        const { renderer, scene, camera } = this.three;
+        const box = new THREE.Box3().setFromObject(this.three.moduleGroup);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const extent = Math.max(size.x, size.y, size.z) * 0.9;
+        const aspect = width / height;
+
+        const axonometric = new THREE.OrthographicCamera(-extent * aspect, extent * aspect, extent, -extent, 0.1, 4000);
+        axonometric.position.copy(center).add(new THREE.Vector3(-1, 0.8, -1).normalize().multiplyScalar(extent * 10));
+        axonometric.lookAt(center);
+
+        const previousSize = renderer.getSize(new THREE.Vector2());
+        const wasVisible = this.three.dimGroup.visible;
+        this.three.dimGroup.visible = false;
+        renderer.setSize(width, height, false);
+        renderer.render(scene, axonometric);
+        // Read the canvas before the next animation frame clears it
+        const dataUrl = renderer.domElement.toDataURL('image/png');
+        renderer.setSize(previousSize.x, previousSize.y, false);
+        this.three.dimGroup.visible = wasVisible;
+        renderer.render(scene, camera);
+        return { dataUrl, width, height };
     }
 
-    updateSummaryAndUI(desiredPercentages) {
-        const summary = {};
-        let totalPlacedSuites = 0;
-        
-        this.state.buildingLayout.forEach(floor => {
-            Object.values(floor).flat().forEach(module => {
-                if (module && module.id !== 'elevator' && module.id !== 'stair') {
-                    if (!summary[module.id]) {
-                        summary[module.id] = { 
-                            ...this.CONSTANTS.SUITE_TYPES[module.id], 
-                            count: 0, 
-                            moduleTotal: 0, 
-                            instances: new Set(), 
-                            totalArea: 0, 
-                            desiredPercentage: desiredPercentages[module.id] 
-                        };
-                    }
-                    summary[module.id].instances.add(module.instanceId);
-                    summary[module.id].moduleTotal++;
-                    const moduleDepth = module.isCorridorSide ? this.CONSTANTS.NORTH_DEPTH_METRIC : this.CONSTANTS.SOUTH_DEPTH_METRIC;
-                    summary[module.id].totalArea += this.CONSTANTS.MODULE_WIDTH_METRIC * moduleDepth;
-                }
-            });
+    // --- 3D MASSING EXPORT ---
+
+    async exportMassing(format) {
+        this.ensureThreeInitialized();
+        const massing = createMassingExport(this.three.moduleGroup);
+        try {
+            if (format === 'glb') {
+                const glb = await exportGLB(massing);
+                this.downloadFile('stack-config-massing.glb', glb, 'model/gltf-binary');
+            } else {
+                this.downloadFile('stack-config-massing.obj', exportOBJ(massing), 'text/plain');
+            }
+        } catch (err) {
+            alert(`Could not export the massing: ${err.message}`);
+        }
+    }
+
+    // --- SCENARIOS ---
+
+    saveScenario() {
+        const name = prompt('Scenario name', createScenarioName(this.state.scenarios));
+        if (!name || !name.trim()) return;
+        const { scenarios, ...project } = this.captureProjectState();
+        this.recordChange(`Save scenario "${name.trim()}"`, () => {
+            this.state.scenarios = [...scenarios, { name: name.trim(), project }];
+            this.renderScenarioList();
+        });
+    }
+
+    handleScenarioAction(action, index) {
+        const scenario = this.state.scenarios[index];
+        if (!scenario) return;
+        if (action === 'open') {
+            this.recordChange(`Open scenario "${scenario.name}"`, () => this.applyProjectState(scenario.project));
+            return;
+        }
+        let scenarios;
+        if (action === 'update') {
+            const { scenarios: _, ...project } = this.captureProjectState();
+            scenarios = this.state.scenarios.map((s, i) => i === index ? { ...s, project } : s);
+        } else if (action === 'delete') {
+            scenarios = this.state.scenarios.filter((s, i) => i !== index);
+        } else {
+            return;
+        }
+        const verb = action === 'update' ? 'Update' : 'Delete';
+        this.recordChange(`${verb} scenario "${scenario.name}"`, () => {
+            this.state.scenarios = scenarios;
+            this.renderScenarioList();
+        });
+    }
+
+    renderScenarioList() {
+        const { scenarios } = this.state;
+        const button = (action, index, label) =>
+            `<button class="text-xs text-blue-600 hover:underline" data-scenario-action="${action}" data-scenario-index="${index}">${label}</button>`;
+        this.dom.scenarioList.innerHTML = scenarios.length === 0
+            ? '<li class="text-xs text-gray-500">Save the current inputs and layout to compare options side by side.</li>'
+            : scenarios.map((scenario, i) => {
+                const { singleSideModules, numFloors } = getGridSize(scenario.project.projectData);
+                return `
+                    <li class="flex items-center justify-between">
+                        <span><span class="font-medium">${this.escapeHTML(scenario.name)}</span> <span class="text-xs text-gray-500">${singleSideModules} wide · ${numFloors} floors</span></span>
+                        <span class="space-x-2 whitespace-nowrap">${button('open', i, 'Open')}${button('update', i, 'Update')}${button('delete', i, 'Delete')}</span>
+                    </li>
+                `;
+            }).join('');
+        this.dom.compareScenariosBtn.disabled = scenarios.length === 0;
+    }
+
+    openScenarioComparison() {
+        const { scenarios, currentUnit } = this.state;
+        if (scenarios.length === 0) return;
+
+        const lenUnit = currentUnit === 'metric' ? 'm' : 'ft';
+        const areaUnit = currentUnit === 'metric' ? 'm²' : 'ft²';
+        const length = (m) => `${(currentUnit === 'metric' ? m : this.convert(m, 'imperial')).toFixed(1)} ${lenUnit}`;
+        const area = (sqm) => `${(currentUnit === 'metric' ? sqm : this.convert(sqm, 'imperial', true)).toLocaleString(undefined, { maximumFractionDigits: 0 })} ${areaUnit}`;
+        const metrics = scenarios.map(scenario => getScenarioMetrics(scenario.project));
+
+        // Suite types are matched by id, so scenarios with different catalogues still line up
+        const suiteRows = new Map();
+        metrics.forEach(m => m.suites.forEach(suite => {
+            if (!suiteRows.has(suite.id)) suiteRows.set(suite.id, suite);
+        }));
+
+        const previewScale = 6 / this.CONSTANTS.MODULE_WIDTH_METRIC; // px per metre
+        const previews = scenarios.map((scenario, i) => {
+            const { projectData, layout } = scenario.project;
+            const floor = this.getFirstFloor(scenario.project);
+            const svg = this.renderFloorThumbnail(floor, projectData, floor.south.length * 6, metrics[i].depth * previewScale);
+            return `${svg}<span class="block text-xs text-gray-500 mt-1">${layout.length > 0 ? 'Floor 1 plan' : 'Not placed yet'}</span>`;
         });
 
-        for(const id in summary) {
-            summary[id].count = summary[id].instances.size;
-            totalPlacedSuites += summary[id].count;
+        const rows = [
+            ['Plan', previews],
+            ['Floors', metrics.map(m => m.floors)],
+            ['Modules per floor', metrics.map(m => m.modulesPerFloor)],
+            ['Total modules', metrics.map(m => m.totalModules)],
+            ['Width × length × height', metrics.map(m => `${length(m.width)} × ${length(m.depth)} × ${length(m.height)}`)],
+            ['GFA', metrics.map(m => area(m.grossFloorArea))],
+            ['Total suites', metrics.map(m => m.hasLayout ? m.totalSuites : '---')],
+            ...[...suiteRows.values()].map(type => [
+                `<span class="flex items-center"><span class="w-3 h-3 rounded-full mr-2" style="background-color: ${type.color};"></span>${this.escapeHTML(type.name)}</span>`,
+                metrics.map(m => {
+                    const suite = m.suites.find(s => s.id === type.id);
+                    if (!suite) return '---';
+                    const actual = m.hasLayout ? `${suite.count} · ${suite.actualPercentage.toFixed(1)}%` : '---';
+                    return `${actual} <span class="text-gray-500">(target ${suite.desiredPercentage.toFixed(0)}%)</span>`;
+                })
+            ]),
+            ['Mix deviation', metrics.map(m => m.hasLayout ? `${m.mixDeviation.toFixed(1)} pts by ${MIX_OBJECTIVES[m.mixObjective].toLowerCase()}` : '---')],
+            ['Stack alignment', metrics.map(m => m.stackAlignment !== null ? `${m.stackAlignment.toFixed(1)}%` : '---')],
+            ['Efficiency (suite area / GFA)', metrics.map(m => m.efficiency === null ? '---' : `${(m.efficiency * 100).toFixed(1)}%`)]
+        ];
+
+        this.dom.compareTableHead.innerHTML = `
+            <tr class="text-left font-semibold border-b bg-gray-50">
+                <th class="p-2">Metric</th>
+                ${scenarios.map(s => `<th class="p-2">${this.escapeHTML(s.name)}</th>`).join('')}
+            </tr>
+        `;
+        this.dom.compareTableBody.innerHTML = rows.map(([label, values]) => `
+            <tr class="border-t align-top">
+                <td class="p-2 font-medium">${label}</td>
+                ${values.map(value => `<td class="p-2">${value}</td>`).join('')}
+            </tr>
+        `).join('');
+        this.dom.compareModal.classList.remove('hidden');
+    }
+
+    onHistoryChange() {
+        if (this.pendingProjectState) {
+            const project = this.pendingProjectState;
+            this.pendingProjectState = null;
+            this.applyProjectState(project);
         }
+        this.renderHistoryList();
+        this.scheduleAutosave();
+    }
+
+    handleHistoryKeyDown(event) {
+        const key = event.key.toLowerCase();
+        if (!(event.ctrlKey || event.metaKey) || (key !== 'z' && key !== 'y')) return;
+        // Leave text fields their own undo
+        if (event.target.closest && event.target.closest('input:not([type="range"]):not([type="checkbox"]), textarea')) return;
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+            this.history.redo();
+        } else {
+            this.history.undo();
+        }
+    }
+
+    /** Lists the history newest first; entries after the current one can be redone. */
+    renderHistoryList() {
+        const { commands, position } = this.history;
+        const entries = [{ label: 'Start' }, ...commands].map((command, i) => {
+            const classes = i === position ? 'bg-gray-200 font-semibold' : i > position ? 'text-gray-400' : 'text-gray-700';
+            return `<li><button class="w-full text-left px-2 py-1 rounded hover:bg-gray-100 ${classes}" data-history-position="${i}">${this.escapeHTML(command.label)}</button></li>`;
+        });
+        this.dom.historyList.innerHTML = entries.reverse().join('');
+        this.dom.undoBtn.disabled = !this.history.canUndo;
+        this.dom.redoBtn.disabled = !this.history.canRedo;
+    }
 
-        const actualSuiteCounts = Object.values(this.CONSTANTS.SUITE_TYPES).map(suiteType => {
-            return summary[suiteType.id] ? summary[suiteType.id].count : 0;
+    updateSummaryAndUI(summary, currentFloor = 0) {
+        const actualSuiteCounts = Object.values(this.state.catalogue.suiteTypes).map(suiteType => {
+            return summary.suites[suiteType.id] ? summary.suites[suiteType.id].count : 0;
         });
         this.suiteMixChart.data.datasets[0].data = actualSuiteCounts;
         this.suiteMixChart.update();
         
-        this.updateSummaryTable(summary, totalPlacedSuites);
-        this.populateDetailedSummary(summary, totalPlacedSuites);
+        this.updateSummaryTable(summary);
+        this.populateDetailedSummary(summary);
+        this.renderBillOfModules();
+        this.renderCostEstimate();
+        this.renderProForma();
+        this.renderSunHours();
+        this.updateLayoutWarnings();
+        this.updateStackAlignment();
+        this.updateFloorGroups();
+        this.updateCodeCheck();
         
         this.generateFloorThumbnails();
-        this.state.currentFloor2D = 0;
+        this.state.currentFloor2D = currentFloor;
         this.redrawViews();
     }
 
@@ -554,20 +1831,11 @@ class StackConfigApp {
 
     updateViews() {
         const { projectData, currentUnit } = this.state;
-        const { MODULE_WIDTH_METRIC, SOUTH_DEPTH_METRIC, NORTH_DEPTH_METRIC, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = this.CONSTANTS;
 
-        const singleSideModules = Math.max(1, Math.round(projectData.width / MODULE_WIDTH_METRIC));
-        const numFloors = Math.max(1, Math.round(projectData.height / projectData.floorHeight));
-        
-        const actualWidth = singleSideModules * MODULE_WIDTH_METRIC;
-        const actualDepth = SOUTH_DEPTH_METRIC + NORTH_DEPTH_METRIC;
-        const actualHeight = numFloors * projectData.floorHeight;
-        
-        let footprintArea = actualWidth * actualDepth;
-        if (projectData.includeStairs) {
-            footprintArea += 2 * (STAIR_WIDTH_METRIC * STAIR_DEPTH_METRIC);
-        }
-        const totalArea = footprintArea * numFloors;
+        const {
+            singleSideModules, numFloors, width: actualWidth, depth: actualDepth, height: actualHeight,
+            footprintArea, grossFloorArea: totalArea
+        } = getBuildingAreas(projectData);
 
         // FIXED: Correctly display values based on the current unit without re-converting
         const displayWidth = currentUnit === 'metric' ? actualWidth : this.convert(actualWidth, 'imperial');
@@ -591,6 +1859,12 @@ class StackConfigApp {
         this.dom.totalAreaSpan.textContent = `${displayTotalArea.toLocaleString(undefined, {maximumFractionDigits: 0})} ${areaUnit}`;
         
         this.state.buildingLayout = [];
+        this.state.layoutWarnings = [];
+        this.state.planSelection = null;
+        this.state.planLevel = null;
+        this.updateCodeCheck();
+        this.updateSiteCheck();
+        this.renderLevelControls();
         this.dom.summarySection.classList.add('hidden');
         this.dom.floorThumbnailsContainer.classList.add('hidden');
         
@@ -599,17 +1873,17 @@ class StackConfigApp {
 
     redrawViews() {
         const { projectData } = this.state;
-        const { MODULE_WIDTH_METRIC, SOUTH_DEPTH_METRIC, NORTH_DEPTH_METRIC } = this.CONSTANTS;
-        const singleSideModules = Math.max(1, Math.round(projectData.width / MODULE_WIDTH_METRIC));
-        const numFloors = Math.max(1, Math.round(projectData.height / projectData.floorHeight));
+        const { MODULE_WIDTH_METRIC } = this.CONSTANTS;
+        const { southDepth, northDepth } = projectData;
+        const { singleSideModules, numFloors } = getGridSize(projectData);
         
         const width = singleSideModules * MODULE_WIDTH_METRIC;
-        const depth = SOUTH_DEPTH_METRIC + NORTH_DEPTH_METRIC;
+        const depth = southDepth + northDepth;
         const height = numFloors * projectData.floorHeight;
 
-        this.redraw2DPlan(width, depth, SOUTH_DEPTH_METRIC, NORTH_DEPTH_METRIC, singleSideModules, projectData.includeStairs);
+        this.redraw2DPlan(width, depth, southDepth, northDepth, singleSideModules, projectData.includeStairs);
         if (this.state.threeInitialized) {
-            this.redraw3DView(width, height, depth, SOUTH_DEPTH_METRIC, NORTH_DEPTH_METRIC, projectData.floorHeight, numFloors, singleSideModules, projectData.includeStairs);
+            this.redraw3DView(width, height, depth, southDepth, northDepth, projectData.floorHeight, numFloors, singleSideModules, projectData.includeStairs);
         }
     }
 
@@ -631,44 +1905,100 @@ class StackConfigApp {
 
         this.dom.planModuleGroup.innerHTML = '';
         
-        const floorToShow = this.state.buildingLayout[this.state.currentFloor2D];
+        const planLevel = this.getPlanLevel();
+        const floorToShow = planLevel ? null : this.state.buildingLayout[this.state.currentFloor2D];
         const placeholderColor = '#d1d5db';
         const lineColor = '#6b7280';
         
         if (this.state.buildingLayout.length > 0) {
-            document.querySelectorAll('.floor-thumbnail').forEach((thumb, index) => {
-                thumb.classList.toggle('thumbnail-active', index === this.state.currentFloor2D);
+            const current = this.state.currentFloor2D;
+            document.querySelectorAll('.floor-thumbnail').forEach(thumb => {
+                const active = thumb.dataset.levelIndex !== undefined
+                    ? Number(thumb.dataset.levelIndex) === this.state.planLevel
+                    : !planLevel && current >= Number(thumb.dataset.floorIndex) && current <= Number(thumb.dataset.lastFloor);
+                thumb.classList.toggle('thumbnail-active', active);
+                const caption = thumb.querySelector('.thumbnail-current');
+                if (caption) caption.textContent = active ? `Showing ${current + 1}` : '';
             });
         }
 
-        ['south', 'north'].forEach(row => {
-            const rowY = row === 'south' ? y : y + southPlanHeight;
-            const rowHeight = row === 'south' ? southPlanHeight : northPlanHeight;
-            for (let i = 0; i < singleSideModules; i++) {
-                const module = floorToShow ? floorToShow[row][i] : null;
-                const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                rect.setAttribute('x', mainBuildingX + i * modulePlanWidth);
-                rect.setAttribute('y', rowY);
-                rect.setAttribute('width', modulePlanWidth);
-                rect.setAttribute('height', rowHeight);
-                rect.setAttribute('fill', module ? module.color : placeholderColor);
-                rect.setAttribute('stroke', lineColor);
-                rect.setAttribute('stroke-width', 0.2);
-                this.dom.planModuleGroup.appendChild(rect);
-            }
-        });
+        if (planLevel) {
+            this.draw2DLevel(planLevel, mainBuildingX, y, width, depth, scaleFactor);
+        } else {
+            ['south', 'north'].forEach(row => {
+                const rowY = row === 'south' ? y : y + southPlanHeight;
+                const rowHeight = row === 'south' ? southPlanHeight : northPlanHeight;
+                for (let i = 0; i < singleSideModules; i++) {
+                    const module = floorToShow ? floorToShow[row][i] : null;
+                    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                    rect.setAttribute('x', mainBuildingX + i * modulePlanWidth);
+                    rect.setAttribute('y', rowY);
+                    rect.setAttribute('width', modulePlanWidth);
+                    rect.setAttribute('height', rowHeight);
+                    rect.setAttribute('fill', module ? module.color : placeholderColor);
+                    rect.setAttribute('stroke', lineColor);
+                    rect.setAttribute('stroke-width', 0.2);
+                    rect.dataset.row = row;
+                    rect.dataset.index = i;
+                    this.dom.planModuleGroup.appendChild(rect);
+                }
+            });
+        }
+
+        // Outline locked suites and the selected suite
+        const outlineSuite = (row, start, length, attributes) => {
+            const outline = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            outline.setAttribute('x', mainBuildingX + start * modulePlanWidth);
+            outline.setAttribute('y', row === 'south' ? y : y + southPlanHeight);
+            outline.setAttribute('width', length * modulePlanWidth);
+            outline.setAttribute('height', row === 'south' ? southPlanHeight : northPlanHeight);
+            outline.setAttribute('fill', 'none');
+            outline.setAttribute('pointer-events', 'none');
+            Object.entries(attributes).forEach(([name, value]) => outline.setAttribute(name, value));
+            this.dom.planModuleGroup.appendChild(outline);
+        };
+        if (floorToShow) {
+            ['south', 'north'].forEach(row => {
+                floorToShow[row].forEach((module, i) => {
+                    const suite = module && module.locked ? getSuiteAt(floorToShow, row, i) : null;
+                    if (suite && suite.start === i) {
+                        outlineSuite(row, i, suite.length, { stroke: '#374151', 'stroke-width': 0.6, 'stroke-dasharray': '1.5 1' });
+                    }
+                });
+            });
+        }
+        // Shade suites affected by a building code violation
+        if (floorToShow && this.state.codeCheck) {
+            ['south', 'north'].forEach(row => {
+                floorToShow[row].forEach((module, i) => {
+                    const previous = floorToShow[row][i - 1];
+                    if (!isModuleFlagged(this.state.codeCheck, this.state.currentFloor2D, module)) return;
+                    if (previous && previous.instanceId === module.instanceId) return;
+                    const suite = getSuiteAt(floorToShow, row, i);
+                    outlineSuite(row, i, suite.length, { stroke: '#dc2626', 'stroke-width': 0.8, fill: '#dc2626', 'fill-opacity': 0.25 });
+                });
+            });
+        }
+        const selected = this.getSelectedSuite();
+        if (selected) {
+            outlineSuite(selected.row, selected.start, selected.length, { stroke: '#356854', 'stroke-width': 1 });
+        }
+        this.updatePlanEditToolbar();
         
-        const centerLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        centerLine.setAttribute('x1', mainBuildingX);
-        centerLine.setAttribute('y1', y + southPlanHeight);
-        centerLine.setAttribute('x2', mainBuildingX + planWidth);
-        centerLine.setAttribute('y2', y + southPlanHeight);
-        centerLine.setAttribute('stroke', lineColor);
-        centerLine.setAttribute('stroke-width', 0.2);
-        this.dom.planModuleGroup.appendChild(centerLine);
+        if (!planLevel) {
+            const centerLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            centerLine.setAttribute('x1', mainBuildingX);
+            centerLine.setAttribute('y1', y + southPlanHeight);
+            centerLine.setAttribute('x2', mainBuildingX + planWidth);
+            centerLine.setAttribute('y2', y + southPlanHeight);
+            centerLine.setAttribute('stroke', lineColor);
+            centerLine.setAttribute('stroke-width', 0.2);
+            this.dom.planModuleGroup.appendChild(centerLine);
+        }
 
         this.update2DStairs(includeStairs, x, y, planWidth, totalPlanHeight, scaleFactor);
         this.update2DDimensions(x, y, totalVisualPlanWidth, totalPlanHeight, totalVisualWidth, depth, southDepth, northDepth);
+        this.update2DSite(mainBuildingX + planWidth / 2, y + totalPlanHeight / 2, scaleFactor);
     }
 
     redraw3DView(width, height, depth, southDepth, northDepth, floorHeight, numFloors, singleSideModules, includeStairs) {
@@ -679,24 +2009,48 @@ class StackConfigApp {
         const moduleGeo = new THREE.BoxGeometry(this.CONSTANTS.MODULE_WIDTH_METRIC, floorHeight, 1);
         const placeholderMat = new THREE.MeshLambertMaterial({ color: 0xd1d5db, transparent: true, opacity: 0.5 });
         const lineMat = new THREE.LineBasicMaterial({ color: 0x6b7280 });
+        const violationLineMat = new THREE.LineBasicMaterial({ color: 0xdc2626 });
+        const misalignedLineMat = new THREE.LineBasicMaterial({ color: 0xd97706 });
+        const flaggedMeshes = new Set();
+        const misalignedMeshes = new Set();
+        const moduleCodes = resolveModuleCodes(this.state.buildingLayout, { catalogue: this.state.catalogue }).floors;
+        const misaligned = new Set(this.state.showStackAlignment
+            ? getStackAlignment(this.state.buildingLayout).misaligned.map(({ floor, row, position }) => `${floor}:${row}:${position}`)
+            : []);
+        // Modules affected by a building code violation glow red and get red edges;
+        // with the stacking overlay on, modules not over a matching suite glow amber
+        const moduleMaterial = (module, floorIndex, row, position) => {
+            if (!module) return placeholderMat;
+            if (isModuleFlagged(this.state.codeCheck, floorIndex, module)) return new THREE.MeshLambertMaterial({ color: module.color, emissive: 0x991b1b });
+            if (misaligned.has(`${floorIndex}:${row}:${position}`)) return new THREE.MeshLambertMaterial({ color: module.color, emissive: 0x92400e });
+            return new THREE.MeshLambertMaterial({ color: module.color });
+        };
+
+        // Residential floors stand on the podium; roof levels go on top of them
+        const levelHeights = getLevelHeights(this.state.levels);
+        const totalHeight = levelHeights.base + height + levelHeights.roof;
 
         for (let floorIndex = 0; floorIndex < numFloors; floorIndex++) {
-            const y = floorIndex * floorHeight + floorHeight / 2;
+            const y = levelHeights.base + floorIndex * floorHeight + floorHeight / 2;
             const floorLayout = this.state.buildingLayout[floorIndex];
             
             for (let i = 0; i < singleSideModules; i++) {
                 // South side modules
                 const moduleSouth = floorLayout ? floorLayout.south[i] : null;
-                const matSouth = moduleSouth ? new THREE.MeshLambertMaterial({ color: moduleSouth.color }) : placeholderMat;
-                const meshSouth = new THREE.Mesh(moduleGeo, matSouth);
+                const meshSouth = new THREE.Mesh(moduleGeo, moduleMaterial(moduleSouth, floorIndex, 'south', i));
+                if (isModuleFlagged(this.state.codeCheck, floorIndex, moduleSouth)) flaggedMeshes.add(meshSouth);
+                else if (misaligned.has(`${floorIndex}:south:${i}`)) misalignedMeshes.add(meshSouth);
+                Object.assign(meshSouth, getModuleMeshInfo(moduleSouth, { floor: floorIndex, row: 'south', position: i, code: moduleSouth ? moduleCodes[floorIndex].south[i].code : null }));
                 meshSouth.scale.z = southDepth;
                 meshSouth.position.set(-width / 2 + i * this.CONSTANTS.MODULE_WIDTH_METRIC + this.CONSTANTS.MODULE_WIDTH_METRIC / 2, y, -(depth / 2 - southDepth / 2));
                 this.three.moduleGroup.add(meshSouth);
                 
                 // North side modules
                 const moduleNorth = floorLayout ? floorLayout.north[i] : null;
-                const matNorth = moduleNorth ? new THREE.MeshLambertMaterial({ color: moduleNorth.color }) : placeholderMat;
-                const meshNorth = new THREE.Mesh(moduleGeo, matNorth);
+                const meshNorth = new THREE.Mesh(moduleGeo, moduleMaterial(moduleNorth, floorIndex, 'north', i));
+                if (isModuleFlagged(this.state.codeCheck, floorIndex, moduleNorth)) flaggedMeshes.add(meshNorth);
+                else if (misaligned.has(`${floorIndex}:north:${i}`)) misalignedMeshes.add(meshNorth);
+                Object.assign(meshNorth, getModuleMeshInfo(moduleNorth, { floor: floorIndex, row: 'north', position: i, code: moduleNorth ? moduleCodes[floorIndex].north[i].code : null }));
                 meshNorth.scale.z = northDepth;
                 meshNorth.position.set(-width / 2 + i * this.CONSTANTS.MODULE_WIDTH_METRIC + this.CONSTANTS.MODULE_WIDTH_METRIC / 2, y, (depth / 2 - northDepth / 2));
                 this.three.moduleGroup.add(meshNorth);
@@ -705,118 +2059,545 @@ class StackConfigApp {
         
         // ADDED: Create the standalone elevator overrun at the top
         if (this.state.buildingLayout.length > 0) {
-            const { ELEVATOR_INFO, MODULE_WIDTH_METRIC, SOUTH_DEPTH_METRIC } = this.CONSTANTS;
+            const { MODULE_WIDTH_METRIC } = this.CONSTANTS;
+            const { elevator: ELEVATOR_INFO } = this.state.catalogue;
             const middleIndex = Math.floor(singleSideModules / 2);
 
             // Use the same base geometry as other modules for consistency
             const elevatorOverrunGeo = new THREE.BoxGeometry(MODULE_WIDTH_METRIC, floorHeight, 1);
             const elevatorOverrunMat = new THREE.MeshLambertMaterial({ color: ELEVATOR_INFO.color });
             const elevatorOverrunMesh = new THREE.Mesh(elevatorOverrunGeo, elevatorOverrunMat);
+            elevatorOverrunMesh.name = `${ELEVATOR_INFO.tag}-OVERRUN`;
+            elevatorOverrunMesh.userData = { floor: 'roof', row: 'south', position: middleIndex + 1, suiteType: ELEVATOR_INFO.name, uCode: ELEVATOR_INFO.codes.noCorridor };
 
             // Scale it just like the other south-side modules
-            elevatorOverrunMesh.scale.z = SOUTH_DEPTH_METRIC;
+            elevatorOverrunMesh.scale.z = southDepth;
 
             // Calculate position for the overrun module
             const xPos = -width / 2 + middleIndex * MODULE_WIDTH_METRIC + MODULE_WIDTH_METRIC / 2;
-            const yPos = height + (floorHeight / 2); // Place it centered on top of the main building height
-            const zPos = -(depth / 2 - SOUTH_DEPTH_METRIC / 2);
+            const yPos = totalHeight + (floorHeight / 2); // Place it centered on top of the building, roof levels included
+            const zPos = -(depth / 2 - southDepth / 2);
+
+            elevatorOverrunMesh.position.set(xPos, yPos, zPos);
+            this.three.moduleGroup.add(elevatorOverrunMesh);
+        }
+        this.update3DLevels(width, depth, height);
+
+        this.three.moduleGroup.children.forEach(mesh => {
+            if(mesh instanceof THREE.Mesh){
+                const edges = new THREE.EdgesGeometry(mesh.geometry);
+                const line = new THREE.LineSegments(edges, flaggedMeshes.has(mesh) ? violationLineMat : misalignedMeshes.has(mesh) ? misalignedLineMat : lineMat);
+                line.scale.copy(mesh.scale);
+                line.position.copy(mesh.position);
+                this.three.moduleGroup.add(line);
+            }
+        });
+
+        this.update3DStairs(includeStairs, width, totalHeight);
+        this.update3DDimensions(width, totalHeight, depth, southDepth, northDepth, includeStairs);
+        this.update3DFloorLines(width, depth, height, floorHeight, numFloors, includeStairs);
+        this.three.floorLinesGroup.position.y = levelHeights.base;
+        this.update3DSite(totalHeight);
+        this.update3DSun();
+    }
+    
+    // --- UI HELPER FUNCTIONS ---
+    
+    updateSummaryTable(summary) {
+        this.dom.summaryTableBody.innerHTML = '';
+        if (Object.keys(summary.suites).length === 0 && this.state.buildingLayout.length === 0) {
+            this.dom.summarySection.classList.add('hidden');
+            return;
+        }
+
+        const sortedSummary = Object.values(summary.suites).sort((a,b) => a.moduleCount - b.moduleCount);
+        for (const suite of sortedSummary) {
+            const percentage = suite.actualPercentage.toFixed(1);
+            const row = `
+                <tr class="border-t">
+                    <td class="p-1 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${suite.color};"></div>${this.escapeHTML(suite.name)}</td>
+                    <td class="p-1 text-right">${suite.count}</td>
+                    <td class="p-1 text-right">${percentage}%</td>
+                </tr>
+            `;
+            this.dom.summaryTableBody.innerHTML += row;
+        }
+
+        // Add Elevator and Stair info
+        if (this.state.buildingLayout.length > 0) {
+            const { elevator: ELEVATOR_INFO, stair: STAIR_INFO } = this.state.catalogue;
+            const { elevator, stair } = summary.cores;
+
+            // Elevator Row
+            const elevatorRow = `
+                <tr class="border-t">
+                    <td class="p-1 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${ELEVATOR_INFO.color};"></div>${this.escapeHTML(ELEVATOR_INFO.name)}</td>
+                    <td class="p-1 text-right">${elevator.count}</td>
+                    <td class="p-1 text-right">---</td>
+                </tr>
+            `;
+            this.dom.summaryTableBody.innerHTML += elevatorRow;
+
+            // Stair Row
+            if (stair.count > 0) {
+                const stairRow = `
+                    <tr class="border-t">
+                        <td class="p-1 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${STAIR_INFO.color};"></div>${this.escapeHTML(STAIR_INFO.name)}</td>
+                        <td class="p-1 text-right">${stair.count}</td>
+                        <td class="p-1 text-right">---</td>
+                    </tr>
+                `;
+                this.dom.summaryTableBody.innerHTML += stairRow;
+            }
+        }
+
+        this.dom.summarySection.classList.remove('hidden');
+    }
+
+    /**
+     * Fills the bill of modules: the count of every module code floor by floor,
+     * after any modules whose code does not fit where they sit.
+     */
+    renderBillOfModules() {
+        const { buildingLayout, projectData, catalogue } = this.state;
+        if (buildingLayout.length === 0) {
+            this.dom.billOfModules.innerHTML = '';
+            return;
+        }
+        const bill = getBillOfModules(buildingLayout, { catalogue, includeStairs: projectData.includeStairs });
+        const [headings, ...rows] = getBillTable(bill);
+
+        // The same problem on several floors is listed once
+        const issues = new Map();
+        bill.issues.forEach(issue => {
+            const key = `${issue.rule}|${issue.message}`;
+            if (!issues.has(key)) issues.set(key, { ...issue, floors: [] });
+            const floors = issues.get(key).floors;
+            if (!floors.includes(issue.floor + 1)) floors.push(issue.floor + 1);
+        });
+        const issueList = issues.size === 0
+            ? `<p class="text-sm text-green-700">All ${bill.total} modules resolve to a factory code.</p>`
+            : `<ul class="text-sm space-y-1">${[...issues.values()].map(issue => `
+                <li class="text-red-700"><span class="font-semibold">${CODE_ISSUES[issue.rule]}:</span> ${this.escapeHTML(issue.message)} <span class="text-gray-500">(${issue.floors.length > 1 ? 'floors' : 'floor'} ${issue.floors.join(', ')})</span></li>
+            `).join('')}</ul>`;
+
+        const cell = (value, i) => `<td class="p-2 ${i > 1 ? 'text-right' : ''}">${this.escapeHTML(String(value))}</td>`;
+        const body = rows.map((row, i) => {
+            const isTotal = i === rows.length - 1;
+            const isUnresolved = row[0] === 'Unresolved' && !isTotal;
+            const classes = isTotal ? 'border-t-2 border-gray-800 font-bold bg-gray-100' : isUnresolved ? 'border-t text-red-700' : 'border-t';
+            return `<tr class="${classes}">${row.map(cell).join('')}</tr>`;
+        }).join('');
+
+        this.dom.billOfModules.innerHTML = `
+            ${issueList}
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left font-semibold border-b bg-gray-50">
+                            ${headings.map((heading, i) => `<th class="p-2 ${i > 1 ? 'text-right' : ''}">${this.escapeHTML(heading)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Fills the cost estimate below the detailed summary: the breakdown by module
+     * code and core, the cost per suite type, per suite and per unit of area.
+     */
+    renderCostEstimate() {
+        const { buildingLayout, projectData, catalogue, priceTable, currentUnit } = this.state;
+        if (buildingLayout.length === 0) {
+            this.dom.costEstimate.innerHTML = '';
+            return;
+        }
+        const estimate = estimateCost(buildingLayout, projectData, { catalogue, prices: priceTable });
+        const money = this.moneyFormatter(estimate.currency);
+        const areaUnit = currentUnit === 'metric' ? 'm²' : 'ft²';
+        const costPerArea = currentUnit === 'metric' ? estimate.costPerArea : estimate.costPerArea / this.CONSTANTS.SQM_TO_SQFT;
+
+        const lineRows = estimate.lines.map(line => `
+            <tr class="border-t">
+                <td class="p-2">${this.escapeHTML(line.label)}</td>
+                <td class="p-2 text-right">${line.quantity === null ? '' : line.quantity}</td>
+                <td class="p-2 text-right">${line.unitPrice === null ? '' : money(line.unitPrice)}</td>
+                <td class="p-2 text-right">${money(line.total)}</td>
+            </tr>
+        `).join('');
+        const suiteRows = estimate.suiteTypes.map(type => `
+            <tr class="border-t">
+                <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${type.color};"></div>${this.escapeHTML(type.name)}</td>
+                <td class="p-2 text-right">${type.count}</td>
+                <td class="p-2 text-right">${money(type.perSuite)}</td>
+                <td class="p-2 text-right">${money(type.total)}</td>
+            </tr>
+        `).join('');
+        const missing = estimate.missingCodes.length > 0
+            ? `<p class="text-xs text-amber-700">No price for ${estimate.missingCodes.map(code => this.escapeHTML(code)).join(', ')}; these modules are counted at zero.</p>`
+            : '';
+
+        this.dom.costEstimate.innerHTML = `
+            ${missing}
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left font-semibold border-b bg-gray-50">
+                        <th class="p-2">Item</th>
+                        <th class="p-2 text-right">Quantity</th>
+                        <th class="p-2 text-right">Unit Price</th>
+                        <th class="p-2 text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lineRows}
+                    <tr class="border-t-2 border-gray-800 font-bold bg-gray-100">
+                        <td class="p-2" colspan="3">Total</td>
+                        <td class="p-2 text-right">${money(estimate.total)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            <table class="w-full text-sm mt-4">
+                <thead>
+                    <tr class="text-left font-semibold border-b bg-gray-50">
+                        <th class="p-2">Suite Type</th>
+                        <th class="p-2 text-right">Count</th>
+                        <th class="p-2 text-right">Module Cost per Suite</th>
+                        <th class="p-2 text-right">Module Cost</th>
+                    </tr>
+                </thead>
+                <tbody>${suiteRows}</tbody>
+            </table>
+            <div class="flex justify-end space-x-6 mt-2 text-sm font-semibold">
+                <span>All-in cost per suite: ${estimate.costPerSuite === null ? '---' : money(estimate.costPerSuite)}</span>
+                <span>Cost per ${areaUnit} GFA: ${money(costPerArea)}</span>
+            </div>
+        `;
+    }
+
+    // --- MIX OPTIMIZER ---
+
+    openMixOptimizer() {
+        const { catalogue } = this.state;
+        const esc = (text) => this.escapeHTML(text);
+        this.dom.optimizerGoalSelect.innerHTML = Object.entries(OPTIMIZER_GOALS)
+            .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+        this.dom.optimizerStepSelect.innerHTML = OPTIMIZER_STEPS
+            .map(step => `<option value="${step}" ${step === 10 ? 'selected' : ''}>${step}%</option>`).join('');
+        this.dom.optimizerTargetLabel.classList.add('hidden');
+        if (!this.dom.optimizerTargetInput.value && this.state.buildingLayout.length > 0) {
+            this.dom.optimizerTargetInput.value = this.summarizeCurrentLayout().totalSuites;
+        }
+        const bound = (attribute, id) => `<input type="number" min="0" max="100" step="any" style="width: 80px;" ${attribute}="${esc(id)}">`;
+        this.dom.optimizerBoundsBody.innerHTML = Object.values(catalogue.suiteTypes).map(type => `
+            <tr class="border-t">
+                <td class="p-2"><span class="flex items-center"><span class="w-3 h-3 rounded-full mr-2" style="background-color: ${type.color};"></span>${esc(type.name)}</span></td>
+                <td class="p-2 text-right">${bound('data-bound-min', type.id)}</td>
+                <td class="p-2 text-right">${bound('data-bound-max', type.id)}</td>
+            </tr>
+        `).join('');
+        this.optimizerCandidates = [];
+        this.dom.optimizerResults.innerHTML = '';
+        this.dom.optimizerStatus.textContent = '';
+        this.dom.optimizerError.classList.add('hidden');
+        this.dom.optimizerModal.classList.remove('hidden');
+    }
+
+    closeMixOptimizer() {
+        if (this.optimizerRun) this.optimizerRun.abort();
+        this.dom.optimizerModal.classList.add('hidden');
+    }
+
+    getOptimizerConstraints() {
+        const constraints = {};
+        const read = (input) => input.value.trim() === '' ? null : parseFloat(input.value);
+        this.dom.optimizerBoundsBody.querySelectorAll('tr').forEach(row => {
+            const min = row.querySelector('[data-bound-min]');
+            constraints[min.dataset.boundMin] = { min: read(min), max: read(row.querySelector('[data-bound-max]')) };
+        });
+        return constraints;
+    }
 
-            elevatorOverrunMesh.position.set(xPos, yPos, zPos);
-            this.three.moduleGroup.add(elevatorOverrunMesh);
+    async runMixOptimizer() {
+        const { projectData, mixObjective, stacking, maxFloorTypes, seed, catalogue, buildingLayout, proForma, priceTable } = this.state;
+        this.optimizerRun = new AbortController();
+        this.dom.runOptimizerBtn.textContent = 'Cancel';
+        this.dom.optimizerError.classList.add('hidden');
+        this.dom.optimizerResults.innerHTML = '';
+        this.optimizerCandidates = [];
+
+        try {
+            const result = await optimizeMix({
+                ...projectData,
+                mixObjective,
+                stacking,
+                maxFloorTypes,
+                seed,
+                catalogue,
+                locked: getLockedSuites(buildingLayout)
+            }, {
+                goal: this.dom.optimizerGoalSelect.value,
+                target: parseInt(this.dom.optimizerTargetInput.value, 10),
+                constraints: this.getOptimizerConstraints(),
+                step: parseInt(this.dom.optimizerStepSelect.value, 10),
+                top: Math.max(1, parseInt(this.dom.optimizerTopInput.value, 10) || 5),
+                assumptions: proForma,
+                prices: priceTable,
+                signal: this.optimizerRun.signal,
+                onProgress: (done, total) => {
+                    this.dom.optimizerStatus.textContent = `Placed ${done} of ${total} mixes…`;
+                }
+            });
+            this.optimizerCandidates = result.candidates;
+            this.dom.optimizerStatus.textContent = result.candidates.length === 0
+                ? `None of the ${result.evaluated} mixes placed a layout within the bounds.`
+                : `${result.feasible} of ${result.evaluated} mixes placed a layout within the bounds.`;
+            this.renderOptimizerResults();
+        } catch (err) {
+            this.dom.optimizerStatus.textContent = '';
+            this.dom.optimizerError.textContent = err.message;
+            this.dom.optimizerError.classList.remove('hidden');
+        } finally {
+            this.optimizerRun = null;
+            this.dom.runOptimizerBtn.textContent = 'Search Mixes';
         }
+    }
 
-        this.three.moduleGroup.children.forEach(mesh => {
-            if(mesh instanceof THREE.Mesh){
-                const edges = new THREE.EdgesGeometry(mesh.geometry);
-                const line = new THREE.LineSegments(edges, lineMat);
-                line.scale.copy(mesh.scale);
-                line.position.copy(mesh.position);
-                this.three.moduleGroup.add(line);
-            }
+    renderOptimizerResults() {
+        const { catalogue, projectData, priceTable } = this.state;
+        const money = this.moneyFormatter(priceTable.currency);
+        const esc = (text) => this.escapeHTML(text);
+        const types = Object.values(catalogue.suiteTypes);
+        this.dom.optimizerResults.innerHTML = this.optimizerCandidates.length === 0 ? '' : `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left font-semibold border-b bg-gray-50">
+                        <th class="p-2">#</th>
+                        <th class="p-2">Floor 1</th>
+                        <th class="p-2">Mix</th>
+                        <th class="p-2">Suites Placed</th>
+                        <th class="p-2 text-right">Annual Revenue</th>
+                        <th class="p-2"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.optimizerCandidates.map((candidate, i) => `
+                        <tr class="border-t align-middle">
+                            <td class="p-2">${i + 1}</td>
+                            <td class="p-2">${this.renderFloorThumbnail(candidate.floors[0], projectData)}</td>
+                            <td class="p-2">${types.map(type => `${esc(type.tag)} ${candidate.mix[type.id] || 0}%`).join(' · ')}</td>
+                            <td class="p-2"><span class="font-semibold">${candidate.totalSuites}</span> <span class="text-xs text-gray-500">(${types.map(type => `${esc(type.tag)} ${candidate.counts[type.id]}`).join(' · ')})</span></td>
+                            <td class="p-2 text-right">${money(candidate.revenue)}</td>
+                            <td class="p-2 text-right"><button class="text-xs text-blue-600 hover:underline" data-candidate-index="${i}">Apply</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /** Sets the sliders to the candidate's mix and takes its layout as placed. */
+    applyOptimizedMix(candidate) {
+        if (!candidate) return;
+        this.dom.optimizerModal.classList.add('hidden');
+        this.recordChange('Apply optimized mix', () => {
+            this.ensureThreeInitialized();
+            this.setSuiteMix(candidate.mix);
+            this.state.planSelection = null;
+            this.state.buildingLayout = candidate.floors;
+            this.state.layoutWarnings = candidate.warnings;
+            this.updateSummaryAndUI(candidate.summary);
         });
+    }
 
-        this.update3DStairs(includeStairs, width, height);
-        this.update3DDimensions(width, height, depth, southDepth, northDepth, includeStairs);
-        this.update3DFloorLines(width, depth, height, floorHeight, numFloors, includeStairs);
+    // --- PRO FORMA ---
+
+    renderProForma() {
+        const { catalogue, proForma } = this.state;
+        const esc = (text) => this.escapeHTML(text);
+        const input = (attribute, key, value, width = 110) =>
+            `<input type="number" min="0" step="any" style="width: ${width}px;" ${attribute}="${esc(key)}" value="${value === undefined ? '' : value}">`;
+
+        this.dom.proFormaInputs.innerHTML = `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left font-semibold border-b bg-gray-50">
+                        <th class="p-2">Suite Type</th>
+                        <th class="p-2 text-right">Monthly Rent</th>
+                        <th class="p-2 text-right">Sale Price</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.values(catalogue.suiteTypes).map(type => `
+                        <tr class="border-t">
+                            <td class="p-2">${esc(type.name)}</td>
+                            <td class="p-2 text-right">${input('data-rent', type.id, proForma.rents[type.id])}</td>
+                            <td class="p-2 text-right">${input('data-sale-price', type.id, proForma.salePrices[type.id])}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="flex justify-end space-x-6 mt-2">
+                <label>Vacancy (%) ${input('data-assumption', 'vacancyPercent', proForma.vacancyPercent, 70)}</label>
+                <label>Opex (% of income) ${input('data-assumption', 'opexPercent', proForma.opexPercent, 70)}</label>
+                <label>Cap Rate (%) ${input('data-assumption', 'capRatePercent', proForma.capRatePercent, 70)}</label>
+            </div>
+        `;
+        this.dom.proFormaError.classList.add('hidden');
+        this.renderProFormaResults();
     }
-    
-    // --- UI HELPER FUNCTIONS ---
-    
-    updateSummaryTable(summary, totalSuites) {
-        this.dom.summaryTableBody.innerHTML = '';
-        if (Object.keys(summary).length === 0 && this.state.buildingLayout.length === 0) {
-            this.dom.summarySection.classList.add('hidden');
+
+    handleProFormaFieldChange(input) {
+        const { rent, salePrice, assumption } = input.dataset;
+        const next = cloneAssumptions(this.state.proForma);
+        const value = parseFloat(input.value);
+        if (rent) next.rents[rent] = value;
+        else if (salePrice) next.salePrices[salePrice] = value;
+        else if (assumption) next[assumption] = value;
+        else return;
+
+        let assumptions;
+        try {
+            assumptions = validateAssumptions(next);
+        } catch (err) {
+            this.dom.proFormaError.textContent = err.message;
+            this.dom.proFormaError.classList.remove('hidden');
             return;
         }
+        this.dom.proFormaError.classList.add('hidden');
+        this.recordChange('Change pro forma', () => {
+            this.state.proForma = assumptions;
+            this.renderProFormaResults();
+        });
+    }
 
-        const sortedSummary = Object.values(summary).sort((a,b) => a.moduleCount - b.moduleCount);
-        for (const suite of sortedSummary) {
-            const percentage = totalSuites > 0 ? ((suite.count / totalSuites) * 100).toFixed(1) : 0;
-            const row = `
-                <tr class="border-t">
-                    <td class="p-1 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${suite.color};"></div>${suite.name}</td>
-                    <td class="p-1 text-right">${suite.count}</td>
-                    <td class="p-1 text-right">${percentage}%</td>
-                </tr>
-            `;
-            this.dom.summaryTableBody.innerHTML += row;
+    /** Annual income, value and returns of the current layout; any sensitivity run is now stale. */
+    renderProFormaResults() {
+        const { buildingLayout, projectData, catalogue, priceTable, proForma } = this.state;
+        this.dom.sensitivityResults.innerHTML = '';
+        if (buildingLayout.length === 0) {
+            this.dom.proFormaResults.innerHTML = '';
+            return;
         }
+        const estimate = estimateCost(buildingLayout, projectData, { catalogue, prices: priceTable });
+        const result = getProForma(estimate, proForma);
+        const money = this.moneyFormatter(priceTable.currency);
+        const percent = (ratio) => ratio === null ? '---' : `${(ratio * 100).toFixed(2)}%`;
+        const row = (label, value, emphasis = false) => `
+            <tr class="border-t ${emphasis ? 'font-bold bg-gray-100' : ''}">
+                <td class="p-2">${label}</td>
+                <td class="p-2 text-right">${value}</td>
+            </tr>
+        `;
+        this.dom.proFormaResults.innerHTML = `
+            <div class="grid grid-cols-2 gap-6">
+                <table class="w-full text-sm">
+                    <tbody>
+                        ${row('Gross potential rent (annual)', money(result.grossRent))}
+                        ${row(`Vacancy (${proForma.vacancyPercent}%)`, `-${money(result.vacancyLoss)}`)}
+                        ${row('Effective gross income', money(result.effectiveGrossIncome))}
+                        ${row(`Operating expenses (${proForma.opexPercent}%)`, `-${money(result.opex)}`)}
+                        ${row('Net operating income', money(result.noi), true)}
+                    </tbody>
+                </table>
+                <table class="w-full text-sm">
+                    <tbody>
+                        ${row(`Value at ${proForma.capRatePercent}% cap rate`, money(result.value), true)}
+                        ${row('Total cost', money(result.totalCost))}
+                        ${row('Yield on cost', percent(result.yieldOnCost), true)}
+                        ${row('Gross sales value', money(result.salesValue))}
+                        ${row('Margin on cost if sold', percent(result.marginOnCost))}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
 
-        // Add Elevator and Stair info
-        if (this.state.buildingLayout.length > 0) {
-            const { ELEVATOR_INFO, STAIR_INFO } = this.CONSTANTS;
-
-            // Elevator Row
-            const elevatorRow = `
-                <tr class="border-t">
-                    <td class="p-1 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${ELEVATOR_INFO.color};"></div>${ELEVATOR_INFO.name}</td>
-                    <td class="p-1 text-right">1</td>
-                    <td class="p-1 text-right">---</td>
-                </tr>
+    /**
+     * Reruns the placement with each suite share moved by ±10 points and shows
+     * how NOI, value and yield on cost follow the suite counts that fit.
+     */
+    renderSensitivity() {
+        const { buildingLayout, projectData, mixObjective, stacking, maxFloorTypes, seed, catalogue, priceTable, proForma } = this.state;
+        if (buildingLayout.length === 0) return;
+        const { base, rows } = getMixSensitivity({
+            ...projectData,
+            mix: this.getSuiteMix(),
+            mixObjective,
+            stacking,
+            maxFloorTypes,
+            seed,
+            catalogue,
+            locked: getLockedSuites(buildingLayout)
+        }, proForma, { prices: priceTable });
+
+        const money = this.moneyFormatter(priceTable.currency);
+        const signed = (value, format) => `${value >= 0 ? '+' : '-'}${format(Math.abs(value))}`;
+        const pct = (ratio) => `${(ratio * 100).toFixed(2)}%`;
+        const counts = (c) => Object.values(catalogue.suiteTypes)
+            .map(type => `${this.escapeHTML(type.tag)} ${c[type.id] || 0}`).join(' · ');
+        const metrics = (p) => {
+            const b = base.proForma;
+            const change = (value, baseValue, format) => `${format(value)} <span class="text-xs text-gray-500">(${signed(value - baseValue, format)})</span>`;
+            return `
+                <td class="p-2 text-right">${change(p.noi, b.noi, money)}</td>
+                <td class="p-2 text-right">${change(p.value, b.value, money)}</td>
+                <td class="p-2 text-right">${p.yieldOnCost === null ? '---' : change(p.yieldOnCost, b.yieldOnCost, pct)}</td>
             `;
-            this.dom.summaryTableBody.innerHTML += elevatorRow;
+        };
 
-            // Stair Row
-            if (this.state.projectData.includeStairs) {
-                const stairRow = `
-                    <tr class="border-t">
-                        <td class="p-1 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${STAIR_INFO.color};"></div>${STAIR_INFO.name}</td>
-                        <td class="p-1 text-right">2</td>
-                        <td class="p-1 text-right">---</td>
+        this.dom.sensitivityResults.innerHTML = `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left font-semibold border-b bg-gray-50">
+                        <th class="p-2">Case</th>
+                        <th class="p-2">Suites Placed</th>
+                        <th class="p-2 text-right">NOI</th>
+                        <th class="p-2 text-right">Value</th>
+                        <th class="p-2 text-right">Yield on Cost</th>
                     </tr>
-                `;
-                this.dom.summaryTableBody.innerHTML += stairRow;
-            }
-        }
+                </thead>
+                <tbody>
+                    <tr class="border-t font-semibold bg-gray-50">
+                        <td class="p-2">Current mix, re-placed</td>
+                        <td class="p-2">${counts(base.counts)}</td>
+                        <td class="p-2 text-right">${money(base.proForma.noi)}</td>
+                        <td class="p-2 text-right">${money(base.proForma.value)}</td>
+                        <td class="p-2 text-right">${base.proForma.yieldOnCost === null ? '---' : pct(base.proForma.yieldOnCost)}</td>
+                    </tr>
+                    ${rows.map(row => row.cases.map((c, i) => `
+                        <tr class="border-t">
+                            <td class="p-2">${this.escapeHTML(row.name)} ${i === 0 ? '−10' : '+10'} pts${c ? ` <span class="text-xs text-gray-500">(${c.mix[row.id]}%)</span>` : ''}</td>
+                            ${c ? `<td class="p-2">${counts(c.counts)}</td>${metrics(c.proForma)}` : '<td class="p-2 text-gray-500" colspan="4">Not possible with this mix</td>'}
+                        </tr>
+                    `).join('')).join('')}
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-500 mt-1">Other suite types are scaled to keep the mix at 100%. Locked suites stay in place in every case.</p>
+        `;
+    }
 
-        this.dom.summarySection.classList.remove('hidden');
+    moneyFormatter(currency) {
+        return (value) => value.toLocaleString(undefined, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0 });
     }
 
-    populateDetailedSummary(summary, totalSuites) {
+    populateDetailedSummary(summary) {
         this.dom.detailSummaryTableBody.innerHTML = '';
-        if (Object.keys(summary).length === 0 && this.state.buildingLayout.length === 0) return;
+        if (Object.keys(summary.suites).length === 0 && this.state.buildingLayout.length === 0) return;
         
-        const sortedSummary = Object.values(summary).sort((a,b) => a.moduleCount - b.moduleCount);
+        const sortedSummary = Object.values(summary.suites).sort((a,b) => a.moduleCount - b.moduleCount);
         const areaUnit = this.state.currentUnit === 'metric' ? 'm²' : 'ft²';
         const numFloors = this.state.buildingLayout.length;
 
-        // NEW: Initialize totals
-        let totalSuiteCount = 0;
-        let totalModuleCount = 0;
-        let totalBuildingArea = 0;
-
         for (const suite of sortedSummary) {
-            totalSuiteCount += suite.count;
-            totalModuleCount += suite.moduleTotal;
-            totalBuildingArea += suite.totalArea;
-
-            const actualPercentage = totalSuites > 0 ? ((suite.count / totalSuites) * 100).toFixed(1) : 0;
-            const displayArea = this.convert(suite.totalArea, this.state.currentUnit, true);
-            const moduleCodes = `${suite.codes.noCorridor} (No Corridor)<br>${suite.codes.corridor} (Corridor)`;
+            const actualPercentage = suite.actualPercentage.toFixed(1);
+            const displayArea = this.displayArea(suite.totalArea);
+            const moduleCodes = `${this.escapeHTML(suite.codes.noCorridor)} (No Corridor)<br>${this.escapeHTML(suite.codes.corridor)} (Corridor)`;
             
             const row = `
                 <tr class="border-t">
-                    <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${suite.color};"></div>${suite.name}</td>
+                    <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${suite.color};"></div>${this.escapeHTML(suite.name)}</td>
                     <td class="p-2 text-right">${suite.count}</td>
                     <td class="p-2 text-right">${suite.moduleTotal}</td>
                     <td class="p-2">${moduleCodes}</td>
@@ -829,20 +2610,16 @@ class StackConfigApp {
         }
 
         if (numFloors > 0) {
-            const { ELEVATOR_INFO, STAIR_INFO, MODULE_WIDTH_METRIC, SOUTH_DEPTH_METRIC, STAIR_WIDTH_METRIC, STAIR_DEPTH_METRIC } = this.CONSTANTS;
-            
-            const elevatorModuleCount = numFloors;
-            const elevatorAreaMetric = elevatorModuleCount * (MODULE_WIDTH_METRIC * SOUTH_DEPTH_METRIC);
-            totalModuleCount += elevatorModuleCount;
-            totalBuildingArea += elevatorAreaMetric;
+            const { elevator: ELEVATOR_INFO, stair: STAIR_INFO } = this.state.catalogue;
+            const { elevator, stair } = summary.cores;
 
-            const displayElevatorArea = this.convert(elevatorAreaMetric, this.state.currentUnit, true);
+            const displayElevatorArea = this.displayArea(elevator.totalArea);
             const elevatorRow = `
                 <tr class="border-t bg-gray-50">
-                    <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${ELEVATOR_INFO.color};"></div>${ELEVATOR_INFO.name}</td>
-                    <td class="p-2 text-right">1</td>
-                    <td class="p-2 text-right">${elevatorModuleCount}</td>
-                    <td class="p-2">${ELEVATOR_INFO.codes.corridor}</td>
+                    <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${ELEVATOR_INFO.color};"></div>${this.escapeHTML(ELEVATOR_INFO.name)}</td>
+                    <td class="p-2 text-right">${elevator.count}</td>
+                    <td class="p-2 text-right">${elevator.moduleTotal}</td>
+                    <td class="p-2">${this.escapeHTML(ELEVATOR_INFO.codes.noCorridor)}</td>
                     <td class="p-2 text-right">---</td>
                     <td class="p-2 text-right">---</td>
                     <td class="p-2 text-right">${displayElevatorArea.toLocaleString(undefined, {maximumFractionDigits: 0})} ${areaUnit}</td>
@@ -850,19 +2627,14 @@ class StackConfigApp {
             `;
             this.dom.detailSummaryTableBody.innerHTML += elevatorRow;
 
-            if (this.state.projectData.includeStairs) {
-                const stairModuleCount = numFloors * 2; // Assuming each stairwell section is a "module"
-                const stairAreaMetric = 2 * numFloors * (STAIR_WIDTH_METRIC * STAIR_DEPTH_METRIC);
-                totalModuleCount += stairModuleCount;
-                totalBuildingArea += stairAreaMetric;
-
-                const displayStairArea = this.convert(stairAreaMetric, this.state.currentUnit, true);
+            if (stair.count > 0) {
+                const displayStairArea = this.displayArea(stair.totalArea);
                  const stairRow = `
                     <tr class="border-t bg-gray-50">
-                        <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${STAIR_INFO.color};"></div>${STAIR_INFO.name}</td>
-                        <td class="p-2 text-right">2</td>
-                        <td class="p-2 text-right">${stairModuleCount}</td>
-                        <td class="p-2">${STAIR_INFO.codes.noCorridor}</td>
+                        <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${STAIR_INFO.color};"></div>${this.escapeHTML(STAIR_INFO.name)}</td>
+                        <td class="p-2 text-right">${stair.count}</td>
+                        <td class="p-2 text-right">${stair.moduleTotal}</td>
+                        <td class="p-2">${this.escapeHTML(STAIR_INFO.codes.noCorridor)}</td>
                         <td class="p-2 text-right">---</td>
                         <td class="p-2 text-right">---</td>
                         <td class="p-2 text-right">${displayStairArea.toLocaleString(undefined, {maximumFractionDigits: 0})} ${areaUnit}</td>
@@ -872,13 +2644,13 @@ class StackConfigApp {
             }
         }
 
-        // NEW: Add the total row
-        const displayTotalArea = this.convert(totalBuildingArea, this.state.currentUnit, true);
+        const { levels, projectData, currentUnit } = this.state;
+        const displayTotalArea = this.displayArea(summary.totals.area);
         const totalRow = `
             <tr class="border-t-2 border-gray-800 font-bold bg-gray-100">
-                <td class="p-2">Total</td>
-                <td class="p-2 text-right">${totalSuiteCount}</td>
-                <td class="p-2 text-right">${totalModuleCount}</td>
+                <td class="p-2">${levels.length > 0 ? 'Residential Total' : 'Total'}</td>
+                <td class="p-2 text-right">${summary.totals.suites}</td>
+                <td class="p-2 text-right">${summary.totals.modules}</td>
                 <td class="p-2"></td>
                 <td class="p-2 text-right"></td>
                 <td class="p-2 text-right">100%</td>
@@ -886,6 +2658,625 @@ class StackConfigApp {
             </tr>
         `;
         this.dom.detailSummaryTableBody.innerHTML += totalRow;
+        if (levels.length === 0) return;
+
+        // Podium and roof levels take no suites, so they are totalled apart from the mix
+        const nonResidential = summarizeLevels(levels, projectData);
+        const areaCell = (sqm) => `${this.displayArea(sqm).toLocaleString(undefined, {maximumFractionDigits: 0})} ${areaUnit}`;
+        let rows = `
+            <tr class="border-t-2 border-gray-300">
+                <td class="p-2 font-semibold" colspan="7">Non-Residential Levels</td>
+            </tr>
+        `;
+        nonResidential.levels.forEach(level => {
+            const uses = level.uses.map(entry => `${LEVEL_USES[entry.use].name} ${areaCell(entry.area)}`).join('<br>') || 'No uses';
+            rows += `
+                <tr class="border-t bg-gray-50">
+                    <td class="p-2">${this.escapeHTML(level.name)}<br><span class="text-xs text-gray-500">${LEVEL_POSITIONS[level.position]} · ${formatLength(level.height, currentUnit, 1)}</span></td>
+                    <td class="p-2 text-right">---</td>
+                    <td class="p-2 text-right">---</td>
+                    <td class="p-2">${uses}</td>
+                    <td class="p-2 text-right">---</td>
+                    <td class="p-2 text-right">---</td>
+                    <td class="p-2 text-right">${areaCell(level.grossArea)}</td>
+                </tr>
+            `;
+        });
+        rows += `
+            <tr class="border-t-2 border-gray-800 font-bold bg-gray-100">
+                <td class="p-2">Non-Residential Total</td>
+                <td class="p-2 text-right" colspan="5">${levels.length} ${levels.length === 1 ? 'level' : 'levels'}</td>
+                <td class="p-2 text-right">${areaCell(nonResidential.totalArea)}</td>
+            </tr>
+            <tr class="border-t font-bold bg-gray-100">
+                <td class="p-2">Building Total</td>
+                <td class="p-2 text-right" colspan="5"></td>
+                <td class="p-2 text-right">${areaCell(summary.totals.area + nonResidential.totalArea)}</td>
+            </tr>
+        `;
+        this.dom.detailSummaryTableBody.innerHTML += rows;
+    }
+
+    // --- BUILDING CODE ---
+
+    setCodeRules(rules) {
+        this.state.codeRules = rules;
+        this.renderCodeRuleControls();
+        if (this.state.buildingLayout.length > 0) {
+            this.updateCodeCheck();
+            this.redrawViews();
+        }
+    }
+
+    /** Reads a limit typed in the current unit; an empty field turns the check off. */
+    handleCodeLimitChange(key, value) {
+        const number = parseFloat(value);
+        if (value.trim() === '') {
+            this.setCodeRules({ ...this.state.codeRules, [key]: null });
+        } else if (number > 0) {
+            let limit = Math.round(number);
+            if (key !== 'maxStoreys') limit = this.state.currentUnit === 'metric' ? number : this.convert(number, 'metric');
+            this.setCodeRules({ ...this.state.codeRules, [key]: limit });
+        } else {
+            this.renderCodeRuleControls();
+        }
+    }
+
+    renderCodeRuleControls() {
+        const { codeRules, currentUnit } = this.state;
+        const option = (value, label) => `<option value="${value}">${this.escapeHTML(label)}</option>`;
+        this.dom.codeJurisdictionSelect.innerHTML = Object.entries(CODE_JURISDICTIONS).map(([id, j]) => option(id, j.name)).join('');
+        this.dom.codeJurisdictionSelect.value = codeRules.jurisdiction;
+        this.dom.codeOccupancySelect.innerHTML = Object.entries(CODE_JURISDICTIONS[codeRules.jurisdiction].occupancyClasses)
+            .map(([id, occupancy]) => option(id, occupancy.name)).join('');
+        this.dom.codeOccupancySelect.value = codeRules.occupancyClass;
+
+        this.dom.codeLimits.querySelectorAll('[data-code-limit]').forEach(input => {
+            const value = codeRules[input.dataset.codeLimit];
+            if (value === null) input.value = '';
+            else if (input.dataset.codeLimit === 'maxStoreys') input.value = value;
+            else input.value = (currentUnit === 'metric' ? value : this.convert(value, 'imperial')).toFixed(1);
+        });
+        this.dom.codeLimits.querySelectorAll('.code-length-unit').forEach(el => { el.textContent = currentUnit === 'metric' ? 'm' : 'ft'; });
+    }
+
+    /** Runs the code rules on the current layout and lists what they found. */
+    updateCodeCheck() {
+        const { buildingLayout, projectData, codeRules, currentUnit, levels, catalogue } = this.state;
+        this.state.codeCheck = buildingLayout.length > 0
+            ? checkBuildingCode(buildingLayout, projectData, codeRules, { unit: currentUnit, levels, catalogue })
+            : null;
+
+        const check = this.state.codeCheck;
+        if (!check) {
+            this.dom.codeCheckResults.innerHTML = '<li class="text-gray-500">Place suites to check the stack against these rules.</li>';
+        } else if (check.violations.length === 0) {
+            this.dom.codeCheckResults.innerHTML = `<li class="text-green-700">No violations: ${check.providedExits} exits provided, ${check.requiredExits} required.</li>`;
+        } else {
+            this.dom.codeCheckResults.innerHTML = check.violations
+                .map(v => `<li class="text-red-700"><span class="font-semibold">${CODE_RULES[v.rule]}:</span> ${this.escapeHTML(v.message)}</li>`)
+                .join('');
+        }
+    }
+
+    // --- SITE ---
+
+    setSite(site) {
+        this.state.site = site;
+        this.renderSiteControls();
+        this.updateSiteCheck();
+        // The site turns the building for the sun study
+        this.renderSunControls();
+        this.renderSunHours();
+        this.redrawViews();
+    }
+
+    /** Applies an edit to a copy of the site and records it, or shows why the result is invalid. */
+    updateSite(label, edit) {
+        const draft = JSON.parse(JSON.stringify(this.state.site));
+        edit(draft);
+        let site;
+        try {
+            site = validateSite(draft);
+        } catch (err) {
+            this.dom.siteError.textContent = err.message;
+            this.dom.siteError.classList.remove('hidden');
+            this.renderSiteControls(false);
+            return;
+        }
+        this.recordChange(label, () => this.setSite(site));
+    }
+
+    /** Reads one `x, y` corner per line; lot lines keep their setback by position and new ones copy the last. */
+    handleSiteBoundaryChange(text) {
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        const boundary = lines.map(line => line.split(/[\s,;]+/).map(value => this.fromDisplayLength(value)));
+        this.updateSite('Edit lot boundary', site => {
+            const last = site.setbacks[site.setbacks.length - 1];
+            site.boundary = boundary;
+            site.setbacks = boundary.map((point, i) => i < site.setbacks.length ? site.setbacks[i] : last);
+        });
+    }
+
+    renderSiteControls(clearError = true) {
+        const { site, currentUnit } = this.state;
+        const length = (m) => Number(this.toDisplayLength(m).toFixed(2));
+        this.dom.siteToggleBtn.textContent = site ? 'Remove Site' : 'Add Site';
+        this.dom.siteControls.classList.toggle('hidden', !site);
+        this.dom.siteControls.querySelectorAll('.site-length-unit').forEach(el => { el.textContent = currentUnit === 'metric' ? 'm' : 'ft'; });
+        if (clearError) this.dom.siteError.classList.add('hidden');
+        if (!site) return;
+
+        this.dom.siteBoundaryInput.value = site.boundary.map(([x, y]) => `${length(x)}, ${length(y)}`).join('\n');
+        this.dom.siteSetbacksBody.innerHTML = site.boundary.map((point, i) => {
+            const next = site.boundary[(i + 1) % site.boundary.length];
+            return `
+                <tr class="border-t">
+                    <td class="py-1">Line ${i + 1}</td>
+                    <td class="py-1 text-right">${formatLength(Math.hypot(next[0] - point[0], next[1] - point[1]), currentUnit, 1)}</td>
+                    <td class="py-1 text-right"><input type="number" min="0" step="any" style="width: 70px;" data-site-setback="${i}" value="${length(site.setbacks[i])}"></td>
+                </tr>
+            `;
+        }).join('');
+        this.dom.sitePlacement.querySelectorAll('[data-site-placement]').forEach(input => {
+            const key = input.dataset.sitePlacement;
+            input.value = key === 'rotation' ? site.placement.rotation : length(site.placement[key]);
+        });
+        this.dom.siteLimits.querySelectorAll('[data-site-limit]').forEach(input => {
+            const value = site[input.dataset.siteLimit];
+            if (value === null) input.value = '';
+            else input.value = input.dataset.siteLimit === 'maxHeight' ? length(value) : value;
+        });
+    }
+
+    /** Checks the building against the lot and zoning limits; the GFA of the inputs panel plus any non-residential levels. */
+    updateSiteCheck() {
+        const { site, projectData, currentUnit, levels } = this.state;
+        this.state.siteCheck = site ? checkSite(site, projectData, { unit: currentUnit, levels }) : null;
+        const check = this.state.siteCheck;
+        if (!check) {
+            this.dom.siteCheckResults.innerHTML = '';
+            return;
+        }
+        const summary = `<li class="text-gray-600">Lot ${formatArea(check.siteArea, currentUnit)} · coverage ${check.coverage.toFixed(1)}% · FAR ${check.far.toFixed(2)} · height ${formatLength(check.height, currentUnit, 1)}</li>`;
+        this.dom.siteCheckResults.innerHTML = summary + (check.violations.length === 0
+            ? '<li class="text-green-700">The building fits the lot, setbacks and zoning limits.</li>'
+            : check.violations
+                .map(v => `<li class="text-red-700"><span class="font-semibold">${SITE_RULES[v.rule]}:</span> ${this.escapeHTML(v.message)}</li>`)
+                .join(''));
+    }
+
+    /** Site breaches that concern the building's position rather than its size. */
+    getSiteEnvelopeBreach() {
+        const check = this.state.siteCheck;
+        if (!check) return { edges: new Set(), outline: false };
+        const placement = check.violations.filter(v => v.rule === 'lot' || v.rule === 'setback');
+        return { edges: new Set(placement.flatMap(v => v.edges)), outline: placement.length > 0 };
+    }
+
+    // Lot lines, setbacks and breaches around the plan, which stays square to the screen
+    update2DSite(centerX, centerY, scale) {
+        const { site, projectData } = this.state;
+        this.dom.planSiteGroup.innerHTML = '';
+        if (!site) return;
+
+        const toPlan = (point) => {
+            const [x, y] = toBuildingFrame(point, site.placement);
+            return [centerX + x * scale, centerY + y * scale];
+        };
+        const add = (tag, attributes, text = '') => {
+            const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+            Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+            if (text) el.textContent = text;
+            this.dom.planSiteGroup.appendChild(el);
+        };
+        const points = (polygon) => polygon.map(point => toPlan(point).join(',')).join(' ');
+        const breach = this.getSiteEnvelopeBreach();
+
+        add('polygon', { points: points(site.boundary), fill: 'none', stroke: '#374151', 'stroke-width': 0.5 });
+        const buildable = getBuildableArea(site);
+        if (buildable) {
+            add('polygon', { points: points(buildable), fill: 'none', stroke: '#059669', 'stroke-width': 0.4, 'stroke-dasharray': '2 1' });
+        }
+        site.boundary.forEach((point, i) => {
+            const [x1, y1] = toPlan(point);
+            const [x2, y2] = toPlan(site.boundary[(i + 1) % site.boundary.length]);
+            if (breach.edges.has(i)) {
+                add('line', { x1, y1, x2, y2, stroke: '#dc2626', 'stroke-width': 1.2 });
+            }
+            add('text', { x: (x1 + x2) / 2, y: (y1 + y2) / 2, fill: breach.edges.has(i) ? '#dc2626' : '#374151', 'font-size': 4, 'text-anchor': 'middle', 'dominant-baseline': 'central' }, `${i + 1}`);
+        });
+        if (breach.outline) {
+            getBuildingFootprint(projectData, site.placement).forEach(outline => {
+                add('polygon', { points: points(outline), fill: '#dc2626', 'fill-opacity': 0.15, stroke: '#dc2626', 'stroke-width': 0.8 });
+            });
+        }
+    }
+
+    // The lot on the ground, the setback line and, with a height limit, the zoning envelope
+    update3DSite(height) {
+        const { site, siteCheck, projectData } = this.state;
+        const group = this.three.siteGroup;
+        while (group.children.length > 0) { group.remove(group.children[0]); }
+        if (!site) return;
+
+        const toScene = (point, y) => {
+            const [x, z] = toBuildingFrame(point, site.placement);
+            return new THREE.Vector3(x, y, z);
+        };
+        const addLoop = (polygon, y, material) => {
+            group.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(polygon.map(point => toScene(point, y))), material));
+        };
+        const breach = this.getSiteEnvelopeBreach();
+        const red = new THREE.LineBasicMaterial({ color: 0xdc2626 });
+
+        // ShapeGeometry lies in the XY plane; flipping y and laying it flat puts it on the ground
+        const shape = new THREE.Shape(site.boundary.map(point => {
+            const { x, z } = toScene(point, 0);
+            return new THREE.Vector2(x, -z);
+        }));
+        const lot = new THREE.Mesh(new THREE.ShapeGeometry(shape), new THREE.MeshBasicMaterial({ color: 0xd1fae5, transparent: true, opacity: 0.6, side: THREE.DoubleSide, depthWrite: false }));
+        lot.rotation.x = -Math.PI / 2;
+        lot.position.y = 0.02;
+        group.add(lot);
+        addLoop(site.boundary, 0.05, new THREE.LineBasicMaterial({ color: 0x374151 }));
+        site.boundary.forEach((point, i) => {
+            if (!breach.edges.has(i)) return;
+            const next = site.boundary[(i + 1) % site.boundary.length];
+            group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints([toScene(point, 0.1), toScene(next, 0.1)]), red));
+        });
+
+        const buildable = getBuildableArea(site);
+        if (buildable) {
+            const heightBreached = siteCheck.violations.some(v => v.rule === 'height');
+            const envelopeMat = new THREE.LineBasicMaterial({ color: heightBreached ? 0xdc2626 : 0x059669, transparent: true, opacity: 0.7 });
+            addLoop(buildable, 0.05, envelopeMat);
+            if (site.maxHeight !== null) {
+                addLoop(buildable, site.maxHeight, envelopeMat);
+                buildable.forEach(point => {
+                    group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints([toScene(point, 0), toScene(point, site.maxHeight)]), envelopeMat));
+                });
+            }
+        }
+        if (breach.outline) {
+            getBuildingFootprint(projectData, site.placement).forEach(outline => {
+                addLoop(outline, 0.1, red);
+                addLoop(outline, height, red);
+            });
+        }
+    }
+
+    toDisplayLength(metres) {
+        return this.state.currentUnit === 'metric' ? metres : this.convert(metres, 'imperial');
+    }
+
+    fromDisplayLength(value) {
+        const number = parseFloat(value);
+        return this.state.currentUnit === 'metric' ? number : this.convert(number, 'metric');
+    }
+
+    // --- NON-RESIDENTIAL LEVELS ---
+
+    setLevels(levels) {
+        this.state.levels = levels;
+        if (this.state.planLevel !== null && this.state.planLevel >= levels.length) this.state.planLevel = null;
+        this.renderLevelControls();
+        this.updateCodeCheck();
+        this.updateSiteCheck();
+        if (this.state.buildingLayout.length > 0) {
+            this.populateDetailedSummary(this.summarizeCurrentLayout());
+            this.generateFloorThumbnails();
+        }
+        this.redrawViews();
+    }
+
+    /** Applies an edit to a copy of the levels and records it, or shows why the result is invalid. */
+    updateLevels(label, edit) {
+        const draft = JSON.parse(JSON.stringify(this.state.levels));
+        edit(draft);
+        let levels;
+        try {
+            levels = validateLevels(draft);
+        } catch (err) {
+            this.dom.levelError.textContent = err.message;
+            this.dom.levelError.classList.remove('hidden');
+            this.renderLevelControls(false);
+            return;
+        }
+        this.recordChange(label, () => this.setLevels(levels));
+    }
+
+    handleLevelFieldChange(input) {
+        const card = input.closest('[data-level]');
+        const field = input.dataset.levelField || input.dataset.useField;
+        if (!card || !field) return;
+        const index = Number(card.dataset.level);
+        const use = Number(input.dataset.use);
+        const edits = {
+            name: ['Rename level', level => { level.name = input.value; }],
+            position: ['Move level', level => { level.position = input.value; }],
+            height: ['Change level height', level => { level.height = this.fromDisplayLength(input.value); }],
+            use: ['Change level use', level => { level.uses[use].use = input.value; }],
+            area: ['Change use area', level => { level.uses[use].area = this.fromDisplayArea(input.value); }]
+        };
+        const [label, edit] = edits[field];
+        this.updateLevels(label, levels => edit(levels[index]));
+    }
+
+    renderLevelControls(clearError = true) {
+        const { levels, projectData, currentUnit } = this.state;
+        const lengthUnit = currentUnit === 'metric' ? 'm' : 'ft';
+        const areaUnit = currentUnit === 'metric' ? 'm²' : 'ft²';
+        const round = (value) => Number(value.toFixed(1));
+        if (clearError) this.dom.levelError.classList.add('hidden');
+        const summaries = summarizeLevels(levels, projectData).levels;
+
+        this.dom.levelList.innerHTML = levels.map((level, i) => {
+            const { unassigned, usableArea } = summaries.find(summary => summary.index === i);
+            const positions = Object.entries(LEVEL_POSITIONS)
+                .map(([key, name]) => `<option value="${key}" ${key === level.position ? 'selected' : ''}>${name}</option>`).join('');
+            const uses = level.uses.map((entry, j) => `
+                <tr class="border-t">
+                    <td class="py-1"><select class="text-xs" data-use-field="use" data-use="${j}">${Object.entries(LEVEL_USES)
+                        .map(([key, use]) => `<option value="${key}" ${key === entry.use ? 'selected' : ''}>${use.name}</option>`).join('')}</select></td>
+                    <td class="py-1 text-right"><input type="number" min="0" step="any" style="width: 80px;" data-use-field="area" data-use="${j}" value="${round(this.displayArea(entry.area))}"> ${areaUnit}</td>
+                    <td class="py-1 text-right"><button class="text-gray-400 hover:text-red-600" title="Remove use" data-level-action="remove-use" data-use="${j}">&times;</button></td>
+                </tr>
+            `).join('');
+            const fill = unassigned < 0
+                ? `<span class="text-amber-700">Uses overfill the ${this.formatArea(usableArea)} plan by ${this.formatArea(-unassigned)}.</span>`
+                : `<span class="text-gray-500">${this.formatArea(unassigned)} of ${this.formatArea(usableArea)} unassigned.</span>`;
+            return `
+                <div class="border border-gray-200 rounded p-2 space-y-2" data-level="${i}">
+                    <div class="flex items-center space-x-2">
+                        <input type="text" class="flex-1 border border-gray-300 rounded px-2 py-1 text-sm" data-level-field="name" value="${this.escapeHTML(level.name)}">
+                        <select class="text-xs" data-level-field="position">${positions}</select>
+                        <button class="text-gray-400 hover:text-red-600 text-lg leading-none" title="Remove level" data-level-action="remove">&times;</button>
+                    </div>
+                    <label class="flex items-center justify-between"><span>Height</span><span class="space-x-1"><input type="number" min="0" step="any" style="width: 80px;" data-level-field="height" value="${round(this.toDisplayLength(level.height))}"> <span>${lengthUnit}</span></span></label>
+                    <table class="w-full text-xs"><tbody>${uses}</tbody></table>
+                    <div class="flex items-center justify-between text-xs">
+                        ${fill}
+                        <button class="text-blue-600 hover:underline whitespace-nowrap ml-2" data-level-action="add-use">Add Use</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /** The level shown in the 2D plan, if one is picked in the floor strip. */
+    getPlanLevel() {
+        return this.state.planLevel === null ? null : this.state.levels[this.state.planLevel] || null;
+    }
+
+    // A level's uses as coloured strips across the plan, labelled with their areas
+    draw2DLevel(level, x, y, width, depth, scaleFactor) {
+        const add = (tag, attributes, text = '') => {
+            const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+            Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+            if (text) el.textContent = text;
+            this.dom.planModuleGroup.appendChild(el);
+        };
+        getUseStrips(level, { width, depth }).forEach(strip => {
+            const stripX = x + strip.x * scaleFactor;
+            const stripWidth = strip.width * scaleFactor;
+            const use = strip.use ? LEVEL_USES[strip.use] : null;
+            add('rect', { x: stripX, y, width: stripWidth, height: depth * scaleFactor, fill: use ? use.color : '#f3f4f6', stroke: '#334155', 'stroke-width': 0.4, ...(use ? {} : { 'stroke-dasharray': '2 1' }) });
+            const label = use ? `${use.name} · ${this.formatArea(strip.width * depth)}` : 'Unassigned';
+            add('text', { x: stripX + stripWidth / 2, y: y + depth * scaleFactor / 2, fill: '#1f2937', 'font-size': 3.5, 'text-anchor': 'middle', 'dominant-baseline': 'central', 'pointer-events': 'none' }, label);
+        });
+        add('text', { x: x + 1.5, y: y - 2, fill: '#334155', 'font-size': 4, 'font-weight': 'bold', 'pointer-events': 'none' }, `${level.name} (${LEVEL_POSITIONS[level.position]})`);
+    }
+
+    // Level boxes split into their uses, stacked under and over the residential floors
+    update3DLevels(width, depth, residentialHeight) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const counters = { base: 0, roof: 0 };
+        stackLevels(this.state.levels, residentialHeight).forEach(level => {
+            const tag = `${level.position === 'base' ? 'P' : 'R'}${pad(++counters[level.position])}`;
+            getUseStrips(level, { width, depth }).forEach(strip => {
+                const use = strip.use ? LEVEL_USES[strip.use] : null;
+                const mesh = new THREE.Mesh(
+                    new THREE.BoxGeometry(strip.width, level.height, depth),
+                    new THREE.MeshLambertMaterial({ color: use ? use.color : 0xe5e7eb })
+                );
+                mesh.name = `${tag}-${strip.use ? strip.use.toUpperCase() : 'UNASSIGNED'}`;
+                mesh.userData = { level: level.name, position: LEVEL_POSITIONS[level.position], use: use ? use.name : null, area: strip.width * depth };
+                mesh.position.set(-width / 2 + strip.x + strip.width / 2, level.elevation + level.height / 2, 0);
+                this.three.moduleGroup.add(mesh);
+            });
+        });
+    }
+
+    formatArea(sqm) {
+        return formatArea(sqm, this.state.currentUnit);
+    }
+
+    fromDisplayArea(value) {
+        const number = parseFloat(value);
+        return this.state.currentUnit === 'metric' ? number : this.convert(number, 'metric', true);
+    }
+
+    // --- SUN STUDY ---
+
+    setSun(sun) {
+        this.state.sun = sun;
+        this.renderSunControls();
+        this.renderSunHours();
+        if (this.state.threeInitialized) this.update3DSun();
+    }
+
+    /** Records a change to the sun settings, or shows why the result is invalid. */
+    updateSun(label, changes, mergeKey = null) {
+        let sun;
+        try {
+            sun = validateSunSettings({ ...this.state.sun, ...changes });
+        } catch (err) {
+            this.dom.sunError.textContent = err.message;
+            this.dom.sunError.classList.remove('hidden');
+            this.renderSunControls(false);
+            return;
+        }
+        this.recordChange(label, () => this.setSun(sun), mergeKey);
+    }
+
+    renderSunControls(clearError = true) {
+        const { sun } = this.state;
+        this.dom.sunLocation.querySelectorAll('[data-sun-setting]').forEach(input => { input.value = sun[input.dataset.sunSetting]; });
+        this.dom.sunDaySlider.value = sun.dayOfYear;
+        this.dom.sunTimeSlider.value = sun.minutes;
+        this.dom.sunDateLabel.textContent = formatDayOfYear(sun.dayOfYear);
+        this.dom.sunTimeLabel.textContent = formatClockTime(sun.minutes);
+        if (clearError) this.dom.sunError.classList.add('hidden');
+
+        const { altitude, azimuth } = getSolarPosition(sun);
+        const { daylight, facades } = getSunHours([], sun, { rotation: getBuildingOrientation(sun, this.state.site) });
+        const position = altitude > 0
+            ? `Sun at ${altitude.toFixed(1)}° altitude, ${azimuth.toFixed(1)}° azimuth.`
+            : `The sun is below the horizon at ${formatClockTime(sun.minutes)}.`;
+        const hours = Object.entries(FACADES).map(([key, { name }]) => `${name} ${facades[key].toFixed(1)} h`).join(' · ');
+        this.dom.sunStatus.innerHTML = `
+            <li class="text-gray-600">${position}</li>
+            <li class="text-gray-600">${daylight.toFixed(1)} h of daylight. Direct sun: ${hours}</li>
+        `;
+    }
+
+    /** Hours of direct sun on the study date, by suite type and for every suite. */
+    renderSunHours() {
+        const { buildingLayout, catalogue, sun, site } = this.state;
+        if (buildingLayout.length === 0) {
+            this.dom.sunHoursReport.innerHTML = '';
+            return;
+        }
+        const { facades, suites } = getSunHours(buildingLayout, sun, { rotation: getBuildingOrientation(sun, site) });
+        const hours = (value) => `${value.toFixed(1)} h`;
+        const average = (list) => list.length === 0 ? '---' : hours(list.reduce((acc, suite) => acc + suite.hours, 0) / list.length);
+        const rowName = (row) => row === 'south' ? 'South' : 'North';
+        const sunnier = facades.south >= facades.north ? 'south' : 'north';
+
+        const typeRows = Object.values(catalogue.suiteTypes).map(type => {
+            const ofType = suites.filter(suite => suite.id === type.id);
+            if (ofType.length === 0) return '';
+            return `
+                <tr class="border-t">
+                    <td class="p-2 flex items-center"><div class="w-3 h-3 rounded-full mr-2" style="background-color: ${type.color};"></div>${this.escapeHTML(type.name)}</td>
+                    <td class="p-2 text-right">${type.moduleCount}</td>
+                    <td class="p-2 text-right">${ofType.length}</td>
+                    <td class="p-2 text-right">${ofType.filter(suite => suite.row === sunnier).length}</td>
+                    <td class="p-2 text-right">${average(ofType)}</td>
+                    <td class="p-2 text-right">${hours(Math.min(...ofType.map(suite => suite.hours)))}</td>
+                </tr>
+            `;
+        }).join('');
+        const suiteRows = suites.map(suite => `
+            <tr class="border-t">
+                <td class="p-2">${suite.floor + 1}</td>
+                <td class="p-2">${rowName(suite.row)}</td>
+                <td class="p-2 text-right">${suite.length > 1 ? `${suite.start + 1}–${suite.start + suite.length}` : suite.start + 1}</td>
+                <td class="p-2">${this.escapeHTML(suite.name)}</td>
+                <td class="p-2">${suite.facades.map(facade => FACADES[facade].name).join(', ')}</td>
+                <td class="p-2 text-right">${hours(suite.hours)}</td>
+            </tr>
+        `).join('');
+
+        this.dom.sunHoursReport.innerHTML = `
+            <p class="text-sm text-gray-600">On ${formatDayOfYear(sun.dayOfYear)} the south row gets ${hours(facades.south)} of direct sun and the north row ${hours(facades.north)}; end suites also get the east (${hours(facades.east)}) or west (${hours(facades.west)}) wall. Neighbouring buildings are not modelled.</p>
+            <table class="w-full text-sm mt-2">
+                <thead>
+                    <tr class="text-left font-semibold border-b bg-gray-50">
+                        <th class="p-2">Suite Type</th>
+                        <th class="p-2 text-right">Modules</th>
+                        <th class="p-2 text-right">Suites</th>
+                        <th class="p-2 text-right">On ${rowName(sunnier)} Row</th>
+                        <th class="p-2 text-right">Avg. Sun</th>
+                        <th class="p-2 text-right">Min. Sun</th>
+                    </tr>
+                </thead>
+                <tbody>${typeRows}</tbody>
+            </table>
+            <div class="max-h-64 overflow-y-auto mt-4">
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left font-semibold border-b bg-gray-50">
+                            <th class="p-2">Floor</th>
+                            <th class="p-2">Row</th>
+                            <th class="p-2 text-right">Modules</th>
+                            <th class="p-2">Suite</th>
+                            <th class="p-2">Façades</th>
+                            <th class="p-2 text-right">Direct Sun</th>
+                        </tr>
+                    </thead>
+                    <tbody>${suiteRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // The sun light follows the study time; the day's sun path and a north arrow are drawn around the building
+    update3DSun() {
+        const { sun, site } = this.state;
+        const rotation = getBuildingOrientation(sun, site);
+        const { sunLight, sunGroup } = this.three;
+        this.three.moduleGroup.traverse(object => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+        while (sunGroup.children.length > 0) { sunGroup.remove(sunGroup.children[0]); }
+
+        const radius = 150;
+        const toScene = ([x, y, z]) => new THREE.Vector3(x * radius, y * radius, z * radius);
+        const position = getSolarPosition(sun);
+        const isUp = position.altitude > 0;
+        sunLight.position.copy(toScene(getSunDirection(position, rotation)));
+        sunLight.intensity = isUp ? 0.8 : 0;
+        sunLight.castShadow = isUp;
+
+        const path = getSunPath(sun, { rotation }).map(point => toScene(point.direction));
+        if (path.length > 1) {
+            sunGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(path), new THREE.LineBasicMaterial({ color: 0xf59e0b })));
+        }
+        if (isUp) {
+            const marker = new THREE.Mesh(new THREE.SphereGeometry(3, 16, 8), new THREE.MeshBasicMaterial({ color: 0xf59e0b }));
+            marker.position.copy(sunLight.position);
+            sunGroup.add(marker);
+        }
+        const [x, , z] = getSunDirection({ altitude: 0, azimuth: 0 }, rotation);
+        sunGroup.add(new THREE.ArrowHelper(new THREE.Vector3(x, 0, z), new THREE.Vector3(0, 0.1, 0), radius * 0.6, 0x374151, 6, 3));
+    }
+
+    updateLayoutWarnings() {
+        const warnings = this.state.layoutWarnings;
+        this.dom.layoutWarningsList.innerHTML = warnings.map(w => `<li>${w}</li>`).join('');
+        this.dom.layoutWarningsList.classList.toggle('hidden', warnings.length === 0);
+    }
+
+    updateStackAlignment() {
+        const { score, aligned, counted } = getStackAlignment(this.state.buildingLayout);
+        this.dom.stackAlignment.classList.toggle('hidden', score === null);
+        if (score === null) return;
+        this.dom.stackAlignment.innerHTML = `<span class="font-semibold">Stack alignment:</span> ${score.toFixed(1)}% <span class="text-gray-500">(${aligned} of ${counted} modules sit on the same suite as the floor below)</span>`;
+    }
+
+    updateFloorGroups() {
+        const layout = this.state.buildingLayout;
+        this.dom.floorGroups.classList.toggle('hidden', layout.length === 0);
+        if (layout.length === 0) return;
+        const groups = getFloorGroups(layout);
+        const typeCount = new Set(groups.map(group => group.type)).size;
+        this.dom.floorGroups.innerHTML = `
+            <p class="font-semibold">${typeCount} floor ${typeCount === 1 ? 'type' : 'types'} over ${layout.length} ${layout.length === 1 ? 'floor' : 'floors'}</p>
+            <ul class="space-y-0.5">
+                ${groups.map(group => `<li class="flex justify-between"><span>${this.formatFloorGroup(group)}</span><span class="text-gray-500">×${group.last - group.first + 1}</span></li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /** A run of identical floors, e.g. "Floors 2–9 (Typical A)", lettered like the DXF floor types. */
+    formatFloorGroup({ first, last, type, typical }) {
+        const floors = first === last ? `Floor ${first + 1}` : `Floors ${first + 1}–${last + 1}`;
+        return `${floors} (${typical ? 'Typical' : 'Type'} ${String.fromCharCode(65 + type)})`;
     }
 
     generateFloorThumbnails() {
@@ -895,56 +3286,112 @@ class StackConfigApp {
             return;
         }
 
-        const singleSideModules = this.state.buildingLayout[0].north.length;
-        const thumbWidth = 80;
-        const thumbHeight = 40;
-        const moduleThumbWidth = thumbWidth / singleSideModules;
-        const totalDepth = this.CONSTANTS.SOUTH_DEPTH_METRIC + this.CONSTANTS.NORTH_DEPTH_METRIC;
-        const southThumbHeight = thumbHeight * (this.CONSTANTS.SOUTH_DEPTH_METRIC / totalDepth);
-        const northThumbHeight = thumbHeight * (this.CONSTANTS.NORTH_DEPTH_METRIC / totalDepth);
+        const { levels, projectData } = this.state;
+        const stacked = stackLevels(levels, getBuildingAreas(projectData).height);
+        stacked.filter(level => level.position === 'base').forEach(level => this.addLevelThumbnail(level));
 
-        this.state.buildingLayout.forEach((floor, index) => {
+        // One thumbnail per run of identical floors; clicking it again steps through the run
+        getFloorGroups(this.state.buildingLayout).forEach(group => {
+            const { first, last } = group;
             const thumbButton = document.createElement('button');
-            thumbButton.className = 'floor-thumbnail p-1 bg-white rounded-md border-2 border-transparent hover:border-gray-400 transition';
-            thumbButton.dataset.floorIndex = index;
+            thumbButton.className = 'floor-thumbnail relative p-1 bg-white rounded-md border-2 border-transparent hover:border-gray-400 transition';
+            thumbButton.dataset.floorIndex = first;
+            thumbButton.dataset.lastFloor = last;
+            thumbButton.title = this.formatFloorGroup(group);
             
-            let svgContent = `<svg width="${thumbWidth}" height="${thumbHeight}" viewBox="0 0 ${thumbWidth} ${thumbHeight}">`;
-            
-            floor.south.forEach((module, i) => {
-                const color = module ? module.color : '#d1d5db';
-                svgContent += `<rect x="${i * moduleThumbWidth}" y="0" width="${moduleThumbWidth}" height="${southThumbHeight}" fill="${color}" stroke="#6b7280" stroke-width="0.2" />`;
-            });
-            floor.north.forEach((module, i) => {
-                const color = module ? module.color : '#d1d5db';
-                svgContent += `<rect x="${i * moduleThumbWidth}" y="${southThumbHeight}" width="${moduleThumbWidth}" height="${northThumbHeight}" fill="${color}" stroke="#6b7280" stroke-width="0.2" />`;
-            });
-
-            svgContent += `</svg>`;
+            const svgContent = this.renderFloorThumbnail(this.state.buildingLayout[first], this.state.projectData);
             
             const label = document.createElement('span');
             label.className = 'block text-xs font-semibold mt-1';
-            label.textContent = `Floor ${index + 1}`;
+            label.textContent = first === last ? `Floor ${first + 1}` : `Floors ${first + 1}–${last + 1}`;
             
             thumbButton.innerHTML = svgContent;
             thumbButton.appendChild(label);
+            if (last > first) {
+                thumbButton.insertAdjacentHTML('beforeend', `
+                    <span class="absolute -top-2 -right-2 bg-accent text-white text-xs font-bold rounded-full px-1.5">×${last - first + 1}</span>
+                    <span class="thumbnail-current block text-xs text-gray-500"></span>
+                `);
+            }
 
             thumbButton.addEventListener('click', () => {
-                this.state.currentFloor2D = index;
+                const current = this.state.currentFloor2D;
+                this.state.currentFloor2D = this.state.planLevel === null && current >= first && current < last ? current + 1 : first;
+                this.state.planLevel = null;
+                this.state.planSelection = null;
                 this.redrawViews();
             });
 
             this.dom.floorThumbnailsContainer.appendChild(thumbButton);
         });
+        stacked.filter(level => level.position === 'roof').forEach(level => this.addLevelThumbnail(level));
         
         this.dom.floorThumbnailsContainer.classList.remove('hidden');
     }
 
+    addLevelThumbnail(level, thumbWidth = 80, thumbHeight = 40) {
+        const { width, depth } = getBuildingAreas(this.state.projectData);
+        const scale = thumbWidth / width;
+        const strips = getUseStrips(level, { width, depth }).map(strip =>
+            `<rect x="${strip.x * scale}" y="0" width="${strip.width * scale}" height="${thumbHeight}" fill="${strip.use ? LEVEL_USES[strip.use].color : '#f3f4f6'}" stroke="#6b7280" stroke-width="0.2" />`
+        ).join('');
+
+        const thumbButton = document.createElement('button');
+        thumbButton.className = 'floor-thumbnail relative p-1 bg-white rounded-md border-2 border-transparent hover:border-gray-400 transition';
+        thumbButton.dataset.levelIndex = level.index;
+        thumbButton.title = `${level.name} (${LEVEL_POSITIONS[level.position]})`;
+        thumbButton.innerHTML = `
+            <svg width="${thumbWidth}" height="${thumbHeight}" viewBox="0 0 ${thumbWidth} ${thumbHeight}">${strips}</svg>
+            <span class="block text-xs font-semibold mt-1 truncate" style="max-width: ${thumbWidth}px;">${this.escapeHTML(level.name)}</span>
+        `;
+        thumbButton.addEventListener('click', () => {
+            this.state.planLevel = level.index;
+            this.state.planSelection = null;
+            this.redrawViews();
+        });
+        this.dom.floorThumbnailsContainer.appendChild(thumbButton);
+    }
+
+    /** Floor 1 of a project, or an empty floor of its size before any placement. */
+    getFirstFloor({ projectData, layout }) {
+        if (layout.length > 0) return layout[0];
+        const { singleSideModules } = getGridSize(projectData);
+        return { north: Array(singleSideModules).fill(null), south: Array(singleSideModules).fill(null) };
+    }
+
+    /**
+     * Returns the SVG markup of a small floor plan, south row on top.
+     * Also used for the scenario comparison previews.
+     */
+    renderFloorThumbnail(floor, { southDepth, northDepth }, thumbWidth = 80, thumbHeight = 40) {
+        const moduleThumbWidth = thumbWidth / floor.north.length;
+        const totalDepth = southDepth + northDepth;
+        const southThumbHeight = thumbHeight * (southDepth / totalDepth);
+        const northThumbHeight = thumbHeight * (northDepth / totalDepth);
+
+        let svgContent = `<svg width="${thumbWidth}" height="${thumbHeight}" viewBox="0 0 ${thumbWidth} ${thumbHeight}">`;
+        
+        floor.south.forEach((module, i) => {
+            const color = module ? module.color : '#d1d5db';
+            svgContent += `<rect x="${i * moduleThumbWidth}" y="0" width="${moduleThumbWidth}" height="${southThumbHeight}" fill="${color}" stroke="#6b7280" stroke-width="0.2" />`;
+        });
+        floor.north.forEach((module, i) => {
+            const color = module ? module.color : '#d1d5db';
+            svgContent += `<rect x="${i * moduleThumbWidth}" y="${southThumbHeight}" width="${moduleThumbWidth}" height="${northThumbHeight}" fill="${color}" stroke="#6b7280" stroke-width="0.2" />`;
+        });
+
+        return svgContent + `</svg>`;
+    }
+
     updateUnitSettings() {
         const { currentUnit, projectData } = this.state;
         const lenUnit = currentUnit === 'metric' ? 'm' : 'ft';
         
         this.dom.unitToggleButton.textContent = currentUnit === 'metric' ? 'Switch to Imperial' : 'Switch to Metric';
         [this.dom.widthUnit, this.dom.depthUnit, this.dom.heightUnit].forEach(el => el.textContent = lenUnit);
+        this.renderCodeRuleControls();
+        this.renderSiteControls();
+        this.renderLevelControls();
 
         // FIXED: Correctly determine the slider values based on the current unit
         const moduleWidthCurrentUnit = currentUnit === 'metric' ? this.CONSTANTS.MODULE_WIDTH_METRIC : this.convert(this.CONSTANTS.MODULE_WIDTH_METRIC, 'imperial');
@@ -957,6 +3404,8 @@ class StackConfigApp {
         };
 
         configureSlider(this.dom.widthSlider, this.dom.widthInput, moduleWidthCurrentUnit, 20 * moduleWidthCurrentUnit, moduleWidthCurrentUnit); // Increased max width
+        const depthTotals = this.CONSTANTS.DEPTH_OPTIONS.map(o => currentUnit === 'metric' ? o.south + o.north : this.convert(o.south + o.north, 'imperial'));
+        configureSlider(this.dom.depthSlider, this.dom.depthInput, Math.min(...depthTotals), Math.max(...depthTotals), 'any');
         const maxHeight = currentUnit === 'metric' ? this.CONSTANTS.MAX_HEIGHT_METRIC : this.convert(this.CONSTANTS.MAX_HEIGHT_METRIC, 'imperial');
         configureSlider(this.dom.heightSlider, this.dom.heightInput, floorHeightCurrentUnit, maxHeight, floorHeightCurrentUnit);
 
@@ -990,7 +3439,7 @@ class StackConfigApp {
                 stairEl.setAttribute('y', stairY);
                 stairEl.setAttribute('stroke', '#6b7280');
                 stairEl.setAttribute('stroke-width', 0.2);
-                stairEl.setAttribute('fill', this.CONSTANTS.STAIR_INFO.color);
+                stairEl.setAttribute('fill', this.state.catalogue.stair.color);
             }
             
             setupStair(leftStairPlan, x);
@@ -1006,11 +3455,14 @@ class StackConfigApp {
             const stairGroup = new THREE.Group();
             stairGroup.name = 'stair-group';
             const stairGeo = new THREE.BoxGeometry(this.CONSTANTS.STAIR_WIDTH_METRIC, height, this.CONSTANTS.STAIR_DEPTH_METRIC);
-            const stairMat = new THREE.MeshLambertMaterial({ color: this.CONSTANTS.STAIR_INFO.color });
+            const stairMat = new THREE.MeshLambertMaterial({ color: this.state.catalogue.stair.color });
             const lineMat = new THREE.LineBasicMaterial({ color: 0x6b7280 });
 
-            const createStair = (xPos) => {
+            const { stair: STAIR_INFO } = this.state.catalogue;
+            const createStair = (xPos, end) => {
                 const stairMesh = new THREE.Mesh(stairGeo, stairMat);
+                stairMesh.name = `${STAIR_INFO.tag}-${end === 'west' ? 'W' : 'E'}`;
+                stairMesh.userData = { row: `${end} end`, suiteType: STAIR_INFO.name, uCode: STAIR_INFO.codes.noCorridor };
                 stairMesh.position.set(xPos, height / 2, 0);
                 const edges = new THREE.EdgesGeometry(stairMesh.geometry);
                 const line = new THREE.LineSegments(edges, lineMat);
@@ -1018,8 +3470,8 @@ class StackConfigApp {
                 stairGroup.add(stairMesh, line);
             };
             
-            createStair(-(mainBuildingWidth / 2) - (this.CONSTANTS.STAIR_WIDTH_METRIC / 2));
-            createStair((mainBuildingWidth / 2) + (this.CONSTANTS.STAIR_WIDTH_METRIC / 2));
+            createStair(-(mainBuildingWidth / 2) - (this.CONSTANTS.STAIR_WIDTH_METRIC / 2), 'west');
+            createStair((mainBuildingWidth / 2) + (this.CONSTANTS.STAIR_WIDTH_METRIC / 2), 'east');
             
             this.three.moduleGroup.add(stairGroup);
         }
@@ -1112,12 +3564,12 @@ class StackConfigApp {
     createChart() {
         Chart.register(ChartDataLabels);
         const initialData = this.dom.suiteInputs.map(input => parseFloat(input.value));
-        const colors = Object.values(this.CONSTANTS.SUITE_TYPES).map(s => s.color);
+        const suiteTypes = Object.values(this.state.catalogue.suiteTypes);
         this.suiteMixChart = new Chart(this.dom.chartCanvas.getContext('2d'), {
             type: 'pie', 
             data: { 
-                labels: Object.values(this.CONSTANTS.SUITE_TYPES).map(s => s.name), 
-                datasets: [{ data: initialData, backgroundColor: colors, borderColor: '#ffffff', borderWidth: 2 }] 
+                labels: suiteTypes.map(s => s.name), 
+                datasets: [{ data: initialData, backgroundColor: suiteTypes.map(s => s.color), borderColor: '#ffffff', borderWidth: 2 }] 
             },
             options: { 
                 responsive: true, 
@@ -1137,6 +3589,42 @@ class StackConfigApp {
             }
         });
     };
+
+    /** Re-labels and re-colours the pie chart after the catalogue changes. */
+    refreshChart() {
+        const suiteTypes = Object.values(this.state.catalogue.suiteTypes);
+        const dataset = this.suiteMixChart.data.datasets[0];
+        this.suiteMixChart.data.labels = suiteTypes.map(s => s.name);
+        dataset.backgroundColor = suiteTypes.map(s => s.color);
+        dataset.data = this.dom.suiteInputs.map(input => parseFloat(input.value) || 0);
+        this.suiteMixChart.update();
+    }
+
+    /** Builds one slider and number input per catalogue suite type. */
+    renderSuiteMixControls(mix = {}) {
+        this.dom.suiteMixControls.innerHTML = Object.values(this.state.catalogue.suiteTypes).map(type => {
+            const id = this.escapeHTML(type.id);
+            const value = mix[type.id] || 0;
+            return `<div><label for="${id}-slider" class="block text-sm font-medium text-gray-700">${this.escapeHTML(type.name)}</label><div class="flex items-center space-x-2 mt-1"><input id="${id}-slider" data-suite-id="${id}" type="range" min="0" max="100" value="${value}" class="w-full suite-slider"><input id="${id}-input" data-suite-id="${id}" type="number" min="0" max="100" value="${value}" class="suite-input"><span class="w-4">%</span></div></div>`;
+        }).join('');
+        this.dom.suiteSliders = Array.from(this.dom.suiteMixControls.querySelectorAll('.suite-slider'));
+        this.dom.suiteInputs = Array.from(this.dom.suiteMixControls.querySelectorAll('.suite-input'));
+        this.validateSuiteMix();
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
+    downloadFile(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
     
     validateSuiteMix() {
         let total = this.dom.suiteInputs.reduce((sum, input) => sum + (parseFloat(input.value) || 0), 0);
@@ -1161,10 +3649,21 @@ class StackConfigApp {
         this.three.controls = new OrbitControls(this.three.camera, this.three.renderer.domElement); 
         this.three.controls.enableDamping = true;
         
+        this.three.renderer.shadowMap.enabled = true;
+        
         this.three.scene.add(new THREE.AmbientLight(0xffffff, 0.6)); 
+        // Placed along the sun direction by update3DSun
         const dirLight = new THREE.DirectionalLight(0xffffff, 0.8); 
         dirLight.position.set(50, 100, 20); 
+        dirLight.shadow.mapSize.set(2048, 2048);
+        Object.assign(dirLight.shadow.camera, { left: -150, right: 150, top: 150, bottom: -150, near: 1, far: 400 });
         this.three.scene.add(dirLight);
+        this.three.sunLight = dirLight;
+        
+        const ground = new THREE.Mesh(new THREE.PlaneGeometry(400, 400), new THREE.ShadowMaterial({ opacity: 0.2 }));
+        ground.rotation.x = -Math.PI / 2;
+        ground.receiveShadow = true;
+        this.three.scene.add(ground);
         
         this.three.scene.add(new THREE.GridHelper(400, 40, 0xcccccc, 0xcccccc));
         
@@ -1176,6 +3675,12 @@ class StackConfigApp {
         
         this.three.floorLinesGroup = new THREE.Group(); 
         this.three.scene.add(this.three.floorLinesGroup);
+
+        this.three.siteGroup = new THREE.Group();
+        this.three.scene.add(this.three.siteGroup);
+
+        this.three.sunGroup = new THREE.Group();
+        this.three.scene.add(this.three.sunGroup);
         
         this.state.threeInitialized = true; 
         this.updateViews(); 
@@ -1188,6 +3693,13 @@ class StackConfigApp {
         if(this.three.renderer) this.three.renderer.render(this.three.scene, this.three.camera); 
     };
 
+    /**
+     * Converts an area in m² to the current unit for display.
+     */
+    displayArea(sqm) {
+        return this.state.currentUnit === 'metric' ? sqm : this.convert(sqm, 'imperial', true);
+    }
+
     convert(value, toUnit, isArea = false) {
         const factor = isArea ? this.CONSTANTS.SQM_TO_SQFT : this.CONSTANTS.M_TO_FT;
         if (toUnit === 'imperial') {
@@ -0,0 +1,163 @@
+/**
+ * Service worker that keeps Stack Config working offline.
+ * The app files and the libraries it loads from CDNs are cached when it is
+ * installed. App files are then fetched from the network first so edits show
+ * up straight away, falling back to the cache offline; libraries and fonts
+ * are served from the cache, and anything else fetched is cached on the way.
+ * Each install caches into a cache named after a hash of the app files it
+ * fetched, so a new release gets a cache of its own and the old one is
+ * dropped when it takes over.
+ */
+
+const CACHE_PREFIX = 'stack-config-';
+// Holds the names of the installed and the active release caches
+const META_CACHE = 'stack-config-meta';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'js/catalogue.js',
+    'js/code-check.js',
+    'js/constants.js',
+    'js/cost-estimate.js',
+    'js/dxf-export.js',
+    'js/history.js',
+    'js/layout-engine.js',
+    'js/levels.js',
+    'js/massing-export.js',
+    'js/mix-optimizer.js',
+    'js/mix-solver.js',
+    'js/module-codes.js',
+    'js/plan-editor.js',
+    'js/pro-forma.js',
+    'js/project-file.js',
+    'js/project-library.js',
+    'js/report.js',
+    'js/rng.js',
+    'js/scenarios.js',
+    'js/schedule-export.js',
+    'js/share-link.js',
+    'js/site.js',
+    'js/sun-study.js',
+    'js/units.js'
+];
+
+// Must match the script tags and import map in index.html
+const THREE_URL = 'https://cdn.jsdelivr.net/npm/three@0.157.0';
+const LIBRARIES = [
+    'https://cdn.tailwindcss.com',
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://cdn.jsdelivr.net/npm/chartjs-plugin-datalabels@2.0.0',
+    'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+    'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
+    'https://unpkg.com/es-module-shims@1.6.3/dist/es-module-shims.js',
+    `${THREE_URL}/build/three.module.js`,
+    `${THREE_URL}/examples/jsm/controls/OrbitControls.js`,
+    `${THREE_URL}/examples/jsm/exporters/GLTFExporter.js`,
+    `${THREE_URL}/examples/jsm/exporters/OBJExporter.js`,
+    `${THREE_URL}/examples/jsm/utils/TextureUtils.js`,
+    'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;700&display=swap'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        // Past the HTTP cache, so the hash is taken of this release
+        const responses = await Promise.all(APP_FILES.map(file => fetch(file, { cache: 'no-cache' })));
+        if (responses.some(response => !response.ok)) throw new Error('The app files could not all be fetched.');
+        const name = await getReleaseCacheName(responses);
+        const cache = await caches.open(name);
+        await Promise.all(APP_FILES.map((file, i) => cache.put(file, responses[i])));
+        // One at a time, so a CDN that is down only leaves its own library to be cached on first use
+        for (const url of LIBRARIES) {
+            try {
+                const response = await fetchLibrary(url);
+                if (isCacheable(response)) await cache.put(url, response);
+            } catch {
+                // Cached by cacheFirst once it can be fetched
+            }
+        }
+        await setCacheName('installed', name);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const name = await getCacheName('installed');
+        await setCacheName('active', name);
+        const names = await caches.keys();
+        await Promise.all(names.filter(other => other !== name && other !== META_CACHE).map(other => caches.delete(other)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+    const sameOrigin = new URL(request.url).origin === self.location.origin;
+    event.respondWith(sameOrigin ? networkFirst(request) : cacheFirst(request));
+});
+
+async function networkFirst(request) {
+    const cache = await openActiveCache();
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        // Open the cached page whatever query string the address carries
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await openActiveCache();
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (isCacheable(response)) await cache.put(request, response.clone());
+    return response;
+}
+
+// The release cache this worker serves from, looked up once per worker
+let activeCacheName = null;
+async function openActiveCache() {
+    activeCacheName = activeCacheName || getCacheName('active');
+    return caches.open(await activeCacheName);
+}
+
+async function getCacheName(key) {
+    const response = await (await caches.open(META_CACHE)).match(key);
+    return response.text();
+}
+
+async function setCacheName(key, name) {
+    await (await caches.open(META_CACHE)).put(key, new Response(name));
+}
+
+// A short hash of the app files and the library list
+async function getReleaseCacheName(responses) {
+    const bodies = await Promise.all(responses.map(response => response.clone().arrayBuffer()));
+    const digest = await crypto.subtle.digest('SHA-256', await new Blob([...bodies, LIBRARIES.join('\n')]).arrayBuffer());
+    const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return CACHE_PREFIX + hex.slice(0, 12);
+}
+
+// Opaque responses hide their status, so they are kept on trust
+function isCacheable(response) {
+    return response.ok || response.type === 'opaque';
+}
+
+// A CORS response serves both module imports and plain script tags; CDNs
+// without CORS headers are cached as opaque responses for the script tags
+async function fetchLibrary(url) {
+    try {
+        return await fetch(url, { mode: 'cors' });
+    } catch {
+        return fetch(url, { mode: 'no-cors' });
+    }
+}